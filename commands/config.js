@@ -0,0 +1,741 @@
+// 📦 Guild Configuration Commands
+// Export a server's setup as JSON and import it into another server
+
+const {
+    SlashCommandBuilder,
+    EmbedBuilder,
+    PermissionFlagsBits,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle
+} = require('discord.js');
+const fetch = require('node-fetch');
+const { checkInteractionButton, MAX_INTERACTION_BUTTONS, DOT_COLORS } = require('./welcome.js');
+
+const EXPORT_FORMAT = 'guild-config';
+const EXPORT_VERSION = 1;
+const MAX_IMPORT_SIZE = 1024 * 1024; // 1 MB
+const IMPORT_CONFIRM_TIMEOUT = 10 * 60 * 1000; // 10 minutes
+
+// Imports waiting for confirmation, keyed by the import command's interaction ID
+const pendingImports = new Map();
+
+// Resolve an exported role/channel ID in the target guild: same ID first, then by name
+function remapId(id, exportedNames, collection) {
+    if (!id) return null;
+    if (collection.has(id)) return id;
+
+    const name = exportedNames[id];
+    if (!name) return null;
+
+    const match = collection.find(item => item.name === name);
+    return match ? match.id : null;
+}
+
+// Imported files can be hand-edited or cut short, so every nested value is
+// checked before it's used
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function asArray(value) {
+    return Array.isArray(value) ? value : [];
+}
+
+// Welcome buttons held to the same rules as /welcome buttons add; none usable
+// falls back to the default buttons
+function planInteractionButtons(buttons, warnings) {
+    if (!Array.isArray(buttons)) return null;
+
+    const planned = [];
+    for (const button of buttons) {
+        const problem = isObject(button) ? checkInteractionButton(button) : 'It is not a button.';
+        if (problem || planned.some(existing => existing.key === button.key)) {
+            warnings.push(`Welcome button **${isObject(button) ? button.key : '?'}** skipped - ${problem || 'duplicate key'}`);
+            continue;
+        }
+        if (planned.length === MAX_INTERACTION_BUTTONS) {
+            warnings.push(`Only the first ${MAX_INTERACTION_BUTTONS} welcome buttons were kept`);
+            break;
+        }
+        planned.push({
+            key: button.key,
+            label: button.label,
+            emoji: button.emoji,
+            style: button.style || 'Primary',
+            color: button.color || DOT_COLORS[planned.length % DOT_COLORS.length]
+        });
+    }
+    return planned.length > 0 ? planned : null;
+}
+
+function truncateLines(lines, maxLength) {
+    let text = '';
+    for (let i = 0; i < lines.length; i++) {
+        const next = text + lines[i] + '\n';
+        if (next.length > maxLength - 30) {
+            return text + `*...and ${lines.length - i} more*`;
+        }
+        text = next;
+    }
+    return text || '*None*';
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('config')
+        .setDescription('Export or import this server\'s bot configuration')
+        .addSubcommand(sub => sub
+            .setName('export')
+            .setDescription('Download this server\'s settings and role panels as JSON'))
+        .addSubcommand(sub => sub
+            .setName('import')
+            .setDescription('Preview and apply a configuration exported from another server')
+            .addAttachmentOption(opt => opt
+                .setName('file')
+                .setDescription('JSON file produced by /config export')
+                .setRequired(true)))
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+    async execute(interaction, serverManager, dataManager, roleManager, panels) {
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            switch (subcommand) {
+                case 'export':
+                    await this.handleExport(interaction, serverManager, panels);
+                    break;
+                case 'import':
+                    await this.handleImport(interaction, serverManager, panels);
+                    break;
+                default:
+                    await interaction.reply({
+                        content: '❌ Unknown subcommand!',
+                        ephemeral: true
+                    });
+            }
+        } catch (error) {
+            console.error('❌ Error in config command:', error);
+
+            if (!interaction.replied && !interaction.deferred) {
+                await interaction.reply({
+                    content: '❌ **Command Error**\n\nSomething went wrong while processing the config command.',
+                    ephemeral: true
+                });
+            } else if (interaction.deferred) {
+                await interaction.editReply({
+                    content: '❌ **Command Error**\n\nSomething went wrong while processing the config command.'
+                });
+            }
+        }
+    },
+
+    buildExport(guild, settings, panels) {
+        const roleIds = new Set();
+        const channelIds = new Set();
+
+        if (settings.defaultRole) roleIds.add(settings.defaultRole);
+        settings.blacklistedRoles.forEach(id => roleIds.add(id));
+        (settings.stickyRoles?.excludedRoles || []).forEach(id => roleIds.add(id));
+        if (settings.welcomeChannel) channelIds.add(settings.welcomeChannel);
+        if (settings.goodbyeChannel) channelIds.add(settings.goodbyeChannel);
+        if (settings.panelNoticeChannel) channelIds.add(settings.panelNoticeChannel);
+        if (settings.verification?.channelId) channelIds.add(settings.verification.channelId);
+        if (settings.raidProtection) channelIds.add(settings.raidProtection.alertChannel);
+
+        const videoReactions = settings.videoReactions || { enabled: false, channels: [], likeEmoji: '👍', dislikeEmoji: '👎' };
+        videoReactions.channels.forEach(id => channelIds.add(id));
+
+        const guildPanels = Array.from(panels.values())
+            .filter(panel => panel.guildId === guild.id)
+            .map(panel => {
+                channelIds.add(panel.channelId);
+                panel.roles.forEach(id => roleIds.add(id));
+                Object.values(panel.roleRules || {}).forEach(rules =>
+                    [...rules.requires, ...rules.excludes].forEach(id => roleIds.add(id)));
+                return {
+                    title: panel.title,
+                    type: panel.type,
+                    interfaceType: panel.interfaceType,
+                    curated: !!panel.curated,
+                    exclusive: !!panel.exclusive,
+                    maxSelections: panel.maxSelections || null,
+                    durationMinutes: panel.durationMinutes || null,
+                    exclusiveGroups: panel.exclusiveGroups || [],
+                    roleRules: panel.roleRules || {},
+                    emojis: panel.emojis || null,
+                    channelId: panel.channelId,
+                    roles: panel.roles
+                };
+            });
+
+        const roleNames = {};
+        for (const id of roleIds) {
+            const role = guild.roles.cache.get(id);
+            if (role) roleNames[id] = role.name;
+        }
+
+        const channelNames = {};
+        for (const id of channelIds) {
+            const channel = guild.channels.cache.get(id);
+            if (channel) channelNames[id] = channel.name;
+        }
+
+        return {
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            sourceGuild: { id: guild.id, name: guild.name },
+            roles: roleNames,
+            channels: channelNames,
+            settings: {
+                welcomeChannel: settings.welcomeChannel,
+                defaultRole: settings.defaultRole,
+                blacklistedRoles: settings.blacklistedRoles,
+                welcomeMessages: settings.welcomeMessages,
+                welcomeBackMessage: settings.welcomeBackMessage,
+                interactionButtons: settings.interactionButtons,
+                interactionCooldownMinutes: settings.interactionCooldownMinutes,
+                goodbyeChannel: settings.goodbyeChannel,
+                goodbyeMessage: settings.goodbyeMessage,
+                panelNoticeChannel: settings.panelNoticeChannel || null,
+                // Uploaded backgrounds live on this bot's disk, so they aren't exported
+                welcomeCard: settings.welcomeCard ? { ...settings.welcomeCard, backgroundImage: null } : null,
+                memberRetentionDays: settings.memberRetentionDays || null,
+                // The rules message itself is re-posted by the import
+                verification: settings.verification ? { ...settings.verification, messageId: null } : null,
+                raidProtection: settings.raidProtection,
+                stickyRoles: settings.stickyRoles,
+                videoReactions: {
+                    enabled: videoReactions.enabled,
+                    channels: videoReactions.channels,
+                    likeEmoji: videoReactions.likeEmoji,
+                    dislikeEmoji: videoReactions.dislikeEmoji
+                }
+            },
+            panels: guildPanels
+        };
+    },
+
+    async handleExport(interaction, serverManager, panels) {
+        const settings = serverManager.getSettings(interaction.guild.id);
+        const exported = this.buildExport(interaction.guild, settings, panels);
+
+        const exportEmbed = new EmbedBuilder()
+            .setTitle('📦 Configuration Exported')
+            .setDescription(
+                `**Server:** ${interaction.guild.name}\n` +
+                `**Role Panels:** ${exported.panels.length}\n` +
+                `**Blacklisted Roles:** ${exported.settings.blacklistedRoles.length}\n` +
+                `**Video Channels:** ${exported.settings.videoReactions.channels.length}\n\n` +
+                `*Use \`/config import\` with this file in another server to copy the setup.*`
+            )
+            .setColor(0x3498DB)
+            .setTimestamp();
+
+        await interaction.reply({
+            embeds: [exportEmbed],
+            files: [{
+                attachment: Buffer.from(JSON.stringify(exported, null, 2)),
+                name: `config-${interaction.guild.id}.json`
+            }],
+            ephemeral: true
+        });
+    },
+
+    // Work out what an import would change, with IDs remapped to this guild
+    planImport(guild, settings, panels, exported) {
+        const roleNames = isObject(exported.roles) ? exported.roles : {};
+        const channelNames = isObject(exported.channels) ? exported.channels : {};
+        const textChannels = guild.channels.cache.filter(channel => channel.isTextBased());
+        const changes = [];
+        const warnings = [];
+
+        const mapRole = id => {
+            const mapped = remapId(id, roleNames, guild.roles.cache);
+            if (!mapped) warnings.push(`Role **${roleNames[id] || id}** not found - skipped`);
+            return mapped;
+        };
+        const mapChannel = id => {
+            const mapped = remapId(id, channelNames, textChannels);
+            if (!mapped) warnings.push(`Channel **#${channelNames[id] || id}** not found - skipped`);
+            return mapped;
+        };
+        const roleName = id => guild.roles.cache.get(id)?.name || id;
+        const describeChannel = id => id ? `<#${id}>` : '*none*';
+        const describeRole = id => id ? `<@&${id}>` : '*none*';
+
+        if (exported.settings !== undefined && !isObject(exported.settings)) {
+            warnings.push('The file\'s settings section is damaged - settings were reset to their defaults');
+        }
+        const incoming = isObject(exported.settings) ? exported.settings : {};
+        const incomingVideo = isObject(incoming.videoReactions) ? incoming.videoReactions : {};
+        const incomingVerification = incoming.verification && typeof incoming.verification === 'object' ? incoming.verification : null;
+        const incomingRaid = incoming.raidProtection && typeof incoming.raidProtection === 'object' ? incoming.raidProtection : null;
+        const currentVideo = settings.videoReactions || { enabled: false, channels: [], likeEmoji: '👍', dislikeEmoji: '👎' };
+
+        const plannedSettings = {
+            welcomeChannel: incoming.welcomeChannel ? mapChannel(incoming.welcomeChannel) : null,
+            defaultRole: incoming.defaultRole ? mapRole(incoming.defaultRole) : null,
+            blacklistedRoles: asArray(incoming.blacklistedRoles).map(mapRole).filter(id => id),
+            welcomeMessages: asArray(incoming.welcomeMessages).filter(message => typeof message === 'string'),
+            welcomeBackMessage: incoming.welcomeBackMessage || null,
+            interactionButtons: planInteractionButtons(incoming.interactionButtons, warnings),
+            interactionCooldownMinutes: Number.isInteger(incoming.interactionCooldownMinutes) ? incoming.interactionCooldownMinutes : settings.interactionCooldownMinutes,
+            goodbyeChannel: incoming.goodbyeChannel ? mapChannel(incoming.goodbyeChannel) : null,
+            goodbyeMessage: incoming.goodbyeMessage || null,
+            panelNoticeChannel: incoming.panelNoticeChannel ? mapChannel(incoming.panelNoticeChannel) : null,
+            welcomeCard: isObject(incoming.welcomeCard) ? incoming.welcomeCard : null,
+            memberRetentionDays: incoming.memberRetentionDays || null,
+            verification: incomingVerification ? {
+                mode: incomingVerification.mode === 'dm' ? 'dm' : 'button',
+                channelId: incomingVerification.channelId ? mapChannel(incomingVerification.channelId) : null,
+                messageId: null,
+                rulesText: incomingVerification.rulesText || null,
+                minAccountAgeDays: Number.isInteger(incomingVerification.minAccountAgeDays) ? incomingVerification.minAccountAgeDays : 0,
+                timeoutMinutes: Number.isInteger(incomingVerification.timeoutMinutes) ? incomingVerification.timeoutMinutes : 0
+            } : null,
+            raidProtection: incomingRaid ? {
+                alertChannel: incomingRaid.alertChannel ? mapChannel(incomingRaid.alertChannel) : null,
+                joinThreshold: Number.isInteger(incomingRaid.joinThreshold) ? incomingRaid.joinThreshold : 10,
+                windowSeconds: Number.isInteger(incomingRaid.windowSeconds) ? incomingRaid.windowSeconds : 60,
+                slowmodeSeconds: Number.isInteger(incomingRaid.slowmodeSeconds) ? incomingRaid.slowmodeSeconds : 0
+            } : null,
+            stickyRoles: isObject(incoming.stickyRoles) ? {
+                excludedRoles: asArray(incoming.stickyRoles.excludedRoles).map(mapRole).filter(id => id)
+            } : null,
+            videoReactions: {
+                enabled: !!incomingVideo.enabled,
+                channels: asArray(incomingVideo.channels).map(mapChannel).filter(id => id),
+                likeEmoji: incomingVideo.likeEmoji || '👍',
+                dislikeEmoji: incomingVideo.dislikeEmoji || '👎'
+            }
+        };
+
+        if (plannedSettings.welcomeChannel !== settings.welcomeChannel) {
+            changes.push(`📺 Welcome channel: ${describeChannel(settings.welcomeChannel)} → ${describeChannel(plannedSettings.welcomeChannel)}`);
+        }
+        if (JSON.stringify(plannedSettings.interactionButtons) !== JSON.stringify(settings.interactionButtons)) {
+            changes.push(`🔘 Welcome buttons: ${plannedSettings.interactionButtons ? plannedSettings.interactionButtons.map(b => b.label).join(', ') : 'default'}`);
+        }
+        if (plannedSettings.interactionCooldownMinutes !== settings.interactionCooldownMinutes) {
+            changes.push(`⏳ Button cooldown: ${settings.interactionCooldownMinutes} → ${plannedSettings.interactionCooldownMinutes} min`);
+        }
+        if (plannedSettings.goodbyeChannel !== settings.goodbyeChannel) {
+            changes.push(`🚪 Goodbye channel: ${describeChannel(settings.goodbyeChannel)} → ${describeChannel(plannedSettings.goodbyeChannel)}`);
+        }
+        if (plannedSettings.goodbyeMessage !== settings.goodbyeMessage) {
+            changes.push(`🚪 Goodbye message: ${plannedSettings.goodbyeMessage ? 'custom' : 'default'}`);
+        }
+        if (plannedSettings.panelNoticeChannel !== (settings.panelNoticeChannel || null)) {
+            changes.push(`🛠️ Panel notices: ${describeChannel(settings.panelNoticeChannel)} → ${describeChannel(plannedSettings.panelNoticeChannel)}`);
+        }
+        if (plannedSettings.defaultRole !== settings.defaultRole) {
+            changes.push(`🎭 Default role: ${describeRole(settings.defaultRole)} → ${describeRole(plannedSettings.defaultRole)}`);
+        }
+
+        const blacklistAdded = plannedSettings.blacklistedRoles.filter(id => !settings.blacklistedRoles.includes(id));
+        const blacklistRemoved = settings.blacklistedRoles.filter(id => !plannedSettings.blacklistedRoles.includes(id));
+        if (blacklistAdded.length > 0 || blacklistRemoved.length > 0) {
+            const parts = [
+                ...blacklistAdded.map(id => `+${roleName(id)}`),
+                ...blacklistRemoved.map(id => `-${roleName(id)}`)
+            ];
+            changes.push(`🚫 Blacklist: ${parts.join(', ')}`);
+        }
+
+        if (JSON.stringify(plannedSettings.welcomeMessages) !== JSON.stringify(settings.welcomeMessages)) {
+            changes.push(`💬 Welcome templates: ${settings.welcomeMessages.length} → ${plannedSettings.welcomeMessages.length}`);
+        }
+        if (plannedSettings.welcomeBackMessage !== settings.welcomeBackMessage) {
+            changes.push(`💬 Welcome back message: ${plannedSettings.welcomeBackMessage ? 'custom' : 'default'}`);
+        }
+        if (JSON.stringify(plannedSettings.stickyRoles) !== JSON.stringify(settings.stickyRoles)) {
+            changes.push(`📌 Sticky roles: ${plannedSettings.stickyRoles
+                ? `enabled${plannedSettings.stickyRoles.excludedRoles.length > 0 ? `, excluding ${plannedSettings.stickyRoles.excludedRoles.map(roleName).join(', ')}` : ''}`
+                : 'disabled'}`);
+        }
+        const cardWithoutBackground = card => card ? JSON.stringify({ ...card, backgroundImage: null }) : null;
+        if (cardWithoutBackground(plannedSettings.welcomeCard) !== cardWithoutBackground(settings.welcomeCard)) {
+            changes.push(`🎨 Welcome card theme: ${plannedSettings.welcomeCard ? 'replaced with imported theme' : 'reset to default'}`);
+        }
+        if (plannedSettings.memberRetentionDays !== (settings.memberRetentionDays || null)) {
+            const describeRetention = days => days ? `${days} days` : 'forever';
+            changes.push(`🗓️ Data retention: ${describeRetention(settings.memberRetentionDays)} → ${describeRetention(plannedSettings.memberRetentionDays)}`);
+        }
+
+        if (plannedSettings.verification?.mode === 'button' && !plannedSettings.verification.channelId) {
+            warnings.push('Verification gate has no matching rules channel - skipped');
+            plannedSettings.verification = settings.verification;
+        }
+        const verificationWithoutMessage = verification => verification ? JSON.stringify({ ...verification, messageId: null }) : null;
+        if (verificationWithoutMessage(plannedSettings.verification) !== verificationWithoutMessage(settings.verification)) {
+            changes.push(`🛂 Verification gate: ${plannedSettings.verification
+                ? `${plannedSettings.verification.mode === 'dm' ? 'DM' : 'button'} mode` + (plannedSettings.verification.channelId ? `, rules posted in <#${plannedSettings.verification.channelId}>` : '')
+                : 'disabled'}`);
+        }
+
+        if (plannedSettings.raidProtection && !plannedSettings.raidProtection.alertChannel) {
+            warnings.push('Raid protection has no matching alert channel - skipped');
+            plannedSettings.raidProtection = settings.raidProtection;
+        }
+        // Raid protection can't be turned off while a lockdown is running
+        if (!plannedSettings.raidProtection && settings.raidLockdown) {
+            warnings.push('A lockdown is active, so raid protection stays on');
+            plannedSettings.raidProtection = settings.raidProtection;
+        }
+        if (JSON.stringify(plannedSettings.raidProtection) !== JSON.stringify(settings.raidProtection)) {
+            changes.push(`🚨 Raid protection: ${plannedSettings.raidProtection
+                ? `${plannedSettings.raidProtection.joinThreshold} joins in ${plannedSettings.raidProtection.windowSeconds}s, alerts in <#${plannedSettings.raidProtection.alertChannel}>`
+                : 'disabled'}`);
+        }
+
+        const plannedVideo = plannedSettings.videoReactions;
+        if (plannedVideo.enabled !== currentVideo.enabled) {
+            changes.push(`🎬 Video reactions: ${currentVideo.enabled ? 'enabled' : 'disabled'} → ${plannedVideo.enabled ? 'enabled' : 'disabled'}`);
+        }
+        const videoAdded = plannedVideo.channels.filter(id => !currentVideo.channels.includes(id));
+        const videoRemoved = currentVideo.channels.filter(id => !plannedVideo.channels.includes(id));
+        if (videoAdded.length > 0 || videoRemoved.length > 0) {
+            const parts = [
+                ...videoAdded.map(id => `+<#${id}>`),
+                ...videoRemoved.map(id => `-<#${id}>`)
+            ];
+            changes.push(`🎬 Video channels: ${parts.join(', ')}`);
+        }
+        if (plannedVideo.likeEmoji !== currentVideo.likeEmoji || plannedVideo.dislikeEmoji !== currentVideo.dislikeEmoji) {
+            changes.push(`🎬 Video emojis: ${currentVideo.likeEmoji}/${currentVideo.dislikeEmoji} → ${plannedVideo.likeEmoji}/${plannedVideo.dislikeEmoji}`);
+        }
+
+        // Panels are matched to existing ones in this guild by title
+        const guildPanels = Array.from(panels.entries()).filter(([, panel]) => panel.guildId === guild.id);
+        const plannedPanels = [];
+
+        if (exported.panels !== undefined && !Array.isArray(exported.panels)) {
+            warnings.push('The file\'s panel list is damaged - no panels were imported');
+        }
+
+        for (const [index, exportedPanel] of asArray(exported.panels).entries()) {
+            if (!isObject(exportedPanel) || typeof exportedPanel.title !== 'string' || !Array.isArray(exportedPanel.roles)) {
+                warnings.push(`Panel #${index + 1} in the file is incomplete - skipped`);
+                continue;
+            }
+
+            let roles = exportedPanel.roles.map(mapRole).filter(id => id);
+            let emojis = null;
+            if (exportedPanel.interfaceType === 'reaction') {
+                // Reaction panels can only use this server's custom emojis (or standard ones)
+                emojis = {};
+                for (const [exportedRoleId, emoji] of Object.entries(isObject(exportedPanel.emojis) ? exportedPanel.emojis : {})) {
+                    if (typeof emoji !== 'string') continue;
+                    const roleId = mapRole(exportedRoleId);
+                    const customId = emoji.match(/^<a?:\w+:(\d+)>$/)?.[1];
+                    if (!roleId) continue;
+                    if (customId && !guild.emojis.cache.has(customId)) {
+                        warnings.push(`Panel **${exportedPanel.title}**: emoji ${emoji} isn't available here - its role was skipped`);
+                        continue;
+                    }
+                    emojis[roleId] = emoji;
+                }
+                roles = roles.filter(id => emojis[id]);
+            }
+            const exclusiveGroups = asArray(exportedPanel.exclusiveGroups)
+                .filter(group => isObject(group) && typeof group.name === 'string')
+                .map(group => ({ name: group.name, roles: asArray(group.roles).map(mapRole).filter(id => roles.includes(id)) }))
+                .filter(group => group.roles.length > 0);
+            const roleRules = {};
+            for (const [exportedRoleId, rules] of Object.entries(isObject(exportedPanel.roleRules) ? exportedPanel.roleRules : {})) {
+                if (!isObject(rules)) continue;
+                const roleId = mapRole(exportedRoleId);
+                if (!roleId || !roles.includes(roleId)) continue;
+                roleRules[roleId] = {
+                    requires: asArray(rules.requires).map(mapRole).filter(id => id),
+                    excludes: asArray(rules.excludes).map(mapRole).filter(id => id),
+                    minTenureDays: Number.isInteger(rules.minTenureDays) ? rules.minTenureDays : 0,
+                    durationMinutes: Number.isInteger(rules.durationMinutes) ? rules.durationMinutes : 0
+                };
+            }
+            const limits = JSON.stringify([!!exportedPanel.exclusive, exportedPanel.maxSelections || null, exportedPanel.durationMinutes || null, exclusiveGroups, roleRules, emojis]);
+            const existing = guildPanels.find(([, panel]) => panel.title === exportedPanel.title);
+
+            if (existing) {
+                const [panelId, panel] = existing;
+                const added = roles.filter(id => !panel.roles.includes(id));
+                const removed = panel.roles.filter(id => !roles.includes(id));
+                const curated = !!exportedPanel.curated;
+                const reordered = curated && roles.join() !== panel.roles.join();
+                const limitsChanged = limits !== JSON.stringify([!!panel.exclusive, panel.maxSelections || null, panel.durationMinutes || null, panel.exclusiveGroups || [], panel.roleRules || {}, panel.emojis || null]);
+                if (added.length === 0 && removed.length === 0 && !reordered && !limitsChanged &&
+                    panel.type === exportedPanel.type && !!panel.curated === curated) continue;
+                if ((panel.interfaceType === 'reaction') !== (exportedPanel.interfaceType === 'reaction')) {
+                    warnings.push(`Panel **${exportedPanel.title}** is a ${exportedPanel.interfaceType} panel here but not in the export - skipped`);
+                    continue;
+                }
+
+                plannedPanels.push({ ...exportedPanel, roles, exclusiveGroups, roleRules, emojis, existingPanelId: panelId });
+                changes.push(`✏️ Update panel **${exportedPanel.title}**: +${added.length} / -${removed.length} roles${limitsChanged ? ', new selection rules' : ''}`);
+            } else {
+                const channelId = mapChannel(exportedPanel.channelId);
+                if (!channelId) {
+                    warnings.push(`Panel **${exportedPanel.title}** has no matching channel - skipped`);
+                    continue;
+                }
+                if (roles.length === 0) {
+                    warnings.push(`Panel **${exportedPanel.title}** has no matching roles - skipped`);
+                    continue;
+                }
+
+                plannedPanels.push({ ...exportedPanel, roles, exclusiveGroups, roleRules, emojis, channelId, existingPanelId: null });
+                changes.push(`➕ Create panel **${exportedPanel.title}** in <#${channelId}> (${roles.length} roles)`);
+            }
+        }
+
+        return {
+            settings: plannedSettings,
+            panels: plannedPanels,
+            changes,
+            warnings: [...new Set(warnings)]
+        };
+    },
+
+    async handleImport(interaction, serverManager, panels) {
+        const attachment = interaction.options.getAttachment('file');
+
+        if (!attachment.name.endsWith('.json') || attachment.size > MAX_IMPORT_SIZE) {
+            return interaction.reply({
+                content: '❌ Please attach a `.json` file produced by `/config export` (max 1 MB).',
+                ephemeral: true
+            });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        let exported;
+        try {
+            const response = await fetch(attachment.url);
+            if (!response.ok) {
+                throw new Error(`Download failed with status ${response.status}`);
+            }
+            exported = JSON.parse(await response.text());
+        } catch (error) {
+            console.error('❌ Error reading config import file:', error);
+            return interaction.editReply({ content: '❌ Could not read that file. Make sure it is valid JSON.' });
+        }
+
+        if (!isObject(exported) || exported.format !== EXPORT_FORMAT || exported.version !== EXPORT_VERSION) {
+            return interaction.editReply({
+                content: `❌ This file isn't a supported configuration export (expected format \`${EXPORT_FORMAT}\` version ${EXPORT_VERSION}).`
+            });
+        }
+
+        const settings = serverManager.getSettings(interaction.guild.id);
+        const plan = this.planImport(interaction.guild, settings, panels, exported);
+
+        if (plan.changes.length === 0) {
+            return interaction.editReply({
+                content: '✨ This server already matches the imported configuration - nothing to change.' +
+                    (plan.warnings.length > 0 ? `\n\n⚠️ **Warnings:**\n${truncateLines(plan.warnings.map(w => `• ${w}`), 1500)}` : '')
+            });
+        }
+
+        const token = interaction.id;
+        pendingImports.set(token, {
+            guildId: interaction.guild.id,
+            userId: interaction.user.id,
+            plan,
+            expiresAt: Date.now() + IMPORT_CONFIRM_TIMEOUT
+        });
+        setTimeout(() => pendingImports.delete(token), IMPORT_CONFIRM_TIMEOUT);
+
+        const previewEmbed = new EmbedBuilder()
+            .setTitle('📦 Import Preview')
+            .setDescription(
+                `**Source:** ${exported.sourceGuild?.name || 'Unknown server'}\n` +
+                `**Exported:** ${exported.exportedAt ? `<t:${Math.floor(new Date(exported.exportedAt).getTime() / 1000)}:R>` : 'Unknown'}\n\n` +
+                `**Changes:**\n${truncateLines(plan.changes.map(c => `• ${c}`), 3000)}`
+            )
+            .setColor(0xF39C12)
+            .setFooter({ text: 'Nothing changes until you confirm • Expires in 10 minutes' })
+            .setTimestamp();
+
+        if (plan.warnings.length > 0) {
+            previewEmbed.addFields({
+                name: '⚠️ Warnings',
+                value: truncateLines(plan.warnings.map(w => `• ${w}`), 1024),
+                inline: false
+            });
+        }
+
+        const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`config_import_confirm_${token}`)
+                .setLabel('✅ Apply Import')
+                .setStyle(ButtonStyle.Success),
+            new ButtonBuilder()
+                .setCustomId(`config_import_cancel_${token}`)
+                .setLabel('Cancel')
+                .setStyle(ButtonStyle.Secondary)
+        );
+
+        await interaction.editReply({ embeds: [previewEmbed], components: [row] });
+    },
+
+    async handleImportButton(interaction, serverManager, dataManager, roleManager, panels) {
+        const [, , action, token] = interaction.customId.split('_');
+        const pending = pendingImports.get(token);
+
+        if (!pending || pending.expiresAt < Date.now() || pending.guildId !== interaction.guild.id) {
+            return interaction.update({
+                content: '⌛ This import preview has expired. Run `/config import` again.',
+                embeds: [],
+                components: []
+            });
+        }
+
+        if (pending.userId !== interaction.user.id) {
+            return interaction.reply({ content: '❌ Only the person who started this import can confirm it.', ephemeral: true });
+        }
+
+        pendingImports.delete(token);
+
+        if (action === 'cancel') {
+            return interaction.update({ content: '🚫 Import cancelled. Nothing was changed.', embeds: [], components: [] });
+        }
+
+        await interaction.update({ content: '⏳ Applying import...', embeds: [], components: [] });
+
+        const result = await this.applyImport(interaction.guild, pending.plan, serverManager, roleManager, panels, interaction.user.id);
+        await dataManager.saveData();
+
+        const resultEmbed = new EmbedBuilder()
+            .setTitle(result.errors.length === 0 ? '✅ Import Applied!' : '⚠️ Import Applied With Errors')
+            .setDescription(
+                `**Settings:** updated\n` +
+                `**Panels Created:** ${result.created}\n` +
+                `**Panels Updated:** ${result.updated}` +
+                (result.errors.length > 0 ? `\n\n**Errors:**\n${truncateLines(result.errors.map(e => `• ${e}`), 2000)}` : '')
+            )
+            .setColor(result.errors.length === 0 ? 0x00FF99 : 0xF39C12)
+            .setTimestamp();
+
+        await interaction.editReply({ content: '', embeds: [resultEmbed] });
+        console.log(`📦 ${interaction.user.tag} imported configuration into ${interaction.guild.name} (${result.created} panels created, ${result.updated} updated)`);
+    },
+
+    async applyImport(guild, plan, serverManager, roleManager, panels, userId) {
+        const rolesCommand = require('./roles.js');
+        const settings = serverManager.getSettings(guild.id);
+        const errors = [];
+        let created = 0;
+        let updated = 0;
+
+        settings.welcomeChannel = plan.settings.welcomeChannel;
+        settings.defaultRole = plan.settings.defaultRole;
+        settings.blacklistedRoles = plan.settings.blacklistedRoles;
+        settings.welcomeMessages = plan.settings.welcomeMessages;
+        settings.welcomeBackMessage = plan.settings.welcomeBackMessage;
+        settings.stickyRoles = plan.settings.stickyRoles;
+        settings.interactionButtons = plan.settings.interactionButtons;
+        settings.interactionCooldownMinutes = plan.settings.interactionCooldownMinutes;
+        settings.goodbyeChannel = plan.settings.goodbyeChannel;
+        settings.goodbyeMessage = plan.settings.goodbyeMessage;
+        settings.panelNoticeChannel = plan.settings.panelNoticeChannel;
+        settings.welcomeCard = plan.settings.welcomeCard
+            ? { ...plan.settings.welcomeCard, backgroundImage: settings.welcomeCard?.backgroundImage || null }
+            : null;
+        settings.memberRetentionDays = plan.settings.memberRetentionDays;
+        await this.applyVerification(guild, settings, plan.settings.verification, errors);
+        settings.raidProtection = plan.settings.raidProtection;
+        settings.videoReactions = {
+            ...settings.videoReactions,
+            ...plan.settings.videoReactions
+        };
+
+        for (const plannedPanel of plan.panels) {
+            const roles = plannedPanel.roles
+                .map(id => guild.roles.cache.get(id))
+                .filter(role => role);
+
+            try {
+                if (plannedPanel.existingPanelId) {
+                    const panelData = panels.get(plannedPanel.existingPanelId);
+                    panelData.roles = roles.map(r => r.id);
+                    panelData.type = plannedPanel.type;
+                    panelData.curated = !!plannedPanel.curated;
+                    panelData.exclusive = !!plannedPanel.exclusive;
+                    panelData.maxSelections = plannedPanel.maxSelections || null;
+                    panelData.durationMinutes = plannedPanel.durationMinutes || null;
+                    panelData.exclusiveGroups = plannedPanel.exclusiveGroups;
+                    panelData.roleRules = plannedPanel.roleRules;
+                    if (plannedPanel.emojis) panelData.emojis = plannedPanel.emojis;
+
+                    await rolesCommand.renderPanelMessage(guild, panelData, roles);
+                    updated++;
+                    continue;
+                }
+
+                const channel = guild.channels.cache.get(plannedPanel.channelId);
+                const panelId = `${guild.id}_${Date.now()}`;
+                const { content } = rolesCommand.buildPanelContent(plannedPanel.title, roles, plannedPanel.emojis);
+                const panelMessage = await channel.send({
+                    content,
+                    components: plannedPanel.emojis ? [] : [roleManager.createRolePanelButton(panelId, plannedPanel.title, roles.length)],
+                    allowedMentions: { parse: [] }
+                });
+
+                const panelData = {
+                    guildId: guild.id,
+                    channelId: channel.id,
+                    messageId: panelMessage.id,
+                    title: plannedPanel.title,
+                    type: plannedPanel.type,
+                    interfaceType: plannedPanel.interfaceType || 'button',
+                    curated: !!plannedPanel.curated,
+                    exclusive: !!plannedPanel.exclusive,
+                    maxSelections: plannedPanel.maxSelections || null,
+                    durationMinutes: plannedPanel.durationMinutes || null,
+                    exclusiveGroups: plannedPanel.exclusiveGroups,
+                    roleRules: plannedPanel.roleRules,
+                    roles: roles.map(r => r.id),
+                    createdAt: new Date().toISOString(),
+                    createdBy: userId
+                };
+                if (plannedPanel.emojis) panelData.emojis = plannedPanel.emojis;
+
+                panels.set(panelId, panelData);
+                if (plannedPanel.emojis) await rolesCommand.syncPanelReactions(panelMessage, panelData);
+                created++;
+            } catch (error) {
+                console.error(`❌ Error importing panel ${plannedPanel.title}:`, error);
+                errors.push(`${plannedPanel.title}: ${error.message}`);
+            }
+        }
+
+        return { created, updated, errors };
+    },
+
+    async applyVerification(guild, settings, planned, errors) {
+        if (!planned) {
+            settings.verification = null;
+            settings.pendingVerifications = {};
+            return;
+        }
+        if (planned === settings.verification) return;
+
+        const current = settings.verification;
+        const verification = {
+            ...planned,
+            messageId: current && current.channelId === planned.channelId ? current.messageId : null
+        };
+
+        if (verification.channelId) {
+            try {
+                verification.messageId = await require('./verification.js').publishRulesMessage(guild, verification);
+            } catch (error) {
+                console.error('❌ Error posting imported rules message:', error);
+                errors.push(`Rules message: ${error.message}`);
+            }
+        }
+        settings.verification = verification;
+    }
+};
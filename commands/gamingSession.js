@@ -9,11 +9,19 @@ const {
     EmbedBuilder
 } = require('discord.js');
 
+// Reminders missed by less than this while the bot was offline are still sent on restore
+const MISSED_REMINDER_GRACE = 30 * 60 * 1000; // 30 minutes
+const SESSION_MAX_AGE = 4 * 60 * 60 * 1000; // 4 hours
+
 class GamingSessionManager {
     constructor() {
         this.activeSessions = new Map();
         this.scheduledReminders = new Map();
         
+        // Set by restoreSessions() once the client is ready
+        this.client = null;
+        this.dataManager = null;
+        
         // Auto-cleanup every 30 minutes
         setInterval(() => this.cleanupExpiredSessions(), 30 * 60 * 1000);
         
@@ -97,7 +105,8 @@ class GamingSessionManager {
                 guildId: interaction.guild.id,
                 createdAt: Date.now(),
                 messageId: null,
-                isActive: true
+                isActive: true,
+                reminderSent: false
             };
 
             // Add host as first participant
@@ -125,8 +134,12 @@ class GamingSessionManager {
             // Schedule reminder if needed
             if (parsedTime.timestamp > Date.now()) {
                 this.scheduleReminder(sessionData, message);
+            } else {
+                sessionData.reminderSent = true;
             }
 
+            await this.persistSessions();
+
             console.log(`✅ Gaming session created: ${sessionData.gameName} by ${sessionData.hostName} (${sessionData.participants.size} initial participants)`);
 
         } catch (error) {
@@ -416,6 +429,7 @@ class GamingSessionManager {
 
         // Update session message
         await this.updateSessionMessage(interaction, sessionData, sessionId);
+        await this.persistSessions();
 
         // Send confirmation
         const timeUntil = sessionData.scheduledTime - Date.now();
@@ -467,6 +481,7 @@ class GamingSessionManager {
 
         // Update session message
         await this.updateSessionMessage(interaction, sessionData, sessionId);
+        await this.persistSessions();
 
         // Send confirmation
         let confirmationMessage = `❌ **Left ${sessionData.gameName}**\n\n👥 **Remaining players:** ${sessionData.participants.size}`;
@@ -638,14 +653,20 @@ class GamingSessionManager {
         }
     }
 
-    scheduleReminder(sessionData, message) {
+    scheduleReminder(sessionData, message = null) {
         const timeUntilStart = sessionData.scheduledTime - Date.now();
         
         if (timeUntilStart <= 0) return;
 
         const timeoutId = setTimeout(async () => {
             try {
-                await this.sendGameTimeReminder(sessionData, message);
+                // Restored sessions have no message object, so fetch it when the timer fires
+                const sessionMessage = message || await this.fetchSessionMessage(sessionData);
+                if (!sessionMessage) {
+                    this.endSession(sessionData.id, 'Session message no longer exists');
+                    return;
+                }
+                await this.sendGameTimeReminder(sessionData, sessionMessage);
             } catch (error) {
                 console.error('❌ Error sending game time reminder:', error);
             }
@@ -657,6 +678,10 @@ class GamingSessionManager {
 
     async sendGameTimeReminder(sessionData, message) {
         try {
+            this.scheduledReminders.delete(sessionData.id);
+            sessionData.reminderSent = true;
+            await this.persistSessions();
+
             const participants = Array.from(sessionData.participants.keys()).filter(id => id !== sessionData.hostId);
             
             if (participants.length === 0) {
@@ -680,17 +705,7 @@ class GamingSessionManager {
 
             // Update session to live status
             sessionData.scheduledTime = Date.now();
-            const gameRole = await message.guild.roles.fetch(sessionData.gameRole).catch(() => null);
-            
-            if (gameRole) {
-                const updatedEmbed = this.createSessionEmbed(sessionData, gameRole);
-                const buttons = this.createSessionButtons(sessionData.id, true); // Show end button
-
-                await message.edit({
-                    embeds: [updatedEmbed],
-                    components: [buttons]
-                });
-            }
+            await this.refreshSessionMessage(sessionData, message);
 
             console.log(`🚨 Reminder sent for ${sessionData.gameName} to ${participants.length + 1} players`);
 
@@ -704,6 +719,116 @@ class GamingSessionManager {
         }
     }
 
+    async refreshSessionMessage(sessionData, message) {
+        const gameRole = await message.guild.roles.fetch(sessionData.gameRole).catch(() => null);
+        if (!gameRole) return;
+
+        const updatedEmbed = this.createSessionEmbed(sessionData, gameRole);
+        const buttons = this.createSessionButtons(sessionData.id, true); // Show end button
+
+        await message.edit({
+            embeds: [updatedEmbed],
+            components: [buttons]
+        });
+    }
+
+    // Convert sessions to plain objects for bot_data storage
+    serializeSessions() {
+        return Object.fromEntries(
+            Array.from(this.activeSessions.entries()).map(([id, data]) => [
+                id, { ...data, participants: Object.fromEntries(data.participants) }
+            ])
+        );
+    }
+
+    async persistSessions() {
+        if (!this.dataManager) return;
+
+        try {
+            await this.dataManager.saveGamingSessions(this.serializeSessions());
+        } catch (error) {
+            console.error('❌ Error persisting gaming sessions:', error);
+        }
+    }
+
+    async fetchSessionMessage(sessionData) {
+        if (!this.client || !sessionData.messageId) return null;
+
+        try {
+            const channel = await this.client.channels.fetch(sessionData.channelId);
+            return await channel.messages.fetch(sessionData.messageId);
+        } catch (error) {
+            console.log(`⚠️ Could not fetch session message for ${sessionData.gameName}: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Restore saved sessions after a restart: re-arm reminders and reconcile
+    // sessions whose start time passed while the bot was offline
+    async restoreSessions(client, dataManager) {
+        this.client = client;
+
+        // Only start saving once the stored sessions were read, so a failed load
+        // can't be overwritten with an empty file
+        const storedSessions = await dataManager.loadGamingSessions();
+        this.dataManager = dataManager;
+        const now = Date.now();
+        let restored = 0;
+        let rescheduled = 0;
+        let reconciled = 0;
+
+        for (const [sessionId, stored] of Object.entries(storedSessions)) {
+            if (!stored.isActive) continue;
+
+            const sessionData = {
+                ...stored,
+                participants: new Map(Object.entries(stored.participants || {}))
+            };
+
+            // Too old to keep - disable the buttons on the leftover message
+            if (now - sessionData.createdAt > SESSION_MAX_AGE) {
+                const message = await this.fetchSessionMessage(sessionData);
+                if (message) {
+                    await message.edit({ components: [] }).catch(() => {});
+                }
+                console.log(`🧹 Dropped expired session while offline: ${sessionData.gameName}`);
+                continue;
+            }
+
+            this.activeSessions.set(sessionId, sessionData);
+            restored++;
+
+            if (sessionData.scheduledTime > now) {
+                this.scheduleReminder(sessionData);
+                rescheduled++;
+                continue;
+            }
+
+            if (sessionData.reminderSent) continue;
+
+            // Start time passed while offline
+            const message = await this.fetchSessionMessage(sessionData);
+            if (!message) {
+                this.endSession(sessionId, 'Session message no longer exists');
+                continue;
+            }
+
+            if (now - sessionData.scheduledTime <= MISSED_REMINDER_GRACE) {
+                await this.sendGameTimeReminder(sessionData, message);
+            } else {
+                sessionData.reminderSent = true;
+                await this.refreshSessionMessage(sessionData, message).catch(error => {
+                    console.error('❌ Failed to update missed session message:', error);
+                });
+            }
+            reconciled++;
+        }
+
+        await this.persistSessions();
+        console.log(`🎮 Restored ${restored} gaming sessions (${rescheduled} reminders re-scheduled, ${reconciled} missed while offline)`);
+        return { restored, rescheduled, reconciled };
+    }
+
     endSession(sessionId, reason = 'Manual end') {
         try {
             if (this.scheduledReminders.has(sessionId)) {
@@ -717,6 +842,7 @@ class GamingSessionManager {
             }
             
             this.activeSessions.delete(sessionId);
+            this.persistSessions();
             console.log(`🧹 Ended session: ${sessionData?.gameName || sessionId} (${reason})`);
         } catch (error) {
             console.error('❌ Error ending session:', error);
@@ -725,12 +851,11 @@ class GamingSessionManager {
 
     cleanupExpiredSessions() {
         const now = Date.now();
-        const fourHours = 4 * 60 * 60 * 1000;
         let cleaned = 0;
 
         for (const [sessionId, sessionData] of this.activeSessions.entries()) {
             // Clean up old sessions
-            if (now - sessionData.createdAt > fourHours) {
+            if (now - sessionData.createdAt > SESSION_MAX_AGE) {
                 this.endSession(sessionId, 'Expired (4+ hours old)');
                 cleaned++;
             }
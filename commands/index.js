@@ -139,8 +139,8 @@ class CommandLoader {
             if (command.execute) {
                 // For separated command files (welcome.js, roles.js, linkedroles.js)
                 // Pass appropriate dependencies based on command
-                if (commandName === 'roles') {
-                    // roles.js needs: serverManager, dataManager, roleManager, panels
+                if (commandName === 'roles' || commandName === 'config') {
+                    // roles.js and config.js need: serverManager, dataManager, roleManager, panels
                     await command.execute(interaction,
                         dependencies.serverManager,
                         dependencies.dataManager,
@@ -148,14 +148,22 @@ class CommandLoader {
                         dependencies.panels
                     );
                 } else if (commandName === 'welcome') {
-                    // welcome.js needs: serverManager, dataManager, welcomeSystem
+                    // welcome.js needs: serverManager, dataManager, welcomeSystem, imageGenerator
                     await command.execute(interaction,
                         dependencies.serverManager,
                         dependencies.dataManager,
-                        dependencies.welcomeSystem
+                        dependencies.welcomeSystem,
+                        dependencies.imageGenerator
                     );
-                } else if (commandName === 'linkedroles') {
-                    // linkedroles.js needs: serverManager, dataManager, linkedRolesAPI
+                } else if (commandName === 'raid') {
+                    // raid.js needs: serverManager, dataManager, raidProtection
+                    await command.execute(interaction,
+                        dependencies.serverManager,
+                        dependencies.dataManager,
+                        dependencies.raidProtection
+                    );
+                } else if (commandName === 'linkedroles' || commandName === 'privacy') {
+                    // linkedroles.js and privacy.js need: serverManager, dataManager, linkedRolesAPI
                     await command.execute(interaction,
                         dependencies.serverManager,
                         dependencies.dataManager,
@@ -330,6 +338,15 @@ class CommandLoader {
         }
     }
 
+    // Restore persisted gaming sessions once the client is ready
+    async restoreGamingSessions(client, dataManager) {
+        try {
+            await this.gamingManager.restoreSessions(client, dataManager);
+        } catch (error) {
+            console.error('❌ Error restoring gaming sessions:', error);
+        }
+    }
+
     // Cleanup expired sessions manually
     cleanupExpiredSessions() {
         try {
@@ -402,8 +419,9 @@ class CommandLoader {
         try {
             console.log('🛑 Shutting down command loader...');
             
-            // Cleanup gaming sessions
+            // Cleanup gaming sessions and save the ones still running
             this.gamingManager.cleanupExpiredSessions();
+            await this.gamingManager.persistSessions();
             
             // Clear maps
             this.commands.clear();
@@ -0,0 +1,141 @@
+// 📨 Invite Tracking Commands
+// Shows which members and invite links bring people in, and how many stay
+
+const {
+    SlashCommandBuilder,
+    EmbedBuilder
+} = require('discord.js');
+
+const LEADERBOARD_SIZE = 15;
+const DAY = 24 * 60 * 60 * 1000;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('invites')
+        .setDescription('See who brings new members in')
+        .addSubcommand(sub => sub
+            .setName('leaderboard')
+            .setDescription('Top inviters and how many of their invitees are still here')
+            .addIntegerOption(opt => opt
+                .setName('days')
+                .setDescription('Only count joins from the last N days (all time if not set)')
+                .setMinValue(1)
+                .setMaxValue(365)))
+        .addSubcommand(sub => sub
+            .setName('user')
+            .setDescription('Invite stats for one member')
+            .addUserOption(opt => opt
+                .setName('user')
+                .setDescription('Inviter to check (leave empty for yourself)')))
+        .setDMPermission(false),
+
+    async execute(interaction, serverManager) {
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            switch (subcommand) {
+                case 'leaderboard':
+                    await this.handleLeaderboard(interaction, serverManager);
+                    break;
+                case 'user':
+                    await this.handleUser(interaction, serverManager);
+                    break;
+                default:
+                    await interaction.reply({
+                        content: '❌ Unknown subcommand!',
+                        ephemeral: true
+                    });
+            }
+        } catch (error) {
+            console.error('❌ Error in invites command:', error);
+
+            if (!interaction.replied && !interaction.deferred) {
+                await interaction.reply({
+                    content: '❌ **Command Error**\n\nSomething went wrong while processing the invites command.',
+                    ephemeral: true
+                });
+            }
+        }
+    },
+
+    async handleLeaderboard(interaction, serverManager) {
+        const days = interaction.options.getInteger('days');
+        const stats = serverManager.getInviteStats(interaction.guild.id, days ? Date.now() - days * DAY : null);
+
+        if (stats.length === 0) {
+            return interaction.reply({
+                content: `📨 No tracked invite joins${days ? ` in the last ${days} days` : ''} yet. ` +
+                    'Joins are tracked while I have the **Manage Server** permission.',
+                ephemeral: true
+            });
+        }
+
+        const rankEmojis = ['🥇', '🥈', '🥉'];
+        const lines = stats.slice(0, LEADERBOARD_SIZE).map((inviterStats, index) =>
+            `${rankEmojis[index] || `**${index + 1}.**`} <@${inviterStats.inviterId}> - **${inviterStats.joins}** joined, ` +
+            `${inviterStats.stillHere} still here (${retention(inviterStats)})`
+        );
+
+        const totalJoins = stats.reduce((sum, inviterStats) => sum + inviterStats.joins, 0);
+        const totalStillHere = stats.reduce((sum, inviterStats) => sum + inviterStats.stillHere, 0);
+
+        const leaderboardEmbed = new EmbedBuilder()
+            .setTitle(`📨 Invite Leaderboard${days ? ` - Last ${days} Days` : ''}`)
+            .setDescription(lines.join('\n'))
+            .addFields(
+                { name: '👥 Tracked Joins', value: `${totalJoins}`, inline: true },
+                { name: '🏠 Still Here', value: `${totalStillHere} (${retention({ joins: totalJoins, stillHere: totalStillHere })})`, inline: true },
+                { name: '🙋 Inviters', value: `${stats.length}`, inline: true }
+            )
+            .setColor(0x3498DB)
+            .setTimestamp();
+
+        const settings = serverManager.getSettings(interaction.guild.id);
+        if (settings.memberRetentionDays) {
+            leaderboardEmbed.setFooter({ text: `Members who left more than ${settings.memberRetentionDays} days ago are no longer counted` });
+        }
+
+        await interaction.reply({ embeds: [leaderboardEmbed], allowedMentions: { parse: [] } });
+    },
+
+    async handleUser(interaction, serverManager) {
+        const targetUser = interaction.options.getUser('user') || interaction.user;
+        const inviterStats = serverManager.getInviteStats(interaction.guild.id)
+            .find(stats => stats.inviterId === targetUser.id);
+
+        if (!inviterStats) {
+            return interaction.reply({
+                content: `📨 No tracked joins from ${targetUser.displayName}'s invites yet.`,
+                ephemeral: true
+            });
+        }
+
+        const recent = inviterStats.invitees
+            .sort((a, b) => new Date(b.joinedAt) - new Date(a.joinedAt))
+            .slice(0, 10)
+            .map(invitee =>
+                `${invitee.leftAt ? '🚪' : '✅'} **${invitee.username || 'Unknown member'}** - joined <t:${Math.floor(new Date(invitee.joinedAt).getTime() / 1000)}:R> with \`${invitee.code}\``
+            );
+
+        const codes = [...new Set(inviterStats.invitees.map(invitee => invitee.code))];
+
+        const userEmbed = new EmbedBuilder()
+            .setTitle(`📨 Invites: ${targetUser.displayName}`)
+            .addFields(
+                { name: '👥 Joined', value: `${inviterStats.joins}`, inline: true },
+                { name: '🏠 Still Here', value: `${inviterStats.stillHere} (${retention(inviterStats)})`, inline: true },
+                { name: '🔗 Invite Codes', value: codes.map(code => `\`${code}\``).join(', ').substring(0, 1024), inline: true },
+                { name: '🕒 Recent Joins', value: recent.join('\n').substring(0, 1024), inline: false }
+            )
+            .setColor(0x3498DB)
+            .setThumbnail(targetUser.displayAvatarURL({ size: 128 }))
+            .setFooter({ text: '✅ still here • 🚪 left' })
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [userEmbed], ephemeral: true });
+    }
+};
+
+function retention({ joins, stillHere }) {
+    return joins > 0 ? `${Math.round(stillHere / joins * 100)}%` : '0%';
+}
@@ -0,0 +1,179 @@
+// 🔒 Member Privacy Commands
+// Lets members download or delete what the bot stores about them
+
+const {
+    SlashCommandBuilder,
+    EmbedBuilder,
+    PermissionFlagsBits
+} = require('discord.js');
+
+const MAX_RETENTION_DAYS = 3650;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('privacy')
+        .setDescription('See or delete the data this bot stores about you')
+        .addSubcommand(sub => sub
+            .setName('export')
+            .setDescription('Receive a JSON file of everything stored about you by DM'))
+        .addSubcommand(sub => sub
+            .setName('erase')
+            .setDescription('Delete everything stored about you')
+            .addBooleanOption(opt => opt
+                .setName('confirm')
+                .setDescription('Set to True to permanently delete your data')
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('retention')
+            .setDescription('View or set how long data is kept for members who left (Manage Server)')
+            .addIntegerOption(opt => opt
+                .setName('days')
+                .setDescription('Days to keep data after a member leaves (0 = keep forever)')
+                .setMinValue(0)
+                .setMaxValue(MAX_RETENTION_DAYS)))
+        .setDMPermission(false),
+
+    async execute(interaction, serverManager, dataManager, linkedRolesAPI) {
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            switch (subcommand) {
+                case 'export':
+                    await this.handleExport(interaction, serverManager, linkedRolesAPI);
+                    break;
+                case 'erase':
+                    await this.handleErase(interaction, serverManager, linkedRolesAPI);
+                    break;
+                case 'retention':
+                    await this.handleRetention(interaction, serverManager, dataManager);
+                    break;
+                default:
+                    await interaction.reply({
+                        content: '❌ Unknown subcommand!',
+                        ephemeral: true
+                    });
+            }
+        } catch (error) {
+            console.error('❌ Error in privacy command:', error);
+
+            if (!interaction.replied && !interaction.deferred) {
+                await interaction.reply({
+                    content: '❌ **Command Error**\n\nSomething went wrong while processing the privacy command.',
+                    ephemeral: true
+                });
+            } else if (interaction.deferred) {
+                await interaction.editReply({
+                    content: '❌ **Command Error**\n\nSomething went wrong while processing the privacy command.'
+                });
+            }
+        }
+    },
+
+    async handleExport(interaction, serverManager, linkedRolesAPI) {
+        await interaction.deferReply({ ephemeral: true });
+
+        const userId = interaction.user.id;
+        const storedData = serverManager.collectUserData(userId);
+        const linkedAccount = linkedRolesAPI.userTokens.get(userId) || null;
+
+        const servers = Object.fromEntries(
+            Object.entries(storedData).map(([guildId, records]) => [
+                guildId,
+                { serverName: interaction.client.guilds.cache.get(guildId)?.name || null, ...records }
+            ])
+        );
+
+        const exportData = {
+            userId,
+            username: interaction.user.username,
+            exportedAt: new Date().toISOString(),
+            servers,
+            linkedRoles: linkedAccount
+        };
+
+        const serverCount = Object.keys(servers).length;
+
+        try {
+            await interaction.user.send({
+                content: `🔒 **Your data export**\n\nThis file contains everything the bot stores about you across ${serverCount} server${serverCount === 1 ? '' : 's'}.` +
+                    (linkedAccount ? '\n\n⚠️ It includes your Linked Roles OAuth tokens - do not share it.' : ''),
+                files: [{
+                    attachment: Buffer.from(JSON.stringify(exportData, null, 2)),
+                    name: `my-data-${userId}.json`
+                }]
+            });
+        } catch (error) {
+            return interaction.editReply({
+                content: '❌ I couldn\'t DM you. Enable direct messages from server members and try again.'
+            });
+        }
+
+        await interaction.editReply({ content: '📬 Sent your data export to your DMs!' });
+        console.log(`🔒 ${interaction.user.tag} exported their stored data`);
+    },
+
+    async handleErase(interaction, serverManager, linkedRolesAPI) {
+        if (!interaction.options.getBoolean('confirm')) {
+            return interaction.reply({
+                content: '🛑 Nothing was deleted. Run `/privacy erase confirm:True` to permanently delete your data.',
+                ephemeral: true
+            });
+        }
+
+        const userId = interaction.user.id;
+        const guildCount = await serverManager.eraseUserData(userId);
+        const linkedRolesStatus = linkedRolesAPI.unlinkUser(userId) ? 'removed' : 'none stored';
+
+        const eraseEmbed = new EmbedBuilder()
+            .setTitle('🗑️ Your Data Was Erased')
+            .setDescription(
+                `**Servers cleared:** ${guildCount}\n` +
+                `**Linked Roles connection:** ${linkedRolesStatus}\n\n` +
+                '*Role history, role snapshots and interaction counts were deleted, and time-limited roles were taken off early. ' +
+                'While you remain in a server, your current roles will be tracked again at the next role sync.*'
+            )
+            .setColor(0xFF6B6B)
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [eraseEmbed], ephemeral: true });
+        console.log(`🗑️ ${interaction.user.tag} erased their stored data (${guildCount} servers)`);
+    },
+
+    async handleRetention(interaction, serverManager, dataManager) {
+        if (!interaction.member.permissions.has(PermissionFlagsBits.ManageGuild)) {
+            return interaction.reply({
+                content: '❌ You need the **Manage Server** permission to change data retention.',
+                ephemeral: true
+            });
+        }
+
+        const settings = serverManager.getSettings(interaction.guild.id);
+        const days = interaction.options.getInteger('days');
+
+        if (days === null) {
+            return interaction.reply({
+                content: settings.memberRetentionDays
+                    ? `🗓️ Data for members who leave is deleted after **${settings.memberRetentionDays} days**.`
+                    : '🗓️ Data for members who leave is currently **kept forever**.',
+                ephemeral: true
+            });
+        }
+
+        settings.memberRetentionDays = days || null;
+        const pruned = serverManager.pruneDepartedMembers(interaction.guild);
+        await dataManager.saveData();
+
+        const retentionEmbed = new EmbedBuilder()
+            .setTitle('🗓️ Data Retention Updated')
+            .setDescription(
+                (days
+                    ? `Data for members who leave will be deleted **${days} days** after they leave.`
+                    : 'Data for members who leave will be **kept forever**.') +
+                (pruned > 0 ? `\n\n🧹 Deleted data for **${pruned}** members who already passed the limit.` : '')
+            )
+            .setColor(0x3498DB)
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [retentionEmbed], ephemeral: true });
+    }
+};
@@ -0,0 +1,184 @@
+// 🚨 Raid Protection Commands
+// Configures join-rate detection and ends lockdowns
+
+const {
+    SlashCommandBuilder,
+    EmbedBuilder,
+    PermissionFlagsBits
+} = require('discord.js');
+
+const DEFAULT_JOIN_THRESHOLD = 10;
+const DEFAULT_WINDOW_SECONDS = 60;
+const MAX_SLOWMODE_SECONDS = 21600; // Discord's limit, 6 hours
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('raid')
+        .setDescription('Detect mass joins and lock the server down')
+        .addSubcommand(sub => sub
+            .setName('setup')
+            .setDescription('Turn on join-raid detection')
+            .addChannelOption(opt => opt
+                .setName('alert_channel')
+                .setDescription('Channel where moderators are alerted')
+                .setRequired(true))
+            .addIntegerOption(opt => opt
+                .setName('joins')
+                .setDescription(`Joins that trigger a lockdown (default ${DEFAULT_JOIN_THRESHOLD})`)
+                .setMinValue(3)
+                .setMaxValue(100))
+            .addIntegerOption(opt => opt
+                .setName('seconds')
+                .setDescription(`Time window those joins must happen in (default ${DEFAULT_WINDOW_SECONDS})`)
+                .setMinValue(5)
+                .setMaxValue(3600))
+            .addIntegerOption(opt => opt
+                .setName('slowmode')
+                .setDescription('Slowmode seconds for public channels during a lockdown (0 = leave as is)')
+                .setMinValue(0)
+                .setMaxValue(MAX_SLOWMODE_SECONDS)))
+        .addSubcommand(sub => sub
+            .setName('status')
+            .setDescription('Show raid protection settings and any active lockdown'))
+        .addSubcommand(sub => sub
+            .setName('end')
+            .setDescription('End the active lockdown'))
+        .addSubcommand(sub => sub
+            .setName('disable')
+            .setDescription('Turn off join-raid detection'))
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+    async execute(interaction, serverManager, dataManager, raidProtection) {
+        const subcommand = interaction.options.getSubcommand();
+        const settings = serverManager.getSettings(interaction.guild.id);
+
+        try {
+            switch (subcommand) {
+                case 'setup':
+                    await this.handleSetup(interaction, settings, dataManager);
+                    break;
+                case 'status':
+                    await this.handleStatus(interaction, settings);
+                    break;
+                case 'end':
+                    await this.handleEnd(interaction, settings, raidProtection);
+                    break;
+                case 'disable':
+                    await this.handleDisable(interaction, settings, dataManager);
+                    break;
+                default:
+                    await interaction.reply({
+                        content: '❌ Unknown subcommand!',
+                        ephemeral: true
+                    });
+            }
+        } catch (error) {
+            console.error('❌ Error in raid command:', error);
+
+            if (!interaction.replied && !interaction.deferred) {
+                await interaction.reply({
+                    content: '❌ **Command Error**\n\nSomething went wrong while processing the raid command.',
+                    ephemeral: true
+                });
+            } else if (interaction.deferred) {
+                await interaction.editReply({
+                    content: '❌ **Command Error**\n\nSomething went wrong while processing the raid command.'
+                });
+            }
+        }
+    },
+
+    async handleSetup(interaction, settings, dataManager) {
+        const alertChannel = interaction.options.getChannel('alert_channel');
+
+        if (!alertChannel.isTextBased() || !alertChannel.permissionsFor(interaction.guild.members.me).has(['SendMessages', 'EmbedLinks'])) {
+            return interaction.reply({
+                content: '❌ I need Send Messages and Embed Links permissions in the alert channel!',
+                ephemeral: true
+            });
+        }
+
+        const previous = settings.raidProtection;
+        settings.raidProtection = {
+            alertChannel: alertChannel.id,
+            joinThreshold: interaction.options.getInteger('joins') ?? previous?.joinThreshold ?? DEFAULT_JOIN_THRESHOLD,
+            windowSeconds: interaction.options.getInteger('seconds') ?? previous?.windowSeconds ?? DEFAULT_WINDOW_SECONDS,
+            slowmodeSeconds: interaction.options.getInteger('slowmode') ?? previous?.slowmodeSeconds ?? 0
+        };
+        await dataManager.saveData();
+
+        const me = interaction.guild.members.me;
+        const missing = ['KickMembers', 'BanMembers', ...(settings.raidProtection.slowmodeSeconds ? ['ManageChannels'] : [])]
+            .filter(permission => !me.permissions.has(permission));
+
+        const setupEmbed = new EmbedBuilder()
+            .setTitle('🚨 Raid Protection Enabled!')
+            .setDescription(
+                this.describeRaidProtection(settings.raidProtection) +
+                (missing.length > 0 ? `\n\n⚠️ I'm missing **${missing.join(', ')}**, which the lockdown buttons need.` : '')
+            )
+            .setColor(0x00FF99)
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [setupEmbed], ephemeral: true });
+        console.log(`🚨 ${interaction.user.tag} enabled raid protection in ${interaction.guild.name}`);
+    },
+
+    async handleStatus(interaction, settings) {
+        if (!settings.raidProtection) {
+            return interaction.reply({ content: '🚨 Raid protection is **disabled**.', ephemeral: true });
+        }
+
+        const lockdown = settings.raidLockdown;
+        const statusEmbed = new EmbedBuilder()
+            .setTitle('🚨 Raid Protection Status')
+            .setDescription(this.describeRaidProtection(settings.raidProtection))
+            .addFields({
+                name: '🔒 Lockdown',
+                value: lockdown
+                    ? `Active since <t:${Math.floor(new Date(lockdown.startedAt).getTime() / 1000)}:R> - ${lockdown.batch.length} accounts held` +
+                        (lockdown.alertMessageId ? `\n[Jump to alert](https://discord.com/channels/${interaction.guild.id}/${lockdown.alertChannelId}/${lockdown.alertMessageId})` : '')
+                    : 'Not active'
+            })
+            .setColor(lockdown ? 0xE74C3C : 0x3498DB)
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [statusEmbed], ephemeral: true });
+    },
+
+    async handleEnd(interaction, settings, raidProtection) {
+        if (!settings.raidLockdown) {
+            return interaction.reply({ content: '🔓 There is no active lockdown.', ephemeral: true });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+        const admitted = await raidProtection.endLockdown(interaction.guild, interaction.user);
+        await interaction.editReply({
+            content: `🔓 Lockdown ended.${admitted > 0 ? ` ${admitted} held members were let in.` : ''}`
+        });
+    },
+
+    async handleDisable(interaction, settings, dataManager) {
+        if (!settings.raidProtection) {
+            return interaction.reply({ content: '🚨 Raid protection is already disabled.', ephemeral: true });
+        }
+        if (settings.raidLockdown) {
+            return interaction.reply({
+                content: '❌ A lockdown is active. End it with `/raid end` before disabling raid protection.',
+                ephemeral: true
+            });
+        }
+
+        settings.raidProtection = null;
+        await dataManager.saveData();
+
+        await interaction.reply({ content: '🚨 Raid protection disabled.', ephemeral: true });
+        console.log(`🚨 ${interaction.user.tag} disabled raid protection in ${interaction.guild.name}`);
+    },
+
+    describeRaidProtection(raidProtection) {
+        return `**Trigger:** ${raidProtection.joinThreshold} joins within ${raidProtection.windowSeconds} seconds\n` +
+            `**Alert Channel:** <#${raidProtection.alertChannel}>\n` +
+            `**Slowmode:** ${raidProtection.slowmodeSeconds ? `${raidProtection.slowmodeSeconds}s on public channels` : 'unchanged'}`;
+    }
+};
@@ -4,8 +4,23 @@
 const { 
     SlashCommandBuilder, 
     EmbedBuilder, 
-    PermissionFlagsBits 
+    PermissionFlagsBits,
+    ActionRowBuilder,
+    RoleSelectMenuBuilder
 } = require('discord.js');
+const { describeMinutes } = require('./verification.js');
+
+const PICKED_ROLE_OPTIONS = 5;
+const MAX_SELECTIONS_LIMIT = 125;
+const MAX_GROUP_NAME_LENGTH = 50;
+const MAX_TENURE_DAYS = 365;
+const MAX_ROLE_DURATION_MINUTES = 30 * 24 * 60; // 30 days
+const MAX_REACTIONS = 20; // Discord's limit of different reactions on one message
+const CURATE_PICK_TIMEOUT = 10 * 60 * 1000; // 10 minutes
+
+// Hand-picked panels waiting for their roles from the role select menu,
+// keyed by the command's interaction ID
+const pendingCuratedPanels = new Map();
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -30,6 +45,162 @@ module.exports = {
                     { name: 'Safe Roles Only', value: 'safe' },
                     { name: 'All Roles', value: 'all' }
                 )))
+        .addSubcommand(sub => {
+            sub
+                .setName('panel-custom')
+                .setDescription('Create a role panel from hand-picked roles')
+                .addStringOption(opt => opt
+                    .setName('title')
+                    .setDescription('Panel title')
+                    .setRequired(true))
+                .addChannelOption(opt => opt
+                    .setName('channel')
+                    .setDescription('Channel to send panel')
+                    .setRequired(true));
+            for (let i = 1; i <= PICKED_ROLE_OPTIONS; i++) {
+                sub.addRoleOption(opt => opt
+                    .setName(`role${i}`)
+                    .setDescription(`Role to put on the panel${i === 1 ? ' (leave all empty to pick from a menu)' : ''}`));
+            }
+            return sub
+                .addStringOption(opt => opt
+                    .setName('pattern')
+                    .setDescription('Also add roles whose name contains this text, or matches it with * wildcards'))
+                .addStringOption(opt => opt
+                    .setName('type')
+                    .setDescription('Which roles may be picked (default Safe Roles Only)')
+                    .addChoices(
+                        { name: 'Safe Roles Only', value: 'safe' },
+                        { name: 'All Roles', value: 'all' }
+                    ));
+        })
+        .addSubcommand(sub => sub
+            .setName('panel-reaction')
+            .setDescription('Create a classic reaction-role panel: react to get a role, unreact to lose it')
+            .addStringOption(opt => opt
+                .setName('title')
+                .setDescription('Panel title')
+                .setRequired(true))
+            .addChannelOption(opt => opt
+                .setName('channel')
+                .setDescription('Channel to send panel')
+                .setRequired(true))
+            .addStringOption(opt => opt
+                .setName('roles')
+                .setDescription('Each role followed by its emoji, e.g. @Gamer 🎮 @Artist 🎨')
+                .setRequired(true))
+            .addStringOption(opt => opt
+                .setName('type')
+                .setDescription('Which roles may be used (default Safe Roles Only)')
+                .addChoices(
+                    { name: 'Safe Roles Only', value: 'safe' },
+                    { name: 'All Roles', value: 'all' }
+                )))
+        .addSubcommand(sub => sub
+            .setName('panel-edit')
+            .setDescription('Change the title, roles or role order of an existing panel')
+            .addStringOption(opt => opt
+                .setName('panel')
+                .setDescription('Panel title or message ID')
+                .setRequired(true))
+            .addStringOption(opt => opt
+                .setName('title')
+                .setDescription('New panel title'))
+            .addRoleOption(opt => opt
+                .setName('add_role')
+                .setDescription('Role to add to the panel'))
+            .addStringOption(opt => opt
+                .setName('emoji')
+                .setDescription('Emoji for add_role (reaction panels only)'))
+            .addRoleOption(opt => opt
+                .setName('remove_role')
+                .setDescription('Role to remove from the panel'))
+            .addRoleOption(opt => opt
+                .setName('move_role')
+                .setDescription('Panel role to move to a new position'))
+            .addIntegerOption(opt => opt
+                .setName('position')
+                .setDescription('Position for move_role or add_role (1 = first)')
+                .setMinValue(1))
+            .addBooleanOption(opt => opt
+                .setName('exclusive')
+                .setDescription('Members can only pick one role from the whole panel'))
+            .addIntegerOption(opt => opt
+                .setName('max_selections')
+                .setDescription('Most roles a member can pick from this panel (0 = no limit)')
+                .setMinValue(0)
+                .setMaxValue(MAX_SELECTIONS_LIMIT))
+            .addIntegerOption(opt => opt
+                .setName('expire_minutes')
+                .setDescription('Minutes until a picked role is taken away again (0 = keep forever)')
+                .setMinValue(0)
+                .setMaxValue(MAX_ROLE_DURATION_MINUTES)))
+        .addSubcommand(sub => sub
+            .setName('panel-group')
+            .setDescription('Manage pick-one groups of roles on a panel (e.g. colours or regions)')
+            .addStringOption(opt => opt
+                .setName('panel')
+                .setDescription('Panel title or message ID')
+                .setRequired(true))
+            .addStringOption(opt => opt
+                .setName('action')
+                .setDescription('Action to perform')
+                .setRequired(true)
+                .addChoices(
+                    { name: 'View', value: 'view' },
+                    { name: 'Add Role', value: 'add' },
+                    { name: 'Remove Role', value: 'remove' },
+                    { name: 'Delete Group', value: 'delete' }
+                ))
+            .addStringOption(opt => opt
+                .setName('group')
+                .setDescription('Group name')
+                .setMaxLength(MAX_GROUP_NAME_LENGTH))
+            .addRoleOption(opt => opt
+                .setName('role')
+                .setDescription('Panel role to add to or remove from the group')))
+        .addSubcommand(sub => sub
+            .setName('panel-rule')
+            .setDescription('Control who can pick a panel role and for how long: required roles, tenure, expiry')
+            .addStringOption(opt => opt
+                .setName('panel')
+                .setDescription('Panel title or message ID')
+                .setRequired(true))
+            .addStringOption(opt => opt
+                .setName('action')
+                .setDescription('Action to perform')
+                .setRequired(true)
+                .addChoices(
+                    { name: 'View', value: 'view' },
+                    { name: 'Require Role', value: 'require' },
+                    { name: 'Exclude Role', value: 'exclude' },
+                    { name: 'Allow Role (drop require/exclude)', value: 'allow' },
+                    { name: 'Minimum Tenure', value: 'tenure' },
+                    { name: 'Expire After', value: 'expire' },
+                    { name: 'Clear Rules', value: 'clear' }
+                ))
+            .addRoleOption(opt => opt
+                .setName('role')
+                .setDescription('Panel role the rule applies to'))
+            .addRoleOption(opt => opt
+                .setName('other_role')
+                .setDescription('Role that is required, excluded or allowed'))
+            .addIntegerOption(opt => opt
+                .setName('days')
+                .setDescription('Days in the server before the role can be picked (0 = no minimum)')
+                .setMinValue(0)
+                .setMaxValue(MAX_TENURE_DAYS))
+            .addIntegerOption(opt => opt
+                .setName('minutes')
+                .setDescription('Minutes until the role is taken away again (0 = use the panel\'s setting)')
+                .setMinValue(0)
+                .setMaxValue(MAX_ROLE_DURATION_MINUTES)))
+        .addSubcommand(sub => sub
+            .setName('panel-notices')
+            .setDescription('Post a notice when panels update themselves after roles are created, changed or deleted')
+            .addChannelOption(opt => opt
+                .setName('channel')
+                .setDescription('Channel for the notices (leave empty to turn them off)')))
         .addSubcommand(sub => sub
             .setName('blacklist')
             .setDescription('Manage blacklisted roles')
@@ -46,6 +217,23 @@ module.exports = {
             .addRoleOption(opt => opt
                 .setName('role')
                 .setDescription('Role to add/remove from blacklist')))
+        .addSubcommand(sub => sub
+            .setName('sticky')
+            .setDescription('Give members their roles back when they rejoin')
+            .addStringOption(opt => opt
+                .setName('action')
+                .setDescription('Action to perform')
+                .setRequired(true)
+                .addChoices(
+                    { name: 'View', value: 'view' },
+                    { name: 'Enable', value: 'enable' },
+                    { name: 'Disable', value: 'disable' },
+                    { name: 'Exclude Role', value: 'exclude' },
+                    { name: 'Include Role', value: 'include' }
+                ))
+            .addRoleOption(opt => opt
+                .setName('role')
+                .setDescription('Role to exclude from or include in restoring')))
         .addSubcommand(sub => sub
             .setName('sync')
             .setDescription('Manually sync all user roles'))
@@ -71,9 +259,30 @@ module.exports = {
                 case 'panel':
                     await this.handleCreatePanel(interaction, serverManager, dataManager, roleManager, panels);
                     break;
+                case 'panel-custom':
+                    await this.handleCreateCuratedPanel(interaction, serverManager, dataManager, roleManager, panels);
+                    break;
+                case 'panel-reaction':
+                    await this.handleCreateReactionPanel(interaction, serverManager, dataManager, roleManager, panels);
+                    break;
+                case 'panel-edit':
+                    await this.handlePanelEdit(interaction, serverManager, dataManager, panels);
+                    break;
+                case 'panel-group':
+                    await this.handlePanelGroup(interaction, dataManager, panels);
+                    break;
+                case 'panel-rule':
+                    await this.handlePanelRule(interaction, dataManager, panels);
+                    break;
+                case 'panel-notices':
+                    await this.handlePanelNotices(interaction, serverManager, dataManager);
+                    break;
                 case 'blacklist':
                     await this.handleBlacklist(interaction, serverManager, dataManager);
                     break;
+                case 'sticky':
+                    await this.handleSticky(interaction, serverManager, dataManager);
+                    break;
                 case 'sync':
                     await this.handleRoleSync(interaction, serverManager, panels, dataManager);
                     break;
@@ -120,42 +329,330 @@ module.exports = {
             return interaction.reply({ content: '❌ No available roles found!', ephemeral: true });
         }
         
-        const panelId = `${interaction.guild.id}_${Date.now()}`;
+        await interaction.deferReply({ ephemeral: true });
+        
+        try {
+            await serverManager.syncUserRoles(interaction.guild);
+        } catch (error) {
+            console.error('❌ Error syncing roles before panel creation:', error);
+        }
         
-        panels.set(panelId, {
-            guildId: interaction.guild.id,
+        try {
+            await this.createPanel(channel, { title, type, curated: false, roles }, interaction.user.id, roleManager, panels, dataManager);
+            
+            const confirmEmbed = new EmbedBuilder()
+                .setTitle('✅ Role Panel Created!')
+                .setDescription(`**Location:** ${channel}\n**Roles:** ${roles.length}\n**Type:** ${type}\n**Interface:** Button-based selector`)
+                .setColor(0x00FF99)
+                .setTimestamp();
+            
+            await interaction.editReply({ embeds: [confirmEmbed] });
+            
+        } catch (error) {
+            console.error('❌ Error creating role panel:', error);
+            await interaction.editReply({ 
+                content: '❌ Failed to create role panel! Check bot permissions and try again.'
+            });
+        }
+    },
+
+    // Post a new panel message and store the panel; returns the panel ID.
+    // Reaction panels (given `emojis`) get the bot's reactions instead of a button.
+    async createPanel(channel, { title, type, curated, roles, emojis = null }, createdBy, roleManager, panels, dataManager) {
+        const panelId = `${channel.guild.id}_${Date.now()}`;
+        const { content: panelContent } = this.buildPanelContent(title, roles, emojis);
+
+        const panelMessage = await channel.send({
+            content: panelContent,
+            components: emojis ? [] : [roleManager.createRolePanelButton(panelId, title, roles.length)],
+            allowedMentions: { parse: [] }
+        });
+
+        const panelData = {
+            guildId: channel.guild.id,
             channelId: channel.id,
+            messageId: panelMessage.id,
             title: title,
             type: type,
-            interfaceType: 'button',
+            interfaceType: emojis ? 'reaction' : 'button',
+            curated: curated,
             roles: roles.map(r => r.id),
             createdAt: new Date().toISOString(),
-            createdBy: interaction.user.id
-        });
-        
+            createdBy: createdBy
+        };
+        if (emojis) panelData.emojis = emojis;
+
+        if (emojis) {
+            // A panel members can't react to properly isn't kept
+            const failed = await this.syncPanelReactions(panelMessage, panelData);
+            if (failed.length > 0) {
+                await panelMessage.delete().catch(() => {});
+                throw new Error(`Couldn't react with ${failed.join(' ')} - use emojis from this server or standard ones`);
+            }
+        }
+
+        panels.set(panelId, panelData);
+        await dataManager.saveData();
+
+        return panelId;
+    },
+
+    async handleCreateReactionPanel(interaction, serverManager, dataManager, roleManager, panels) {
+        const title = interaction.options.getString('title');
+        const channel = interaction.options.getChannel('channel');
+        const type = interaction.options.getString('type') || 'safe';
+        const pairs = parseRoleEmojiPairs(interaction.options.getString('roles'));
+
+        if (pairs.length === 0) {
+            return interaction.reply({
+                content: '❌ Give each role as a mention followed by its emoji, e.g. `@Gamer 🎮 @Artist 🎨`.',
+                ephemeral: true
+            });
+        }
+        if (pairs.length > MAX_REACTIONS) {
+            return interaction.reply({ content: `❌ A message can only have ${MAX_REACTIONS} different reactions!`, ephemeral: true });
+        }
+
+        const emojiKeys = pairs.map(pair => emojiKey(pair.emoji));
+        if (new Set(emojiKeys).size !== emojiKeys.length) {
+            return interaction.reply({ content: '❌ Each role needs its own emoji!', ephemeral: true });
+        }
+        const unusable = pairs.filter(pair => !isUsableEmoji(interaction.client, pair.emoji));
+        if (unusable.length > 0) {
+            return interaction.reply({
+                content: `❌ I can't react with ${unusable.map(pair => `\`${pair.emoji}\``).join(', ')}. Use standard emojis or emojis from a server I'm in.`,
+                ephemeral: true
+            });
+        }
+
+        const settings = serverManager.getSettings(interaction.guild.id);
+        const allowedIds = new Set(serverManager.filterRoles(interaction.guild, type, settings.blacklistedRoles).map(role => role.id));
+        const skipped = pairs.filter(pair => !allowedIds.has(pair.roleId));
+        if (skipped.length > 0) {
+            return interaction.reply({
+                content: `❌ These roles can't be offered on a panel (managed, above my highest role, blacklisted${type === 'safe' ? ' or dangerous permissions' : ''}): ` +
+                    skipped.map(pair => `<@&${pair.roleId}>`).join(', '),
+                allowedMentions: { parse: [] },
+                ephemeral: true
+            });
+        }
+
+        const roles = [...new Map(pairs.map(pair => [pair.roleId, interaction.guild.roles.cache.get(pair.roleId)])).values()];
+        if (roles.length !== pairs.length) {
+            return interaction.reply({ content: '❌ Each role can only appear once!', ephemeral: true });
+        }
+
+        const me = interaction.guild.members.me;
+        if (!channel.permissionsFor(me).has(['SendMessages', 'AddReactions', 'ReadMessageHistory'])) {
+            return interaction.reply({
+                content: '❌ I need Send Messages, Add Reactions and Read Message History permissions in that channel!',
+                ephemeral: true
+            });
+        }
+
         await interaction.deferReply({ ephemeral: true });
-        
+
+        const emojis = Object.fromEntries(pairs.map(pair => [pair.roleId, pair.emoji]));
         try {
-            await serverManager.syncUserRoles(interaction.guild);
+            await this.createPanel(channel, { title, type, curated: true, roles, emojis }, interaction.user.id, roleManager, panels, dataManager);
+
+            const confirmEmbed = new EmbedBuilder()
+                .setTitle('✅ Reaction Role Panel Created!')
+                .setDescription(
+                    `**Location:** ${channel}\n**Roles:** ${roles.length}\n**Type:** ${type}\n**Interface:** Reactions\n\n` +
+                    pairs.map(pair => `${pair.emoji} → <@&${pair.roleId}>`).join('\n')
+                )
+                .setColor(0x00FF99)
+                .setTimestamp();
+
+            await interaction.editReply({ embeds: [confirmEmbed] });
+            console.log(`🎭 ${interaction.user.tag} created reaction panel "${title}" with ${roles.length} roles in ${interaction.guild.name}`);
+
         } catch (error) {
-            console.error('❌ Error syncing roles before panel creation:', error);
+            console.error('❌ Error creating reaction role panel:', error);
+            await interaction.editReply({
+                content: `❌ Failed to create the reaction panel: ${error.message}`
+            });
         }
-        
-        const buttonRow = roleManager.createRolePanelButton(panelId, title, roles.length);
+    },
+
+    // Make sure the bot has reacted with every panel emoji, so members only have
+    // to click, and take back its reactions for emojis no longer on the panel
+    // (or for roles it can't hand out right now). Returns the emojis it couldn't react with.
+    async syncPanelReactions(message, panelData, roleIds = panelData.roles) {
+        const wanted = new Map(roleIds
+            .filter(roleId => panelData.emojis?.[roleId])
+            .map(roleId => [emojiKey(panelData.emojis[roleId]), panelData.emojis[roleId]]));
+        const failed = [];
+
+        for (const reaction of message.reactions.cache.values()) {
+            if (reaction.me && !wanted.has(reaction.emoji.id || reaction.emoji.name)) {
+                await reaction.users.remove().catch(() => {});
+            }
+        }
+
+        for (const [key, emoji] of wanted) {
+            if (message.reactions.cache.get(key)?.me) continue;
+            try {
+                await message.react(emoji);
+            } catch (error) {
+                failed.push(emoji);
+            }
+        }
+
+        return failed;
+    },
+
+    async handleCreateCuratedPanel(interaction, serverManager, dataManager, roleManager, panels) {
+        const title = interaction.options.getString('title');
+        const channel = interaction.options.getChannel('channel');
+        const type = interaction.options.getString('type') || 'safe';
+        const pattern = interaction.options.getString('pattern');
+
+        const pickedRoles = [];
+        for (let i = 1; i <= PICKED_ROLE_OPTIONS; i++) {
+            const role = interaction.options.getRole(`role${i}`);
+            if (role) pickedRoles.push(role);
+        }
+
+        if (pickedRoles.length === 0 && !pattern) {
+            // Nothing given on the command, so let them pick from a role menu
+            const token = interaction.id;
+            pendingCuratedPanels.set(token, {
+                guildId: interaction.guild.id,
+                userId: interaction.user.id,
+                title,
+                channelId: channel.id,
+                type,
+                expiresAt: Date.now() + CURATE_PICK_TIMEOUT
+            });
+            setTimeout(() => pendingCuratedPanels.delete(token), CURATE_PICK_TIMEOUT);
+
+            const pickRow = new ActionRowBuilder().addComponents(
+                new RoleSelectMenuBuilder()
+                    .setCustomId(`role_curate_${token}`)
+                    .setPlaceholder('Pick the roles for this panel')
+                    .setMinValues(1)
+                    .setMaxValues(25)
+            );
+
+            return interaction.reply({
+                content: `🎭 Choose the roles for **${title}** in ${channel}. The panel is posted as soon as you pick.`,
+                components: [pickRow],
+                ephemeral: true
+            });
+        }
+
+        if (pattern) {
+            const matches = rolePatternMatcher(pattern);
+            interaction.guild.roles.cache
+                .filter(role => role.name !== '@everyone' && matches(role.name))
+                .sort((a, b) => b.position - a.position)
+                .forEach(role => pickedRoles.push(role));
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+        await this.finishCuratedPanel(interaction, channel, { title, type, pattern }, pickedRoles, serverManager, dataManager, roleManager, panels);
+    },
+
+    async handleCuratedSelect(interaction, serverManager, dataManager, roleManager, panels) {
+        const token = interaction.customId.replace('role_curate_', '');
+        const pending = pendingCuratedPanels.get(token);
+
+        if (!pending || pending.expiresAt < Date.now() || pending.guildId !== interaction.guild.id) {
+            return interaction.update({
+                content: '⌛ This role picker has expired. Run `/roles panel-custom` again.',
+                components: []
+            });
+        }
+
+        if (pending.userId !== interaction.user.id) {
+            return interaction.reply({ content: '❌ Only the person who started this panel can pick its roles.', ephemeral: true });
+        }
+
+        pendingCuratedPanels.delete(token);
+
+        const channel = interaction.guild.channels.cache.get(pending.channelId);
+        if (!channel) {
+            return interaction.update({ content: '❌ The panel channel no longer exists.', components: [] });
+        }
+
+        await interaction.update({ content: '⏳ Creating panel...', components: [] });
+
+        const pickedRoles = interaction.values
+            .map(roleId => interaction.guild.roles.cache.get(roleId))
+            .filter(role => role)
+            .sort((a, b) => b.position - a.position);
+
+        await this.finishCuratedPanel(interaction, channel, pending, pickedRoles, serverManager, dataManager, roleManager, panels);
+    },
+
+    // Create a curated panel from the picked roles, skipping any the panel type
+    // doesn't allow. The interaction must already be deferred or updated.
+    async finishCuratedPanel(interaction, channel, { title, type, pattern }, pickedRoles, serverManager, dataManager, roleManager, panels) {
+        const settings = serverManager.getSettings(interaction.guild.id);
+        const allowedIds = new Set(serverManager.filterRoles(interaction.guild, type, settings.blacklistedRoles).map(role => role.id));
+
+        const uniqueRoles = [...new Map(pickedRoles.map(role => [role.id, role])).values()];
+        const roles = uniqueRoles.filter(role => allowedIds.has(role.id));
+        const skipped = uniqueRoles.filter(role => !allowedIds.has(role.id));
+
+        const skippedNote = skipped.length > 0
+            ? `\n\n⚠️ **Skipped ${skipped.length}** (managed, above my highest role, blacklisted${type === 'safe' ? ' or dangerous permissions' : ''}):\n` +
+                skipped.slice(0, 10).map(role => `• ${role.name}`).join('\n') +
+                (skipped.length > 10 ? `\n*...and ${skipped.length - 10} more*` : '')
+            : '';
+
+        if (roles.length === 0) {
+            return interaction.editReply({
+                content: (pattern && uniqueRoles.length === 0
+                    ? `❌ No roles match **${pattern}**!`
+                    : '❌ None of those roles can be offered on a panel!') + skippedNote
+            });
+        }
+
+        try {
+            await this.createPanel(channel, { title, type, curated: true, roles }, interaction.user.id, roleManager, panels, dataManager);
+
+            const confirmEmbed = new EmbedBuilder()
+                .setTitle('✅ Role Panel Created!')
+                .setDescription(
+                    `**Location:** ${channel}\n**Roles:** ${roles.length}\n**Type:** Hand-picked (${type})\n**Interface:** Button-based selector\n\n` +
+                    `*This panel keeps its own role list when \`/roles refresh\` runs. Change it with \`/roles panel-edit\`.*` +
+                    skippedNote
+                )
+                .setColor(skipped.length === 0 ? 0x00FF99 : 0xF39C12)
+                .setTimestamp();
 
-        // Build role list with character limit handling (Discord limit: 2000 chars)
+            await interaction.editReply({ content: '', embeds: [confirmEmbed] });
+            console.log(`🎭 ${interaction.user.tag} created curated panel "${title}" with ${roles.length} roles in ${interaction.guild.name}`);
+
+        } catch (error) {
+            console.error('❌ Error creating curated role panel:', error);
+            await interaction.editReply({
+                content: '❌ Failed to create role panel! Check bot permissions and try again.'
+            });
+        }
+    },
+
+    // Build the public panel message text, listing as many roles as fit
+    // within Discord's 2000 character limit. Reaction panels pass their emojis.
+    buildPanelContent(title, roles, emojis = null) {
         const baseContent = `# 🎭 ${title}\n\n` +
-            `### Click the **Role Selector** button below to manage your roles!\n\n` +
+            (emojis
+                ? `### React below to get a role, remove your reaction to drop it!\n\n`
+                : `### Click the **Role Selector** button below to manage your roles!\n\n`) +
             `**📋 Available Roles (${roles.length}):**\n`;
-        const footer = `\n\n---\n*Use the button to open your private role selector!*`;
+        const footer = emojis
+            ? `\n\n---\n*Roles are given as soon as you react!*`
+            : `\n\n---\n*Use the button to open your private role selector!*`;
 
         const maxLength = 1900; // Leave buffer for safety
         let rolesList = '';
         let shownRoles = 0;
 
-        // Try to fit all roles within character limit
         for (let i = 0; i < roles.length; i++) {
-            const roleEntry = `• **${roles[i].name}**\n`;
+            const roleEntry = `${emojis ? emojis[roles[i].id] : '•'} **${roles[i].name}**\n`;
             const testContent = baseContent + rolesList + roleEntry +
                 (i < roles.length - 1 ? `\n*...and ${roles.length - i - 1} more roles*` : '') + footer;
 
@@ -169,34 +666,455 @@ module.exports = {
             shownRoles++;
         }
 
-        const panelContent = baseContent + rolesList + footer;
-        
-        try {
-            const panelMessage = await channel.send({ 
-                content: panelContent, 
-                components: [buttonRow],
-                allowedMentions: { parse: [] }
+        return { content: baseContent + rolesList + footer, shownRoles };
+    },
+
+    // Find one of this guild's panels by message ID or (case-insensitive) title.
+    // Returns { panelId, panelData } or { error } with a message for the user.
+    findPanel(panels, guildId, query) {
+        const guildPanels = Array.from(panels.entries())
+            .filter(([, panelData]) => panelData.guildId === guildId);
+
+        const byMessage = guildPanels.find(([, panelData]) => panelData.messageId === query.trim());
+        if (byMessage) return { panelId: byMessage[0], panelData: byMessage[1] };
+
+        const byTitle = guildPanels.filter(([, panelData]) => panelData.title.toLowerCase() === query.trim().toLowerCase());
+        if (byTitle.length === 1) return { panelId: byTitle[0][0], panelData: byTitle[0][1] };
+        if (byTitle.length > 1) {
+            return { error: `❌ ${byTitle.length} panels are called **${byTitle[0][1].title}**. Use the panel's message ID instead.` };
+        }
+
+        return { error: `❌ No role panel found matching **${query}**. Use the panel title or its message ID.` };
+    },
+
+    // Rewrite the posted panel message in place with the panel's current title and roles
+    async renderPanelMessage(guild, panelData, roles) {
+        const channel = guild.channels.cache.get(panelData.channelId);
+        if (!channel) {
+            return { success: false, error: 'Channel not found' };
+        }
+
+        const message = await channel.messages.fetch(panelData.messageId).catch(() => null);
+        if (!message) {
+            return { success: false, error: 'Message not found' };
+        }
+
+        const reactionPanel = panelData.interfaceType === 'reaction';
+        const { content: panelContent, shownRoles } = this.buildPanelContent(panelData.title, roles, reactionPanel ? panelData.emojis : null);
+        await message.edit({
+            content: panelContent,
+            components: message.components
+        });
+
+        if (reactionPanel) {
+            const failed = await this.syncPanelReactions(message, panelData, roles.map(role => role.id));
+            if (failed.length > 0) {
+                return { success: false, error: `Couldn't react with ${failed.join(' ')}` };
+            }
+        }
+
+        return { success: true, shownRoles, totalRoles: roles.length };
+    },
+
+    async handlePanelEdit(interaction, serverManager, dataManager, panels) {
+        const found = this.findPanel(panels, interaction.guild.id, interaction.options.getString('panel'));
+        if (found.error) {
+            return interaction.reply({ content: found.error, ephemeral: true });
+        }
+
+        const { panelId, panelData } = found;
+        const newTitle = interaction.options.getString('title');
+        const addRole = interaction.options.getRole('add_role');
+        const emoji = interaction.options.getString('emoji')?.trim();
+        const removeRole = interaction.options.getRole('remove_role');
+        const moveRole = interaction.options.getRole('move_role');
+        const position = interaction.options.getInteger('position');
+        const exclusive = interaction.options.getBoolean('exclusive');
+        const maxSelections = interaction.options.getInteger('max_selections');
+        const expireMinutes = interaction.options.getInteger('expire_minutes');
+
+        if (!newTitle && !addRole && !removeRole && !moveRole && exclusive === null && maxSelections === null && expireMinutes === null) {
+            return interaction.reply({
+                content: '❌ Nothing to change! Give a new `title`, a role to add, remove or move, selection limits or an expiry.',
+                ephemeral: true
             });
-            
-            const panelData = panels.get(panelId);
-            panelData.messageId = panelMessage.id;
-            panels.set(panelId, panelData);
-            await dataManager.saveData();
-            
-            const confirmEmbed = new EmbedBuilder()
-                .setTitle('✅ Role Panel Created!')
-                .setDescription(`**Location:** ${channel}\n**Roles:** ${roles.length}\n**Type:** ${type}\n**Interface:** Button-based selector`)
-                .setColor(0x00FF99)
+        }
+        const reactionPanel = panelData.interfaceType === 'reaction';
+        if (emoji && (!addRole || !reactionPanel)) {
+            return interaction.reply({ content: '❌ `emoji` is only used with `add_role` on a reaction panel.', ephemeral: true });
+        }
+        if (addRole && reactionPanel) {
+            if (!emoji) {
+                return interaction.reply({ content: '❌ Reaction panels need an `emoji` for the new role!', ephemeral: true });
+            }
+            if (!isUsableEmoji(interaction.client, emoji)) {
+                return interaction.reply({ content: `❌ I can't react with \`${emoji}\`. Use a standard emoji or one from a server I'm in.`, ephemeral: true });
+            }
+            if (Object.values(panelData.emojis || {}).some(existing => emojiKey(existing) === emojiKey(emoji))) {
+                return interaction.reply({ content: `❌ ${emoji} is already used on this panel!`, ephemeral: true });
+            }
+            if (panelData.roles.length - (removeRole ? 1 : 0) >= MAX_REACTIONS) {
+                return interaction.reply({ content: `❌ A message can only have ${MAX_REACTIONS} different reactions!`, ephemeral: true });
+            }
+        }
+        if (position && !addRole && !moveRole) {
+            return interaction.reply({ content: '❌ `position` needs a `move_role` or `add_role` to place.', ephemeral: true });
+        }
+        if (addRole && moveRole && position) {
+            return interaction.reply({ content: '❌ `position` can only place one role at a time - add or move, not both.', ephemeral: true });
+        }
+
+        const roleIds = [...panelData.roles];
+        const changes = [];
+
+        if (removeRole) {
+            const index = roleIds.indexOf(removeRole.id);
+            if (index === -1) {
+                return interaction.reply({ content: `❌ **${removeRole.name}** isn't on this panel!`, ephemeral: true });
+            }
+            roleIds.splice(index, 1);
+            changes.push(`➖ Removed **${removeRole.name}**`);
+        }
+
+        if (addRole) {
+            if (roleIds.includes(addRole.id)) {
+                return interaction.reply({ content: `❌ **${addRole.name}** is already on this panel!`, ephemeral: true });
+            }
+
+            // Same rules as panel creation: assignable by the bot, not blacklisted,
+            // and no dangerous permissions unless this is an "all roles" panel
+            const settings = serverManager.getSettings(interaction.guild.id);
+            const assignable = serverManager.filterRoles(interaction.guild, panelData.type || 'safe', settings.blacklistedRoles)
+                .some(role => role.id === addRole.id);
+            if (!assignable) {
+                return interaction.reply({
+                    content: `❌ **${addRole.name}** can't be offered on this panel. It may be managed by an integration, above my highest role, blacklisted, or have dangerous permissions.`,
+                    ephemeral: true
+                });
+            }
+
+            const index = position && !moveRole ? Math.min(position, roleIds.length + 1) - 1 : roleIds.length;
+            roleIds.splice(index, 0, addRole.id);
+            changes.push(`➕ Added **${addRole.name}** at position ${index + 1}`);
+        }
+
+        if (moveRole) {
+            const from = roleIds.indexOf(moveRole.id);
+            if (from === -1) {
+                return interaction.reply({ content: `❌ **${moveRole.name}** isn't on this panel!`, ephemeral: true });
+            }
+            if (!position) {
+                return interaction.reply({ content: '❌ Give a `position` to move the role to.', ephemeral: true });
+            }
+
+            const to = Math.min(position, roleIds.length) - 1;
+            roleIds.splice(from, 1);
+            roleIds.splice(to, 0, moveRole.id);
+            changes.push(`↕️ Moved **${moveRole.name}** to position ${to + 1}`);
+        }
+
+        if (roleIds.length === 0) {
+            return interaction.reply({ content: '❌ A panel needs at least one role!', ephemeral: true });
+        }
+
+        if (newTitle) {
+            changes.unshift(`✏️ Title: **${panelData.title}** → **${newTitle}**`);
+            panelData.title = newTitle;
+        }
+
+        if (exclusive !== null) {
+            panelData.exclusive = exclusive;
+            changes.push(exclusive ? '🔘 Members can now pick only **one** role from this panel' : '☑️ Members can pick several roles again');
+        }
+
+        if (maxSelections !== null) {
+            panelData.maxSelections = maxSelections || null;
+            changes.push(maxSelections ? `🔢 Members can pick up to **${maxSelections}** roles` : '🔢 No limit on how many roles members pick');
+        }
+
+        if (expireMinutes !== null) {
+            // Only affects roles picked from now on; running timers keep their expiry
+            panelData.durationMinutes = expireMinutes || null;
+            changes.push(expireMinutes ? `⏳ Picked roles are taken away after **${describeMinutes(expireMinutes)}**` : '⏳ Picked roles are kept until members remove them');
+        }
+
+        const rolesChanged = addRole || removeRole || moveRole;
+        if (rolesChanged) {
+            panelData.roles = roleIds;
+            if (removeRole && panelData.exclusiveGroups) {
+                panelData.exclusiveGroups = this.withoutGroupRole(panelData.exclusiveGroups, removeRole.id);
+            }
+            if (removeRole && panelData.roleRules) {
+                delete panelData.roleRules[removeRole.id];
+            }
+            if (reactionPanel) {
+                if (removeRole) delete panelData.emojis[removeRole.id];
+                if (addRole) panelData.emojis[addRole.id] = emoji;
+            }
+            // Hand-edited panels keep their list; /roles refresh no longer re-fetches it
+            panelData.curated = true;
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+        await dataManager.saveData();
+
+        const roles = panelData.roles
+            .map(roleId => interaction.guild.roles.cache.get(roleId))
+            .filter(role => role);
+        const result = await this.renderPanelMessage(interaction.guild, panelData, roles);
+
+        const editEmbed = new EmbedBuilder()
+            .setTitle('✏️ Role Panel Updated!')
+            .setDescription(
+                `${changes.join('\n')}\n\n` +
+                `**Roles:** ${roles.length}\n` +
+                (result.success
+                    ? `**Message:** [updated](https://discord.com/channels/${interaction.guild.id}/${panelData.channelId}/${panelData.messageId})`
+                    : `⚠️ The panel was saved but its message couldn't be updated: ${result.error}`) +
+                (rolesChanged ? '\n\n*This panel now keeps its own role list when `/roles refresh` runs.*' : '')
+            )
+            .setColor(result.success ? 0x00FF99 : 0xF39C12)
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [editEmbed] });
+        console.log(`✏️ ${interaction.user.tag} edited role panel ${panelId} in ${interaction.guild.name}`);
+    },
+
+    async handlePanelGroup(interaction, dataManager, panels) {
+        const found = this.findPanel(panels, interaction.guild.id, interaction.options.getString('panel'));
+        if (found.error) {
+            return interaction.reply({ content: found.error, ephemeral: true });
+        }
+
+        const { panelData } = found;
+        const action = interaction.options.getString('action');
+        const groupName = interaction.options.getString('group');
+        const role = interaction.options.getRole('role');
+        const groups = panelData.exclusiveGroups || [];
+        const group = groupName ? groups.find(g => g.name.toLowerCase() === groupName.toLowerCase()) : null;
+
+        if (action === 'view') {
+            const groupList = groups.map(g => {
+                const roleNames = g.roles
+                    .map(id => interaction.guild.roles.cache.get(id))
+                    .filter(r => r)
+                    .map(r => r.name);
+                return `**${g.name}** - pick one of: ${roleNames.join(', ') || '*no roles*'}`;
+            });
+
+            const viewEmbed = new EmbedBuilder()
+                .setTitle(`🔘 Groups on ${panelData.title}`)
+                .setDescription(
+                    (groupList.join('\n') || '*No groups - members can pick any mix of roles*') +
+                    (panelData.exclusive ? '\n\n⚠️ The whole panel is pick-one, so groups are ignored until `exclusive` is turned off.' : '') +
+                    (panelData.maxSelections ? `\n\n🔢 Members can pick up to **${panelData.maxSelections}** roles in total.` : '')
+                )
+                .setColor(0x3498DB)
                 .setTimestamp();
-            
-            await interaction.editReply({ embeds: [confirmEmbed] });
-            
-        } catch (error) {
-            console.error('❌ Error creating role panel:', error);
-            await interaction.editReply({ 
-                content: '❌ Failed to create role panel! Check bot permissions and try again.'
+
+            return interaction.reply({ embeds: [viewEmbed], ephemeral: true });
+        }
+
+        if (!groupName) {
+            return interaction.reply({ content: '❌ Please give a `group` name!', ephemeral: true });
+        }
+
+        let message;
+        switch (action) {
+            case 'add': {
+                if (!role) return interaction.reply({ content: '❌ Please specify a role!', ephemeral: true });
+                if (!panelData.roles.includes(role.id)) {
+                    return interaction.reply({ content: `❌ **${role.name}** isn't on this panel! Add it with \`/roles panel-edit\` first.`, ephemeral: true });
+                }
+
+                const current = groups.find(g => g.roles.includes(role.id));
+                if (current) {
+                    return interaction.reply({ content: `❌ **${role.name}** is already in the **${current.name}** group!`, ephemeral: true });
+                }
+
+                if (group) {
+                    group.roles.push(role.id);
+                } else {
+                    groups.push({ name: groupName, roles: [role.id] });
+                }
+                message = `✅ Added **${role.name}** to the **${group ? group.name : groupName}** group. Members can pick only one role from it.`;
+                break;
+            }
+
+            case 'remove':
+                if (!role) return interaction.reply({ content: '❌ Please specify a role!', ephemeral: true });
+                if (!group || !group.roles.includes(role.id)) {
+                    return interaction.reply({ content: `❌ **${role.name}** isn't in a group called **${groupName}**!`, ephemeral: true });
+                }
+
+                panelData.exclusiveGroups = this.withoutGroupRole(groups, role.id);
+                message = `✅ Removed **${role.name}** from the **${group.name}** group.`;
+                break;
+
+            case 'delete':
+                if (!group) {
+                    return interaction.reply({ content: `❌ No group called **${groupName}** on this panel!`, ephemeral: true });
+                }
+
+                panelData.exclusiveGroups = groups.filter(g => g !== group);
+                message = `🗑️ Deleted the **${group.name}** group. Its roles stay on the panel.`;
+                break;
+        }
+
+        if (action === 'add') panelData.exclusiveGroups = groups;
+        await dataManager.saveData();
+
+        await interaction.reply({
+            content: message + '\n\n*Members with a role selector already open need to click the button again.*',
+            ephemeral: true
+        });
+    },
+
+    async handlePanelRule(interaction, dataManager, panels) {
+        const found = this.findPanel(panels, interaction.guild.id, interaction.options.getString('panel'));
+        if (found.error) {
+            return interaction.reply({ content: found.error, ephemeral: true });
+        }
+
+        const { panelData } = found;
+        const action = interaction.options.getString('action');
+        const role = interaction.options.getRole('role');
+        const otherRole = interaction.options.getRole('other_role');
+        const days = interaction.options.getInteger('days');
+        const minutes = interaction.options.getInteger('minutes');
+        const roleRules = panelData.roleRules || {};
+
+        if (action === 'view') {
+            const ruleLines = Object.entries(roleRules)
+                .filter(([roleId]) => !role || roleId === role.id)
+                .map(([roleId, rules]) => `**${interaction.guild.roles.cache.get(roleId)?.name || 'Deleted role'}** - ${this.describeRoleRules(interaction.guild, rules)}`);
+
+            const viewEmbed = new EmbedBuilder()
+                .setTitle(`🔒 Role Rules on ${panelData.title}`)
+                .setDescription(ruleLines.join('\n') || '*No rules - anyone can pick any role*')
+                .setColor(0x3498DB)
+                .setTimestamp();
+
+            return interaction.reply({ embeds: [viewEmbed], ephemeral: true });
+        }
+
+        if (!role) {
+            return interaction.reply({ content: '❌ Please specify the panel `role` the rule is for!', ephemeral: true });
+        }
+        if (!panelData.roles.includes(role.id)) {
+            return interaction.reply({ content: `❌ **${role.name}** isn't on this panel!`, ephemeral: true });
+        }
+
+        const rules = roleRules[role.id] || { requires: [], excludes: [], minTenureDays: 0, durationMinutes: 0 };
+        let message;
+
+        switch (action) {
+            case 'require':
+            case 'exclude': {
+                if (!otherRole) return interaction.reply({ content: '❌ Please specify the `other_role`!', ephemeral: true });
+                if (otherRole.id === role.id) {
+                    return interaction.reply({ content: '❌ A role can\'t require or exclude itself!', ephemeral: true });
+                }
+
+                // A role is either required or excluded, never both
+                const [list, opposite] = action === 'require' ? ['requires', 'excludes'] : ['excludes', 'requires'];
+                rules[opposite] = rules[opposite].filter(id => id !== otherRole.id);
+                if (!rules[list].includes(otherRole.id)) rules[list].push(otherRole.id);
+
+                message = action === 'require'
+                    ? `✅ Members now need **${otherRole.name}** to pick **${role.name}**.`
+                    : `✅ **${role.name}** and **${otherRole.name}** can no longer be held together.`;
+                break;
+            }
+
+            case 'allow':
+                if (!otherRole) return interaction.reply({ content: '❌ Please specify the `other_role`!', ephemeral: true });
+
+                rules.requires = rules.requires.filter(id => id !== otherRole.id);
+                rules.excludes = rules.excludes.filter(id => id !== otherRole.id);
+                message = `✅ **${role.name}** no longer requires or excludes **${otherRole.name}**.`;
+                break;
+
+            case 'tenure':
+                if (days === null) return interaction.reply({ content: '❌ Please specify `days`!', ephemeral: true });
+
+                rules.minTenureDays = days;
+                message = days
+                    ? `✅ Members must be in the server for **${days} days** to pick **${role.name}**.`
+                    : `✅ **${role.name}** no longer has a minimum tenure.`;
+                break;
+
+            case 'expire':
+                if (minutes === null) return interaction.reply({ content: '❌ Please specify `minutes`!', ephemeral: true });
+
+                rules.durationMinutes = minutes;
+                message = minutes
+                    ? `✅ **${role.name}** is taken away **${describeMinutes(minutes)}** after it's picked.`
+                    : `✅ **${role.name}** now follows the panel's expiry setting.`;
+                break;
+
+            case 'clear':
+                rules.requires = [];
+                rules.excludes = [];
+                rules.minTenureDays = 0;
+                rules.durationMinutes = 0;
+                message = `🗑️ Cleared all rules for **${role.name}**.`;
+                break;
+        }
+
+        if (rules.requires.length > 0 || rules.excludes.length > 0 || rules.minTenureDays || rules.durationMinutes) {
+            roleRules[role.id] = rules;
+        } else {
+            delete roleRules[role.id];
+        }
+        panelData.roleRules = roleRules;
+        await dataManager.saveData();
+
+        await interaction.reply({
+            content: message + (roleRules[role.id] ? `\n\n**${role.name}:** ${this.describeRoleRules(interaction.guild, roleRules[role.id])}` : ''),
+            ephemeral: true
+        });
+    },
+
+    async handlePanelNotices(interaction, serverManager, dataManager) {
+        const channel = interaction.options.getChannel('channel');
+        const settings = serverManager.getSettings(interaction.guild.id);
+
+        if (channel && (!channel.isTextBased() || !channel.permissionsFor(interaction.guild.members.me).has(['SendMessages', 'EmbedLinks']))) {
+            return interaction.reply({
+                content: '❌ I need Send Messages and Embed Links permissions in that channel!',
+                ephemeral: true
             });
         }
+
+        settings.panelNoticeChannel = channel ? channel.id : null;
+        await dataManager.saveData();
+
+        await interaction.reply({
+            content: (channel
+                ? `🛠️ Panel changes caused by role edits will be posted in ${channel}.`
+                : '🛠️ Panel change notices turned off.') +
+                '\n\n*Panels always update when roles are created, renamed or deleted. ' +
+                'Hand-picked panels only lose roles; other panels also pick up new roles that fit their type.*',
+            ephemeral: true
+        });
+    },
+
+    describeRoleRules(guild, rules) {
+        const roleNames = ids => ids.map(id => guild.roles.cache.get(id)?.name || 'Deleted role').join(', ');
+        const parts = [];
+        if (rules.requires.length > 0) parts.push(`requires ${roleNames(rules.requires)}`);
+        if (rules.excludes.length > 0) parts.push(`not with ${roleNames(rules.excludes)}`);
+        if (rules.minTenureDays) parts.push(`${rules.minTenureDays}+ days in the server`);
+        if (rules.durationMinutes) parts.push(`expires after ${describeMinutes(rules.durationMinutes)}`);
+        return parts.join(' • ');
+    },
+
+    // Drop a role from any group, removing groups left empty
+    withoutGroupRole(groups, roleId) {
+        return groups
+            .map(g => ({ ...g, roles: g.roles.filter(id => id !== roleId) }))
+            .filter(g => g.roles.length > 0);
     },
 
     async handleBlacklist(interaction, serverManager, dataManager) {
@@ -255,6 +1173,85 @@ module.exports = {
         }
     },
 
+    async handleSticky(interaction, serverManager, dataManager) {
+        const action = interaction.options.getString('action');
+        const role = interaction.options.getRole('role');
+        const settings = serverManager.getSettings(interaction.guild.id);
+        
+        switch (action) {
+            case 'view': {
+                const excludedRoles = (settings.stickyRoles?.excludedRoles || [])
+                    .map(id => interaction.guild.roles.cache.get(id))
+                    .filter(role => role)
+                    .map(role => `• **${role.name}**`)
+                    .join('\n') || '*No excluded roles*';
+                
+                const viewEmbed = new EmbedBuilder()
+                    .setTitle('📌 Sticky Roles')
+                    .setDescription(
+                        (settings.stickyRoles
+                            ? '✅ **Enabled** - members who leave and rejoin get their last roles back.'
+                            : '❌ **Disabled** - rejoining members start with no roles.') +
+                        '\n\n*Blacklisted roles and roles with moderator permissions are never restored.*'
+                    )
+                    .addFields({ name: '🚫 Excluded Roles', value: excludedRoles.substring(0, 1024), inline: false })
+                    .setColor(settings.stickyRoles ? 0x2ECC71 : 0x95A5A6)
+                    .setTimestamp();
+                
+                await interaction.reply({ embeds: [viewEmbed], ephemeral: true });
+                break;
+            }
+            
+            case 'enable':
+                if (settings.stickyRoles) {
+                    return interaction.reply({ content: '❌ Sticky roles are already enabled!', ephemeral: true });
+                }
+                
+                settings.stickyRoles = { excludedRoles: [] };
+                await dataManager.saveData();
+                await interaction.reply({ content: '📌 Sticky roles enabled! Rejoining members get their last roles back.', ephemeral: true });
+                break;
+                
+            case 'disable':
+                settings.stickyRoles = null;
+                await dataManager.saveData();
+                await interaction.reply({ content: '📌 Sticky roles disabled!', ephemeral: true });
+                break;
+                
+            case 'exclude':
+            case 'include': {
+                if (!role) return interaction.reply({ content: '❌ Please specify a role!', ephemeral: true });
+                if (!settings.stickyRoles) {
+                    return interaction.reply({ content: '❌ Enable sticky roles first!', ephemeral: true });
+                }
+                
+                const excludedRoles = settings.stickyRoles.excludedRoles;
+                const index = excludedRoles.indexOf(role.id);
+                
+                if (action === 'exclude') {
+                    if (index !== -1) {
+                        return interaction.reply({ content: `❌ ${role.name} is already excluded!`, ephemeral: true });
+                    }
+                    excludedRoles.push(role.id);
+                } else {
+                    if (index === -1) {
+                        return interaction.reply({ content: `❌ ${role.name} is not excluded!`, ephemeral: true });
+                    }
+                    excludedRoles.splice(index, 1);
+                }
+                
+                await dataManager.saveData();
+                await interaction.reply({
+                    content: action === 'exclude'
+                        ? `✅ ${role.name} will not be restored on rejoin!`
+                        : `✅ ${role.name} will be restored on rejoin again!`,
+                    ephemeral: true
+                });
+                break;
+            }
+        }
+    },
+
     async handleRoleSync(interaction, serverManager, panels, dataManager) {
         await interaction.deferReply({ ephemeral: true });
 
@@ -428,31 +1425,7 @@ module.exports = {
 
                     if (roles.length === 0) continue;
 
-                    // Build role list with character limit handling
-                    const baseContent = `# 🎭 ${panelData.title}\n\n` +
-                        `### Click the **Role Selector** button below to manage your roles!\n\n` +
-                        `**📋 Available Roles (${roles.length}):**\n`;
-                    const footer = `\n\n---\n*Use the button to open your private role selector!*`;
-
-                    const maxLength = 1900;
-                    let rolesList = '';
-                    let shownRoles = 0;
-
-                    for (let i = 0; i < roles.length; i++) {
-                        const roleEntry = `• **${roles[i].name}**\n`;
-                        const testContent = baseContent + rolesList + roleEntry +
-                            (i < roles.length - 1 ? `\n*...and ${roles.length - i - 1} more roles*` : '') + footer;
-
-                        if (testContent.length > maxLength) {
-                            rolesList += `\n*...and ${roles.length - shownRoles} more roles*`;
-                            break;
-                        }
-
-                        rolesList += roleEntry;
-                        shownRoles++;
-                    }
-
-                    const panelContent = baseContent + rolesList + footer;
+                    const { content: panelContent, shownRoles } = this.buildPanelContent(panelData.title, roles);
 
                     // Update the message
                     await message.edit({
@@ -474,80 +1447,47 @@ module.exports = {
 
     async reloadSinglePanel(guild, panelId, panelData, serverManager) {
         try {
-            const channel = guild.channels.cache.get(panelData.channelId);
-            if (!channel) {
-                return { success: false, error: 'Channel not found' };
-            }
-
-            const message = await channel.messages.fetch(panelData.messageId).catch(() => null);
-            if (!message) {
-                return { success: false, error: 'Message not found' };
-            }
-
-            // RE-FETCH roles from server based on panel type
-            // This ensures new roles are included!
             const settings = serverManager.getSettings(guild.id);
-            const panelType = panelData.type || 'safe'; // Default to safe if not specified
+            let roles;
 
-            console.log(`🔄 Re-fetching ${panelType} roles for panel ${panelId}`);
+            if (panelData.curated) {
+                // Curated panels keep their hand-picked roles and order, minus any
+                // that were deleted or blacklisted since
+                roles = panelData.roles
+                    .map(roleId => guild.roles.cache.get(roleId))
+                    .filter(role => role && !settings.blacklistedRoles.includes(role.id));
 
-            // Store old count for logging
-            const oldRoleCount = panelData.roles.length;
+                console.log(`🔄 Keeping curated role list for panel ${panelId}`);
+            } else {
+                // RE-FETCH roles from server based on panel type
+                // This ensures new roles are included!
+                const panelType = panelData.type || 'safe'; // Default to safe if not specified
 
-            // Get fresh roles from the server
-            const freshRoles = serverManager.filterRoles(guild, panelType, settings.blacklistedRoles);
+                console.log(`🔄 Re-fetching ${panelType} roles for panel ${panelId}`);
 
-            if (freshRoles.length === 0) {
-                return { success: false, error: 'No roles available' };
+                roles = serverManager.filterRoles(guild, panelType, settings.blacklistedRoles);
             }
 
-            // Update panel data with new role IDs (this adds newly created roles!)
-            panelData.roles = freshRoles.map(r => r.id);
-
-            const rolesAdded = freshRoles.length - oldRoleCount;
-            console.log(`✅ Panel ${panelId} updated: ${freshRoles.length} roles (${rolesAdded > 0 ? '+' + rolesAdded : rolesAdded} from before)`);
-
-            const roles = freshRoles;
-
-            // Build role list with character limit handling
-            const baseContent = `# 🎭 ${panelData.title}\n\n` +
-                `### Click the **Role Selector** button below to manage your roles!\n\n` +
-                `**📋 Available Roles (${roles.length}):**\n`;
-            const footer = `\n\n---\n*Use the button to open your private role selector!*`;
-
-            const maxLength = 1900;
-            let rolesList = '';
-            let shownRoles = 0;
-
-            for (let i = 0; i < roles.length; i++) {
-                const roleEntry = `• **${roles[i].name}**\n`;
-                const testContent = baseContent + rolesList + roleEntry +
-                    (i < roles.length - 1 ? `\n*...and ${roles.length - i - 1} more roles*` : '') + footer;
-
-                if (testContent.length > maxLength) {
-                    rolesList += `\n*...and ${roles.length - shownRoles} more roles*`;
-                    break;
-                }
+            if (roles.length === 0) {
+                return { success: false, error: 'No roles available' };
+            }
 
-                rolesList += roleEntry;
-                shownRoles++;
+            const result = await this.renderPanelMessage(guild, panelData, roles);
+            if (!result.success) {
+                return result;
             }
 
-            const panelContent = baseContent + rolesList + footer;
+            // Store old count for logging
+            const oldRoleCount = panelData.roles.length;
 
-            // Update the message
-            await message.edit({
-                content: panelContent,
-                components: message.components
-            });
+            // Update panel data with new role IDs (this adds newly created roles!)
+            panelData.roles = roles.map(r => r.id);
 
-            console.log(`✅ Reloaded panel ${panelId} with ${shownRoles}/${roles.length} roles displayed`);
+            const rolesAdded = roles.length - oldRoleCount;
+            console.log(`✅ Panel ${panelId} updated: ${roles.length} roles (${rolesAdded > 0 ? '+' + rolesAdded : rolesAdded} from before)`);
+            console.log(`✅ Reloaded panel ${panelId} with ${result.shownRoles}/${roles.length} roles displayed`);
 
-            return {
-                success: true,
-                shownRoles: shownRoles,
-                totalRoles: roles.length
-            };
+            return result;
 
         } catch (error) {
             console.error(`❌ Error reloading panel ${panelId}:`, error);
@@ -639,6 +1579,26 @@ module.exports = {
             .setThumbnail(targetUser.displayAvatarURL({ dynamic: true, size: 128 }))
             .setTimestamp();
         
+        const invite = userRoleData.invite;
+        const inviterStats = serverManager.getInviteStats(interaction.guild.id)
+            .find(stats => stats.inviterId === targetUser.id);
+        if (invite || inviterStats) {
+            userEmbed.addFields(
+                {
+                    name: '📨 Joined With',
+                    value: invite
+                        ? `\`${invite.code}\`${invite.inviterId ? ` from <@${invite.inviterId}>` : ''} <t:${Math.floor(new Date(invite.joinedAt).getTime() / 1000)}:R>`
+                        : '*Unknown*',
+                    inline: true
+                },
+                {
+                    name: '🙋 Members Invited',
+                    value: inviterStats ? `${inviterStats.joins} (${inviterStats.stillHere} still here)` : '0',
+                    inline: true
+                }
+            );
+        }
+        
         await interaction.reply({ embeds: [userEmbed], ephemeral: true });
     },
 
@@ -691,3 +1651,44 @@ module.exports = {
         }
     }
 };
+
+// Role name matcher for the `pattern` option: * is a wildcard matching anything,
+// without one it's a case-insensitive "name contains" match
+function rolePatternMatcher(pattern) {
+    if (!pattern.includes('*')) {
+        const needle = pattern.toLowerCase();
+        return name => name.toLowerCase().includes(needle);
+    }
+
+    const source = pattern.split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    const regex = new RegExp(`^${source}$`, 'i');
+    return name => regex.test(name);
+}
+
+// Reaction panels store emojis as typed (unicode or <:name:id>); reactions
+// identify them by the unicode character or the custom emoji's ID
+function emojiKey(emoji) {
+    const custom = emoji.match(/^<a?:\w+:(\d+)>$/);
+    return custom ? custom[1] : emoji;
+}
+
+// Whether the bot can react with this: a standard emoji, or a custom one from a
+// server the bot is in
+function isUsableEmoji(client, emoji) {
+    const customId = emoji.match(/^<a?:\w+:(\d+)>$/)?.[1];
+    if (customId) return client.emojis.cache.has(customId);
+    return /^(?:\p{Extended_Pictographic}|\p{Regional_Indicator}|[#*0-9]\uFE0F?\u20E3)/u.test(emoji);
+}
+
+// "@Gamer 🎮 @Artist 🎨" -> [{ roleId, emoji }]
+function parseRoleEmojiPairs(text) {
+    const pairs = [];
+    for (const match of text.matchAll(/<@&(\d+)>\s*(<a?:\w+:\d+>|[^\s<,]+)/g)) {
+        pairs.push({ roleId: match[1], emoji: match[2] });
+    }
+    return pairs;
+}
+
+module.exports.emojiKey = emojiKey;
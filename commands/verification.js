@@ -0,0 +1,298 @@
+// 🛂 Verification Gate Commands
+// Holds the default role back until new members accept the server rules
+
+const {
+    SlashCommandBuilder,
+    EmbedBuilder,
+    PermissionFlagsBits,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle
+} = require('discord.js');
+
+const MAX_RULES_LENGTH = 3000;
+const MAX_ACCOUNT_AGE_DAYS = 365;
+const MAX_TIMEOUT_MINUTES = 7 * 24 * 60; // 1 week
+const DEFAULT_RULES_TEXT = '1. Be respectful to everyone.\n2. No spam, scams or advertising.\n3. Keep content in the right channels.\n4. Follow Discord\'s Terms of Service.';
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('verification')
+        .setDescription('Make new members accept the rules before they get the default role')
+        .addSubcommand(sub => sub
+            .setName('setup')
+            .setDescription('Turn on the rules gate')
+            .addStringOption(opt => opt
+                .setName('mode')
+                .setDescription('How members receive the rules')
+                .setRequired(true)
+                .addChoices(
+                    { name: 'Button on a rules message in a channel', value: 'button' },
+                    { name: 'Direct message on join', value: 'dm' }
+                ))
+            .addChannelOption(opt => opt
+                .setName('channel')
+                .setDescription('Channel for the rules message (required for button mode, DM fallback otherwise)'))
+            .addIntegerOption(opt => opt
+                .setName('min_account_age')
+                .setDescription('Days an account must exist before it can accept (0 = any age)')
+                .setMinValue(0)
+                .setMaxValue(MAX_ACCOUNT_AGE_DAYS))
+            .addIntegerOption(opt => opt
+                .setName('timeout')
+                .setDescription('Minutes to accept before being kicked (0 = never kick)')
+                .setMinValue(0)
+                .setMaxValue(MAX_TIMEOUT_MINUTES)))
+        .addSubcommand(sub => sub
+            .setName('rules')
+            .setDescription('Set the rules text members must accept (leave empty for the default)')
+            .addStringOption(opt => opt
+                .setName('text')
+                .setDescription('Rules text - use \\n for a new line')
+                .setMaxLength(MAX_RULES_LENGTH)))
+        .addSubcommand(sub => sub
+            .setName('status')
+            .setDescription('Show the gate settings and members waiting to accept'))
+        .addSubcommand(sub => sub
+            .setName('disable')
+            .setDescription('Turn off the rules gate'))
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+    async execute(interaction, serverManager, dataManager) {
+        const subcommand = interaction.options.getSubcommand();
+        const settings = serverManager.getSettings(interaction.guild.id);
+
+        try {
+            switch (subcommand) {
+                case 'setup':
+                    await this.handleSetup(interaction, settings, dataManager);
+                    break;
+                case 'rules':
+                    await this.handleRules(interaction, settings, dataManager);
+                    break;
+                case 'status':
+                    await this.handleStatus(interaction, settings);
+                    break;
+                case 'disable':
+                    await this.handleDisable(interaction, settings, dataManager);
+                    break;
+                default:
+                    await interaction.reply({
+                        content: '❌ Unknown subcommand!',
+                        ephemeral: true
+                    });
+            }
+        } catch (error) {
+            console.error('❌ Error in verification command:', error);
+
+            if (!interaction.replied && !interaction.deferred) {
+                await interaction.reply({
+                    content: '❌ **Command Error**\n\nSomething went wrong while processing the verification command.',
+                    ephemeral: true
+                });
+            } else if (interaction.deferred) {
+                await interaction.editReply({
+                    content: '❌ **Command Error**\n\nSomething went wrong while processing the verification command.'
+                });
+            }
+        }
+    },
+
+    // Rules embed with the "I agree" button, used in the rules channel and in DMs.
+    // The guild ID is in the button so it also works from a DM.
+    buildRulesMessage(guild, verification) {
+        const rulesText = (verification.rulesText || DEFAULT_RULES_TEXT).replace(/\\n/g, '\n');
+        const requirements = [];
+        if (verification.minAccountAgeDays) {
+            requirements.push(`Your account must be at least **${verification.minAccountAgeDays} days** old.`);
+        }
+        if (verification.timeoutMinutes) {
+            requirements.push(`Members who don't accept within **${describeMinutes(verification.timeoutMinutes)}** are removed.`);
+        }
+
+        const rulesEmbed = new EmbedBuilder()
+            .setTitle(`📜 ${guild.name} Rules`)
+            .setDescription(
+                rulesText +
+                '\n\nPress **I agree** to accept the rules and get access to the server.' +
+                (requirements.length > 0 ? `\n\n${requirements.map(line => `• ${line}`).join('\n')}` : '')
+            )
+            .setColor(0x3498DB);
+
+        const acceptRow = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`verify_accept_${guild.id}`)
+                .setLabel('I agree')
+                .setEmoji('✅')
+                .setStyle(ButtonStyle.Success)
+        );
+
+        return { embeds: [rulesEmbed], components: [acceptRow] };
+    },
+
+    // Edit the posted rules message in place, or post a new one; returns the message ID
+    async publishRulesMessage(guild, verification) {
+        const channel = guild.channels.cache.get(verification.channelId);
+        if (!channel) throw new Error('Rules channel not found');
+
+        const rulesMessage = this.buildRulesMessage(guild, verification);
+        const existing = verification.messageId
+            ? await channel.messages.fetch(verification.messageId).catch(() => null)
+            : null;
+
+        if (existing) {
+            await existing.edit(rulesMessage);
+            return existing.id;
+        }
+
+        const posted = await channel.send(rulesMessage);
+        return posted.id;
+    },
+
+    async handleSetup(interaction, settings, dataManager) {
+        const mode = interaction.options.getString('mode');
+        const channel = interaction.options.getChannel('channel');
+
+        if (mode === 'button' && !channel) {
+            return interaction.reply({
+                content: '❌ Button mode needs a `channel` to post the rules message in.',
+                ephemeral: true
+            });
+        }
+        if (channel && (!channel.isTextBased() || !channel.permissionsFor(interaction.guild.members.me).has(['SendMessages', 'EmbedLinks']))) {
+            return interaction.reply({
+                content: '❌ I need Send Messages and Embed Links permissions in that channel!',
+                ephemeral: true
+            });
+        }
+
+        const previous = settings.verification;
+        const verification = {
+            mode,
+            channelId: channel ? channel.id : null,
+            messageId: previous && channel && previous.channelId === channel.id ? previous.messageId : null,
+            rulesText: previous ? previous.rulesText : null,
+            minAccountAgeDays: interaction.options.getInteger('min_account_age') ?? previous?.minAccountAgeDays ?? 0,
+            timeoutMinutes: interaction.options.getInteger('timeout') ?? previous?.timeoutMinutes ?? 0
+        };
+
+        await interaction.deferReply({ ephemeral: true });
+
+        if (verification.channelId) {
+            verification.messageId = await this.publishRulesMessage(interaction.guild, verification);
+        }
+
+        settings.verification = verification;
+        await dataManager.saveData();
+
+        const setupEmbed = new EmbedBuilder()
+            .setTitle('🛂 Verification Gate Enabled!')
+            .setDescription(
+                this.describeVerification(verification) +
+                (settings.defaultRole
+                    ? `\n\nNew members get <@&${settings.defaultRole}> after they accept.`
+                    : '\n\n⚠️ No default role is set, so accepting grants nothing. Set one with `/welcome defaultrole`.')
+            )
+            .setColor(0x00FF99)
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [setupEmbed] });
+        console.log(`🛂 ${interaction.user.tag} enabled verification (${mode}) in ${interaction.guild.name}`);
+    },
+
+    async handleRules(interaction, settings, dataManager) {
+        const text = interaction.options.getString('text');
+        const verification = settings.verification;
+
+        if (!verification) {
+            return interaction.reply({
+                content: '❌ Verification isn\'t enabled. Run `/verification setup` first.',
+                ephemeral: true
+            });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        verification.rulesText = text || null;
+        if (verification.channelId) {
+            verification.messageId = await this.publishRulesMessage(interaction.guild, verification);
+        }
+        await dataManager.saveData();
+
+        await interaction.editReply({
+            content: text
+                ? '📜 Rules updated!' + (verification.channelId ? ` The message in <#${verification.channelId}> was refreshed.` : '')
+                : '📜 Rules reset to the default text.'
+        });
+    },
+
+    async handleStatus(interaction, settings) {
+        const verification = settings.verification;
+
+        if (!verification) {
+            return interaction.reply({
+                content: '🛂 Verification is **disabled**. New members get the default role as soon as they join.',
+                ephemeral: true
+            });
+        }
+
+        const pending = Object.entries(settings.pendingVerifications);
+        const pendingList = pending.slice(0, 10).map(([userId, entry]) =>
+            `<@${userId}> - joined <t:${Math.floor(new Date(entry.joinedAt).getTime() / 1000)}:R>` +
+            (entry.expiresAt ? `, removed <t:${Math.floor(new Date(entry.expiresAt).getTime() / 1000)}:R>` : '')
+        );
+
+        const statusEmbed = new EmbedBuilder()
+            .setTitle('🛂 Verification Status')
+            .setDescription(this.describeVerification(verification))
+            .addFields(
+                { name: '🎭 Default Role', value: settings.defaultRole ? `<@&${settings.defaultRole}>` : '*none*', inline: true },
+                { name: '⏳ Waiting', value: `${pending.length} members`, inline: true }
+            )
+            .setColor(0x3498DB)
+            .setTimestamp();
+
+        if (pendingList.length > 0) {
+            statusEmbed.addFields({
+                name: '👥 Waiting to Accept',
+                value: pendingList.join('\n') + (pending.length > 10 ? `\n*...and ${pending.length - 10} more*` : '')
+            });
+        }
+
+        await interaction.reply({ embeds: [statusEmbed], ephemeral: true });
+    },
+
+    async handleDisable(interaction, settings, dataManager) {
+        if (!settings.verification) {
+            return interaction.reply({ content: '🛂 Verification is already disabled.', ephemeral: true });
+        }
+
+        // Members still waiting keep their current roles but are no longer kicked
+        const waiting = Object.keys(settings.pendingVerifications).length;
+        settings.verification = null;
+        settings.pendingVerifications = {};
+        await dataManager.saveData();
+
+        await interaction.reply({
+            content: '🛂 Verification disabled. New members get the default role as soon as they join.' +
+                (waiting > 0 ? `\n\n⚠️ ${waiting} members who hadn't accepted yet won't be removed, but also didn't get the default role.` : ''),
+            ephemeral: true
+        });
+        console.log(`🛂 ${interaction.user.tag} disabled verification in ${interaction.guild.name}`);
+    },
+
+    describeVerification(verification) {
+        return `**Mode:** ${verification.mode === 'dm' ? 'Direct message on join' : 'Button on the rules message'}\n` +
+            `**Rules Message:** ${verification.channelId ? `<#${verification.channelId}>` : '*not posted*'}\n` +
+            `**Minimum Account Age:** ${verification.minAccountAgeDays ? `${verification.minAccountAgeDays} days` : 'any'}\n` +
+            `**Timeout:** ${verification.timeoutMinutes ? `kicked after ${describeMinutes(verification.timeoutMinutes)}` : 'never kicked'}`;
+    }
+};
+
+function describeMinutes(minutes) {
+    if (minutes % (24 * 60) === 0) return `${minutes / (24 * 60)} day${minutes === 24 * 60 ? '' : 's'}`;
+    if (minutes % 60 === 0) return `${minutes / 60} hour${minutes === 60 ? '' : 's'}`;
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+module.exports.describeMinutes = describeMinutes;
@@ -4,8 +4,43 @@
 const { 
     SlashCommandBuilder, 
     EmbedBuilder, 
-    PermissionFlagsBits 
+    PermissionFlagsBits,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle
 } = require('discord.js');
+const fetch = require('node-fetch');
+
+const MAX_WELCOME_TEMPLATES = 10;
+const MAX_TEMPLATE_LENGTH = 1500;
+const MAX_BACKGROUND_SIZE = 8 * 1024 * 1024; // 8 MB
+const CARD_PREVIEW_TIMEOUT = 10 * 60 * 1000; // 10 minutes
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+const MAX_INTERACTION_BUTTONS = 5;
+const BUTTON_KEY = /^[a-z0-9]{1,20}$/i;
+const MAX_BUTTON_LABEL = 40;
+const BUTTON_STYLES = ['Primary', 'Secondary', 'Success', 'Danger'];
+const CUSTOM_EMOJI = /^<a?:\w{2,32}:\d{17,20}>$/;
+const DOT_COLORS = ['#FFD700', '#FF4444', '#2ECC71', '#3498DB', '#9B59B6'];
+const LEADERBOARD_PAGE_SIZE = 10;
+
+// Starting points for /welcome card; 'default' clears all customisation
+const CARD_PRESETS = {
+    default: {},
+    sunset: { gradient: ['#ff7e5f', '#feb47b'], accentColor: '#fff3e0', textColor: '#5d2e1f' },
+    ocean: { gradient: ['#2193b0', '#6dd5ed'], accentColor: '#e0f7fa', textColor: '#0d3b4c' },
+    forest: { gradient: ['#134e5e', '#71b280'], accentColor: '#e8f5e9', textColor: '#1b3a2a' },
+    midnight: { gradient: ['#0f2027', '#203a43', '#2c5364'], accentColor: '#90caf9', panelColor: 'rgba(20, 30, 40, 0.85)', textColor: '#ffffff' },
+    mono: { gradient: ['#232526', '#414345'], accentColor: '#bdbdbd', panelColor: 'rgba(255, 255, 255, 0.85)', textColor: '#212121' }
+};
+
+const GOODBYE_PLACEHOLDER_HELP = '`{user}` `{user.name}` `{guild}` `{memberCount}` `{tenure}` `{roles}` - use `\\n` for a new line';
+
+// Unsaved card themes waiting for Save/Discard, keyed by the command's interaction ID
+const pendingCards = new Map();
+
+const PLACEHOLDER_HELP = '`{user}` `{user.mention}` `{user.name}` `{guild}` `{memberCount}` `{rulesChannel}` `{joinPosition}` - use `\\n` for a new line';
+const WELCOME_BACK_PLACEHOLDER_HELP = '`{user}` `{user.mention}` `{user.name}` `{guild}` `{memberCount}` `{timeAway}` `{restoredRoles}` - use `\\n` for a new line';
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -20,7 +55,15 @@ module.exports = {
                 .setRequired(true)))
         .addSubcommand(sub => sub
             .setName('test')
-            .setDescription('Test welcome message'))
+            .setDescription('Test welcome message')
+            .addIntegerOption(opt => opt
+                .setName('template')
+                .setDescription('Template number to test (random if not set)')
+                .setMinValue(1)
+                .setMaxValue(MAX_WELCOME_TEMPLATES))
+            .addBooleanOption(opt => opt
+                .setName('welcome_back')
+                .setDescription('Test the message for members who rejoin instead')))
         .addSubcommand(sub => sub
             .setName('disable')
             .setDescription('Disable welcome messages'))
@@ -45,13 +88,217 @@ module.exports = {
             .addBooleanOption(opt => opt
                 .setName('force')
                 .setDescription('Force set role even if it has dangerous permissions')))
+        .addSubcommand(sub => sub
+            .setName('leaderboard')
+            .setDescription('Rank members by welcome button presses')
+            .addStringOption(opt => opt
+                .setName('counter')
+                .setDescription('Button key to rank by, e.g. waves (default: first button)')
+                .setMaxLength(20))
+            .addStringOption(opt => opt
+                .setName('period')
+                .setDescription('Time range')
+                .addChoices(
+                    { name: 'All time', value: 'all' },
+                    { name: 'This month', value: 'month' }
+                ))
+            .addStringOption(opt => opt
+                .setName('format')
+                .setDescription('Rendered image or text list')
+                .addChoices(
+                    { name: 'Image', value: 'image' },
+                    { name: 'Text', value: 'text' }
+                )))
+        .addSubcommand(sub => sub
+            .setName('card')
+            .setDescription('Customise and preview the welcome card image')
+            .addStringOption(opt => opt
+                .setName('preset')
+                .setDescription('Start from a ready-made theme')
+                .addChoices(...Object.keys(CARD_PRESETS).map(name => ({ name: name.charAt(0).toUpperCase() + name.slice(1), value: name }))))
+            .addStringOption(opt => opt
+                .setName('color1')
+                .setDescription('First gradient colour, e.g. #667eea'))
+            .addStringOption(opt => opt
+                .setName('color2')
+                .setDescription('Second gradient colour, e.g. #764ba2'))
+            .addStringOption(opt => opt
+                .setName('direction')
+                .setDescription('Gradient direction')
+                .addChoices(
+                    { name: 'Diagonal', value: 'diagonal' },
+                    { name: 'Horizontal', value: 'horizontal' },
+                    { name: 'Vertical', value: 'vertical' }
+                ))
+            .addAttachmentOption(opt => opt
+                .setName('background')
+                .setDescription('Background image (replaces the gradient)'))
+            .addBooleanOption(opt => opt
+                .setName('clear_background')
+                .setDescription('Remove the uploaded background image'))
+            .addStringOption(opt => opt
+                .setName('accent')
+                .setDescription('Accent colour for the avatar ring, e.g. #ffffff'))
+            .addStringOption(opt => opt
+                .setName('text')
+                .setDescription('Text colour, e.g. #2c3e50'))
+            .addStringOption(opt => opt
+                .setName('font')
+                .setDescription('Font for the card text')
+                .addChoices(
+                    { name: 'Arial', value: 'Arial' },
+                    { name: 'Verdana', value: 'Verdana' },
+                    { name: 'Georgia', value: 'Georgia' },
+                    { name: 'Courier New', value: 'Courier New' },
+                    { name: 'Impact', value: 'Impact' }
+                ))
+            .addStringOption(opt => opt
+                .setName('layout')
+                .setDescription('Where the avatar and text go')
+                .addChoices(
+                    { name: 'Avatar left', value: 'left' },
+                    { name: 'Avatar right', value: 'right' },
+                    { name: 'Avatar centred', value: 'center' }
+                )))
+        .addSubcommandGroup(group => group
+            .setName('message')
+            .setDescription('Customise the welcome message text')
+            .addSubcommand(sub => sub
+                .setName('set')
+                .setDescription('Replace all welcome templates with a single one')
+                .addStringOption(opt => opt
+                    .setName('template')
+                    .setDescription('Message text with placeholders like {user.mention} and {guild}')
+                    .setRequired(true)
+                    .setMaxLength(MAX_TEMPLATE_LENGTH)))
+            .addSubcommand(sub => sub
+                .setName('add')
+                .setDescription('Add a template to the random rotation')
+                .addStringOption(opt => opt
+                    .setName('template')
+                    .setDescription('Message text with placeholders like {user.mention} and {guild}')
+                    .setRequired(true)
+                    .setMaxLength(MAX_TEMPLATE_LENGTH)))
+            .addSubcommand(sub => sub
+                .setName('remove')
+                .setDescription('Remove a template from the rotation')
+                .addIntegerOption(opt => opt
+                    .setName('number')
+                    .setDescription('Template number from /welcome message list')
+                    .setRequired(true)
+                    .setMinValue(1)
+                    .setMaxValue(MAX_WELCOME_TEMPLATES)))
+            .addSubcommand(sub => sub
+                .setName('list')
+                .setDescription('Show the configured welcome templates'))
+            .addSubcommand(sub => sub
+                .setName('reset')
+                .setDescription('Go back to the default welcome message'))
+            .addSubcommand(sub => sub
+                .setName('welcomeback')
+                .setDescription('Set the message for members who rejoin (leave empty for the default)')
+                .addStringOption(opt => opt
+                    .setName('template')
+                    .setDescription('Message text with placeholders like {user} and {timeAway}')
+                    .setMaxLength(MAX_TEMPLATE_LENGTH))))
+        .addSubcommandGroup(group => group
+            .setName('buttons')
+            .setDescription('Configure the interaction buttons on welcome messages')
+            .addSubcommand(sub => sub
+                .setName('add')
+                .setDescription('Add a button, or update one with the same key')
+                .addStringOption(opt => opt
+                    .setName('key')
+                    .setDescription('Counter name, letters and numbers only (e.g. waves, hugs)')
+                    .setRequired(true)
+                    .setMaxLength(20))
+                .addStringOption(opt => opt
+                    .setName('label')
+                    .setDescription('Button text, e.g. Hug')
+                    .setRequired(true)
+                    .setMaxLength(MAX_BUTTON_LABEL))
+                .addStringOption(opt => opt
+                    .setName('emoji')
+                    .setDescription('Button emoji, e.g. 🤗')
+                    .setRequired(true))
+                .addStringOption(opt => opt
+                    .setName('style')
+                    .setDescription('Button colour')
+                    .addChoices(
+                        { name: 'Blurple', value: 'Primary' },
+                        { name: 'Grey', value: 'Secondary' },
+                        { name: 'Green', value: 'Success' },
+                        { name: 'Red', value: 'Danger' }
+                    ))
+                .addStringOption(opt => opt
+                    .setName('color')
+                    .setDescription('Dot colour on the welcome card, e.g. #2ECC71')))
+            .addSubcommand(sub => sub
+                .setName('remove')
+                .setDescription('Remove a button (its counts are kept)')
+                .addStringOption(opt => opt
+                    .setName('key')
+                    .setDescription('Counter name of the button')
+                    .setRequired(true)))
+            .addSubcommand(sub => sub
+                .setName('list')
+                .setDescription('Show the configured buttons'))
+            .addSubcommand(sub => sub
+                .setName('cooldown')
+                .setDescription('How often one member can press the same button for the same person')
+                .addIntegerOption(opt => opt
+                    .setName('minutes')
+                    .setDescription('Minutes between presses (0 = no limit)')
+                    .setRequired(true)
+                    .setMinValue(0)
+                    .setMaxValue(7 * 24 * 60)))
+            .addSubcommand(sub => sub
+                .setName('reset')
+                .setDescription('Go back to the default buttons')))
+        .addSubcommandGroup(group => group
+            .setName('goodbye')
+            .setDescription('Goodbye messages and leave tracking')
+            .addSubcommand(sub => sub
+                .setName('setup')
+                .setDescription('Set the goodbye channel')
+                .addChannelOption(opt => opt
+                    .setName('channel')
+                    .setDescription('Channel for goodbye messages')
+                    .setRequired(true)))
+            .addSubcommand(sub => sub
+                .setName('message')
+                .setDescription('Set the goodbye message text (leave empty for the default)')
+                .addStringOption(opt => opt
+                    .setName('template')
+                    .setDescription('Message text with placeholders like {user} and {tenure}')
+                    .setMaxLength(MAX_TEMPLATE_LENGTH)))
+            .addSubcommand(sub => sub
+                .setName('test')
+                .setDescription('Send a test goodbye message for yourself'))
+            .addSubcommand(sub => sub
+                .setName('disable')
+                .setDescription('Disable goodbye messages'))
+            .addSubcommand(sub => sub
+                .setName('stats')
+                .setDescription('See who has left and how long members stay')))
         .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
 
-    async execute(interaction, serverManager, dataManager, welcomeSystem) {
+    async execute(interaction, serverManager, dataManager, welcomeSystem, imageGenerator) {
+        const subcommandGroup = interaction.options.getSubcommandGroup(false);
         const subcommand = interaction.options.getSubcommand();
         const settings = serverManager.getSettings(interaction.guild.id);
         
         try {
+            if (subcommandGroup === 'message') {
+                return await this.handleMessage(interaction, subcommand, settings, dataManager, welcomeSystem);
+            }
+            if (subcommandGroup === 'buttons') {
+                return await this.handleButtons(interaction, subcommand, settings, dataManager, welcomeSystem);
+            }
+            if (subcommandGroup === 'goodbye') {
+                return await this.handleGoodbye(interaction, subcommand, settings, dataManager, welcomeSystem);
+            }
+            
             switch (subcommand) {
                 case 'setup':
                     await this.handleSetup(interaction, settings, dataManager);
@@ -68,6 +315,12 @@ module.exports = {
                 case 'defaultrole':
                     await this.handleDefaultRole(interaction, settings, dataManager);
                     break;
+                case 'card':
+                    await this.handleCard(interaction, settings, imageGenerator);
+                    break;
+                case 'leaderboard':
+                    await this.handleLeaderboard(interaction, settings, serverManager, welcomeSystem, imageGenerator);
+                    break;
                 default:
                     await interaction.reply({
                         content: '❌ Unknown subcommand!',
@@ -122,8 +375,559 @@ module.exports = {
             return interaction.reply({ content: '❌ Welcome channel not found!', ephemeral: true });
         }
         
+        const templateNumber = interaction.options.getInteger('template');
+        if (templateNumber && templateNumber > settings.welcomeMessages.length) {
+            return interaction.reply({ content: `❌ There is no template #${templateNumber}! See \`/welcome message list\`.`, ephemeral: true });
+        }
+        
+        const returning = interaction.options.getBoolean('welcome_back')
+            ? { leftAt: new Date(Date.now() - 14 * 24 * 60 * 60 * 1000).toISOString(), restoredRoles: [] }
+            : null;
+        
         await interaction.reply({ content: '🧪 Sending test welcome...', ephemeral: true });
-        await welcomeSystem.sendWelcomeMessage(interaction.member, welcomeChannel, true);
+        await welcomeSystem.sendWelcomeMessage(interaction.member, welcomeChannel, true, templateNumber ? templateNumber - 1 : null, returning);
+    },
+
+    // Button config for a counter key; removed buttons still have counts worth ranking
+    getCounterInfo(welcomeSystem, settings, key) {
+        const buttons = welcomeSystem.getInteractionButtons(settings);
+        const button = buttons.find(b => b.key === key);
+        return button || { key, label: key, emoji: '🔘', color: DOT_COLORS[0] };
+    },
+
+    displayName(guild, settings, userId) {
+        return guild.members.cache.get(userId)?.displayName ||
+            settings.userRoles.get(userId)?.username ||
+            'Unknown member';
+    },
+
+    async handleLeaderboard(interaction, settings, serverManager, welcomeSystem, imageGenerator) {
+        const key = interaction.options.getString('counter') || welcomeSystem.getInteractionButtons(settings)[0].key;
+        const period = interaction.options.getString('period') || 'all';
+        const format = interaction.options.getString('format') || 'image';
+        
+        if (!BUTTON_KEY.test(key)) {
+            return interaction.reply({ content: '❌ Counter keys only contain letters and numbers. See `/welcome buttons list`.', ephemeral: true });
+        }
+        
+        const counter = this.getCounterInfo(welcomeSystem, settings, key);
+        const entries = serverManager.getInteractionLeaderboard(interaction.guild.id, key, period);
+        
+        if (entries.length === 0) {
+            return interaction.reply({
+                content: `📭 Nobody has any **${counter.label}** presses ${period === 'month' ? 'this month' : 'yet'}.`,
+                ephemeral: true
+            });
+        }
+        
+        // Posted publicly: members can't run /welcome themselves, so this is how they see it
+        await interaction.deferReply();
+        
+        if (format === 'image') {
+            const topEntries = entries.slice(0, LEADERBOARD_PAGE_SIZE).map((entry, index) => {
+                const member = interaction.guild.members.cache.get(entry.userId);
+                return {
+                    ...entry,
+                    rank: index + 1,
+                    name: this.displayName(interaction.guild, settings, entry.userId),
+                    avatar: member ? member.user : { id: entry.userId, avatar: null }
+                };
+            });
+            
+            const image = await imageGenerator.generateLeaderboardImage(
+                interaction.guild.id,
+                `🏆 ${counter.label} Leaderboard`,
+                period === 'month' ? 'This month' : 'All time',
+                topEntries,
+                counter.color
+            );
+            
+            if (image) {
+                return interaction.editReply({
+                    content: `${entries.length} member${entries.length === 1 ? '' : 's'} ranked • use \`format:Text\` for the full list`,
+                    files: [{ attachment: image, name: 'leaderboard.png' }]
+                });
+            }
+        }
+        
+        // Text list, also used when the image can't be rendered
+        await interaction.editReply(this.buildLeaderboardPage(interaction.guild, settings, counter, period, entries, 0));
+    },
+
+    buildLeaderboardPage(guild, settings, counter, period, entries, page) {
+        const pageCount = Math.ceil(entries.length / LEADERBOARD_PAGE_SIZE);
+        const currentPage = Math.min(Math.max(page, 0), pageCount - 1);
+        const start = currentPage * LEADERBOARD_PAGE_SIZE;
+        const medals = ['🥇', '🥈', '🥉'];
+        
+        const lines = entries.slice(start, start + LEADERBOARD_PAGE_SIZE).map((entry, index) => {
+            const rank = start + index + 1;
+            return `${medals[rank - 1] || `**#${rank}**`} <@${entry.userId}> - **${entry.count.toLocaleString()}**`;
+        });
+        
+        const leaderboardEmbed = new EmbedBuilder()
+            .setTitle(`🏆 ${counter.emoji} ${counter.label} Leaderboard`)
+            .setDescription(lines.join('\n'))
+            .setColor(0xF1C40F)
+            .setFooter({ text: `${period === 'month' ? 'This month' : 'All time'} • Page ${currentPage + 1}/${pageCount}` })
+            .setTimestamp();
+        
+        const components = [];
+        if (pageCount > 1) {
+            components.push(new ActionRowBuilder().addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`welcome_lb_${counter.key}_${period}_${currentPage - 1}`)
+                    .setLabel('◀ Prev')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setDisabled(currentPage === 0),
+                new ButtonBuilder()
+                    .setCustomId(`welcome_lb_${counter.key}_${period}_${currentPage + 1}`)
+                    .setLabel('Next ▶')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setDisabled(currentPage >= pageCount - 1)
+            ));
+        }
+        
+        return { content: '', embeds: [leaderboardEmbed], components };
+    },
+
+    async handleLeaderboardButton(interaction, serverManager, welcomeSystem) {
+        const [, , key, period, page] = interaction.customId.split('_');
+        const settings = serverManager.getSettings(interaction.guild.id);
+        const counter = this.getCounterInfo(welcomeSystem, settings, key);
+        const entries = serverManager.getInteractionLeaderboard(interaction.guild.id, key, period);
+        
+        if (entries.length === 0) {
+            return interaction.update({ content: '📭 This leaderboard is empty now.', embeds: [], components: [] });
+        }
+        
+        await interaction.update(this.buildLeaderboardPage(interaction.guild, settings, counter, period, entries, parseInt(page)));
+    },
+
+    async handleCard(interaction, settings, imageGenerator) {
+        const preset = interaction.options.getString('preset');
+        const background = interaction.options.getAttachment('background');
+        
+        // Stored overrides, optionally replaced by a preset, then this command's options
+        const theme = preset ? { ...CARD_PRESETS[preset] } : { ...(settings.welcomeCard || {}) };
+        if (preset && settings.welcomeCard?.backgroundImage) {
+            theme.backgroundImage = settings.welcomeCard.backgroundImage;
+        }
+        
+        const color1 = interaction.options.getString('color1');
+        const color2 = interaction.options.getString('color2');
+        const colorOptions = { color1, color2, accent: interaction.options.getString('accent'), text: interaction.options.getString('text') };
+        const invalidColors = Object.entries(colorOptions).filter(([, value]) => value && !HEX_COLOR.test(value));
+        if (invalidColors.length > 0) {
+            return interaction.reply({
+                content: `❌ Colours must be hex codes like \`#667eea\` (check: ${invalidColors.map(([name]) => name).join(', ')}).`,
+                ephemeral: true
+            });
+        }
+        
+        if (color1 || color2) {
+            const currentGradient = imageGenerator.resolveTheme(theme).gradient;
+            theme.gradient = [color1 || currentGradient[0], color2 || currentGradient[currentGradient.length - 1]];
+        }
+        if (colorOptions.accent) theme.accentColor = colorOptions.accent;
+        if (colorOptions.text) theme.textColor = colorOptions.text;
+        
+        for (const [option, key] of [['direction', 'gradientDirection'], ['font', 'font'], ['layout', 'layout']]) {
+            const value = interaction.options.getString(option);
+            if (value) theme[key] = value;
+        }
+        
+        if (interaction.options.getBoolean('clear_background')) {
+            theme.backgroundImage = null;
+        }
+        
+        if (background && (!background.contentType?.startsWith('image/') || background.size > MAX_BACKGROUND_SIZE)) {
+            return interaction.reply({ content: '❌ The background must be an image of 8 MB or less.', ephemeral: true });
+        }
+        
+        await interaction.deferReply({ ephemeral: true });
+        
+        let backgroundBuffer = null;
+        if (background) {
+            try {
+                const response = await fetch(background.url);
+                if (!response.ok) throw new Error(`Download failed with status ${response.status}`);
+                backgroundBuffer = await response.buffer();
+            } catch (error) {
+                console.error('❌ Error downloading card background:', error);
+                return interaction.editReply({ content: '❌ Could not download that background image.' });
+            }
+        }
+        
+        const previewTheme = imageGenerator.resolveTheme({
+            ...theme,
+            backgroundImage: backgroundBuffer || theme.backgroundImage || null
+        });
+        
+        const preview = await imageGenerator.generateImage(interaction.member, previewTheme);
+        if (!preview) {
+            return interaction.editReply({ content: '❌ Could not render that theme. Try a different image or colours.' });
+        }
+        
+        const token = interaction.id;
+        pendingCards.set(token, {
+            guildId: interaction.guild.id,
+            userId: interaction.user.id,
+            theme,
+            backgroundBuffer,
+            expiresAt: Date.now() + CARD_PREVIEW_TIMEOUT
+        });
+        setTimeout(() => pendingCards.delete(token), CARD_PREVIEW_TIMEOUT);
+        
+        const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`welcome_card_save_${token}`)
+                .setLabel('💾 Save Theme')
+                .setStyle(ButtonStyle.Success),
+            new ButtonBuilder()
+                .setCustomId(`welcome_card_discard_${token}`)
+                .setLabel('Discard')
+                .setStyle(ButtonStyle.Secondary)
+        );
+        
+        await interaction.editReply({
+            content: '🎨 **Welcome card preview** - nothing is saved until you press Save.',
+            files: [{ attachment: preview, name: 'welcome-preview.png' }],
+            components: [row]
+        });
+    },
+
+    async handleCardButton(interaction, serverManager, dataManager, imageGenerator) {
+        const [, , action, token] = interaction.customId.split('_');
+        const pending = pendingCards.get(token);
+        
+        if (!pending || pending.expiresAt < Date.now() || pending.guildId !== interaction.guild.id) {
+            return interaction.update({
+                content: '⌛ This preview has expired. Run `/welcome card` again.',
+                attachments: [],
+                components: []
+            });
+        }
+        
+        if (pending.userId !== interaction.user.id) {
+            return interaction.reply({ content: '❌ Only the person who made this preview can save it.', ephemeral: true });
+        }
+        
+        pendingCards.delete(token);
+        
+        if (action === 'discard') {
+            return interaction.update({ content: '🗑️ Preview discarded. The welcome card was not changed.', attachments: [], components: [] });
+        }
+        
+        const settings = serverManager.getSettings(interaction.guild.id);
+        const theme = { ...pending.theme };
+        
+        if (pending.backgroundBuffer) {
+            theme.backgroundImage = await imageGenerator.saveCardBackground(interaction.guild.id, pending.backgroundBuffer);
+        } else if (!theme.backgroundImage && settings.welcomeCard?.backgroundImage) {
+            await imageGenerator.removeCardBackground(interaction.guild.id);
+        }
+        
+        settings.welcomeCard = Object.keys(theme).some(key => theme[key] !== null) ? theme : null;
+        await dataManager.saveData();
+        
+        await interaction.update({ content: '✅ **Welcome card theme saved!** New welcome messages and wave updates will use it.', components: [] });
+        console.log(`🎨 ${interaction.user.tag} updated the welcome card theme in ${interaction.guild.name}`);
+    },
+
+    async handleButtons(interaction, subcommand, settings, dataManager, welcomeSystem) {
+        const buttons = welcomeSystem.getInteractionButtons(settings).map(button => ({ ...button }));
+        
+        switch (subcommand) {
+            case 'add': {
+                const key = interaction.options.getString('key');
+                const label = interaction.options.getString('label');
+                const emoji = interaction.options.getString('emoji').trim();
+                const color = interaction.options.getString('color');
+                
+                const problem = checkInteractionButton({ key, label, emoji, color });
+                if (problem) {
+                    return interaction.reply({ content: `❌ ${problem}`, ephemeral: true });
+                }
+                
+                const existing = buttons.find(button => button.key === key);
+                if (!existing && buttons.length >= MAX_INTERACTION_BUTTONS) {
+                    return interaction.reply({
+                        content: `❌ Welcome messages can have at most ${MAX_INTERACTION_BUTTONS} buttons. Remove one first.`,
+                        ephemeral: true
+                    });
+                }
+                
+                const button = {
+                    key,
+                    label,
+                    emoji,
+                    style: interaction.options.getString('style') || existing?.style || 'Primary',
+                    color: color || existing?.color || DOT_COLORS[buttons.length % DOT_COLORS.length]
+                };
+                if (existing) {
+                    buttons[buttons.indexOf(existing)] = button;
+                } else {
+                    buttons.push(button);
+                }
+                
+                settings.interactionButtons = buttons;
+                await dataManager.saveData();
+                
+                await interaction.reply({
+                    content: `✅ ${existing ? 'Updated' : 'Added'} the ${emoji} **${label}** button (\`${key}\`). New welcome messages will show it.`,
+                    ephemeral: true
+                });
+                break;
+            }
+            
+            case 'remove': {
+                const key = interaction.options.getString('key');
+                const index = buttons.findIndex(button => button.key === key);
+                
+                if (index === -1) {
+                    return interaction.reply({ content: `❌ No button with key \`${key}\`. See \`/welcome buttons list\`.`, ephemeral: true });
+                }
+                if (buttons.length === 1) {
+                    return interaction.reply({ content: '❌ Welcome messages need at least one button.', ephemeral: true });
+                }
+                
+                const [removed] = buttons.splice(index, 1);
+                settings.interactionButtons = buttons;
+                await dataManager.saveData();
+                
+                await interaction.reply({
+                    content: `🗑️ Removed the ${removed.emoji} **${removed.label}** button. Its counts are kept in case you add it back.`,
+                    ephemeral: true
+                });
+                break;
+            }
+            
+            case 'list': {
+                const listEmbed = new EmbedBuilder()
+                    .setTitle('🔘 Welcome Buttons')
+                    .setDescription(buttons.map((button, index) =>
+                        `**${index + 1}.** ${button.emoji} **${button.label}** - key \`${button.key}\`, ${button.style.toLowerCase()}, dots ${button.color}`
+                    ).join('\n'))
+                    .setColor(0x3498DB)
+                    .setFooter({ text: `${settings.interactionButtons ? 'Custom' : 'Default'} buttons • up to ${MAX_INTERACTION_BUTTONS} • cooldown ${settings.interactionCooldownMinutes} min` })
+                    .setTimestamp();
+                
+                await interaction.reply({ embeds: [listEmbed], ephemeral: true });
+                break;
+            }
+            
+            case 'cooldown': {
+                const minutes = interaction.options.getInteger('minutes');
+                settings.interactionCooldownMinutes = minutes;
+                await dataManager.saveData();
+                
+                await interaction.reply({
+                    content: minutes > 0
+                        ? `⏳ Members can press each button for the same person once every **${minutes} minute${minutes === 1 ? '' : 's'}**.`
+                        : '⏳ Button cooldown disabled. Members still can\'t press buttons on their own welcome.',
+                    ephemeral: true
+                });
+                break;
+            }
+            
+            case 'reset':
+                settings.interactionButtons = null;
+                await dataManager.saveData();
+                await interaction.reply({ content: '🔄 Welcome buttons reset to the defaults!', ephemeral: true });
+                break;
+        }
+    },
+
+    async handleGoodbye(interaction, subcommand, settings, dataManager, welcomeSystem) {
+        switch (subcommand) {
+            case 'setup': {
+                const channel = interaction.options.getChannel('channel');
+                
+                if (!channel.permissionsFor(interaction.guild.members.me).has(['SendMessages', 'AttachFiles'])) {
+                    return interaction.reply({ 
+                        content: '❌ I need Send Messages and Attach Files permissions in that channel!', 
+                        ephemeral: true
+                    });
+                }
+                
+                settings.goodbyeChannel = channel.id;
+                await dataManager.saveData();
+                
+                const setupEmbed = new EmbedBuilder()
+                    .setTitle('🚪 Goodbye Channel Set!')
+                    .setDescription(`Goodbye messages will be sent to ${channel}`)
+                    .setColor(0x00FF99)
+                    .setTimestamp();
+                
+                await interaction.reply({ embeds: [setupEmbed], ephemeral: true });
+                break;
+            }
+            
+            case 'message': {
+                const template = interaction.options.getString('template');
+                settings.goodbyeMessage = template || null;
+                await dataManager.saveData();
+                
+                const messageEmbed = new EmbedBuilder()
+                    .setTitle(template ? '✅ Goodbye Message Set!' : '🔄 Goodbye Message Reset!')
+                    .setDescription(`**Preview for you:**\n${welcomeSystem.renderTemplate(welcomeSystem.getGoodbyeTemplate(settings), interaction.member, { tenure: '3 months', roles: 'Member' })}`)
+                    .addFields({ name: '🔤 Placeholders', value: GOODBYE_PLACEHOLDER_HELP, inline: false })
+                    .setColor(0x00FF99)
+                    .setTimestamp();
+                
+                await interaction.reply({ embeds: [messageEmbed], ephemeral: true });
+                break;
+            }
+            
+            case 'test': {
+                if (!settings.goodbyeChannel) {
+                    return interaction.reply({ content: '❌ No goodbye channel set!', ephemeral: true });
+                }
+                
+                const goodbyeChannel = interaction.guild.channels.cache.get(settings.goodbyeChannel);
+                if (!goodbyeChannel) {
+                    return interaction.reply({ content: '❌ Goodbye channel not found!', ephemeral: true });
+                }
+                
+                await interaction.reply({ content: '🧪 Sending test goodbye...', ephemeral: true });
+                await welcomeSystem.sendGoodbyeMessage(interaction.member, goodbyeChannel, true);
+                break;
+            }
+            
+            case 'disable':
+                settings.goodbyeChannel = null;
+                await dataManager.saveData();
+                await interaction.reply({ content: '🚫 Goodbye messages disabled! Leaves are still recorded.', ephemeral: true });
+                break;
+            
+            case 'stats':
+                await this.handleGoodbyeStats(interaction, settings, welcomeSystem);
+                break;
+        }
+    },
+
+    async handleGoodbyeStats(interaction, settings, welcomeSystem) {
+        const now = Date.now();
+        const DAY = 24 * 60 * 60 * 1000;
+        const leaveEvents = settings.leaveEvents;
+        
+        const leftSince = days => leaveEvents.filter(event => now - new Date(event.leftAt).getTime() < days * DAY).length;
+        const tenures = leaveEvents.filter(event => event.tenureMs !== null).map(event => event.tenureMs);
+        const averageTenure = tenures.length > 0 ? tenures.reduce((sum, ms) => sum + ms, 0) / tenures.length : null;
+        const leftWithinDay = tenures.filter(ms => ms < DAY).length;
+        
+        const recentLeaves = leaveEvents.slice(-10).reverse().map(event => {
+            const who = event.userId ? `**${event.username}**` : '*Erased member*';
+            const stayed = event.tenureMs !== null ? welcomeSystem.formatDuration(event.tenureMs) : 'unknown';
+            return `${who} - stayed ${stayed} - <t:${Math.floor(new Date(event.leftAt).getTime() / 1000)}:R>`;
+        });
+        
+        const statsEmbed = new EmbedBuilder()
+            .setTitle('🚪 Leave Statistics')
+            .addFields(
+                { name: '📅 Last 7 Days', value: `${leftSince(7)} left`, inline: true },
+                { name: '🗓️ Last 30 Days', value: `${leftSince(30)} left`, inline: true },
+                { name: '📊 Recorded', value: `${leaveEvents.length} leaves`, inline: true },
+                { name: '⏳ Average Stay', value: averageTenure !== null ? welcomeSystem.formatDuration(averageTenure) : '*No data*', inline: true },
+                { name: '⚡ Left Within a Day', value: `${leftWithinDay}`, inline: true },
+                { name: '🕒 Recent Leaves', value: recentLeaves.length > 0 ? recentLeaves.join('\n') : '*Nobody has left yet*', inline: false }
+            )
+            .setColor(0xE67E22)
+            .setTimestamp();
+        
+        await interaction.reply({ embeds: [statsEmbed], ephemeral: true });
+    },
+
+    async handleMessage(interaction, subcommand, settings, dataManager, welcomeSystem) {
+        switch (subcommand) {
+            case 'set':
+            case 'add': {
+                const template = interaction.options.getString('template');
+                
+                if (subcommand === 'add' && settings.welcomeMessages.length >= MAX_WELCOME_TEMPLATES) {
+                    return interaction.reply({
+                        content: `❌ You can have at most ${MAX_WELCOME_TEMPLATES} templates. Remove one first.`,
+                        ephemeral: true
+                    });
+                }
+                
+                if (subcommand === 'set') {
+                    settings.welcomeMessages = [template];
+                } else {
+                    settings.welcomeMessages.push(template);
+                }
+                await dataManager.saveData();
+                
+                const savedEmbed = new EmbedBuilder()
+                    .setTitle(subcommand === 'set' ? '✅ Welcome Message Set!' : '✅ Template Added!')
+                    .setDescription(
+                        `**Preview for you:**\n${welcomeSystem.renderTemplate(template, interaction.member)}\n\n` +
+                        `*${settings.welcomeMessages.length} template(s) in rotation.*`
+                    )
+                    .addFields({ name: '🔤 Placeholders', value: PLACEHOLDER_HELP, inline: false })
+                    .setColor(0x00FF99)
+                    .setTimestamp();
+                
+                await interaction.reply({ embeds: [savedEmbed], ephemeral: true });
+                break;
+            }
+            
+            case 'remove': {
+                const number = interaction.options.getInteger('number');
+                if (number > settings.welcomeMessages.length) {
+                    return interaction.reply({ content: `❌ There is no template #${number}!`, ephemeral: true });
+                }
+                
+                settings.welcomeMessages.splice(number - 1, 1);
+                await dataManager.saveData();
+                
+                await interaction.reply({
+                    content: `🗑️ Removed template #${number}. ${settings.welcomeMessages.length > 0 ? `${settings.welcomeMessages.length} left in rotation.` : 'Using the default welcome message.'}`,
+                    ephemeral: true
+                });
+                break;
+            }
+            
+            case 'list': {
+                const templateList = settings.welcomeMessages.length > 0
+                    ? settings.welcomeMessages.map((template, index) => `**${index + 1}.** \`${template.replace(/`/g, "'")}\``).join('\n')
+                    : '*Using the default welcome message.*';
+                
+                const listEmbed = new EmbedBuilder()
+                    .setTitle('💬 Welcome Templates')
+                    .setDescription(templateList.slice(0, 4000))
+                    .addFields({ name: '🔤 Placeholders', value: PLACEHOLDER_HELP, inline: false })
+                    .setColor(0x3498DB)
+                    .setFooter({ text: 'One template is picked at random for each new member' })
+                    .setTimestamp();
+                
+                await interaction.reply({ embeds: [listEmbed], ephemeral: true });
+                break;
+            }
+            
+            case 'reset':
+                settings.welcomeMessages = [];
+                await dataManager.saveData();
+                await interaction.reply({ content: '🔄 Welcome message reset to the default!', ephemeral: true });
+                break;
+            
+            case 'welcomeback': {
+                const template = interaction.options.getString('template');
+                settings.welcomeBackMessage = template || null;
+                await dataManager.saveData();
+                
+                const welcomeBackEmbed = new EmbedBuilder()
+                    .setTitle(template ? '✅ Welcome Back Message Set!' : '🔄 Welcome Back Message Reset!')
+                    .setDescription(`**Preview for you:**\n${welcomeSystem.renderTemplate(welcomeSystem.getWelcomeBackTemplate(settings), interaction.member, { timeAway: '2 weeks', restoredRoles: 'Member' })}`)
+                    .addFields({ name: '🔤 Placeholders', value: WELCOME_BACK_PLACEHOLDER_HELP, inline: false })
+                    .setColor(0x00FF99)
+                    .setTimestamp();
+                
+                await interaction.reply({ embeds: [welcomeBackEmbed], ephemeral: true });
+                break;
+            }
+        }
     },
 
     async handleDisable(interaction, settings, dataManager) {
@@ -150,6 +954,22 @@ module.exports = {
                     value: defaultRoleText, 
                     inline: true 
                 },
+                { 
+                    name: '💬 Message Templates', 
+                    value: (settings.welcomeMessages.length > 0 ? `${settings.welcomeMessages.length} custom` : '*Default*') +
+                        (settings.welcomeBackMessage ? ' + welcome back' : ''), 
+                    inline: true 
+                },
+                { 
+                    name: '🚪 Goodbye Channel', 
+                    value: settings.goodbyeChannel ? `<#${settings.goodbyeChannel}>` : '*Disabled*', 
+                    inline: true 
+                },
+                { 
+                    name: '🎨 Card Theme', 
+                    value: settings.welcomeCard ? 'Custom' : '*Default*', 
+                    inline: true 
+                },
                 { 
                     name: '📊 System Status', 
                     value: (settings.welcomeChannel || settings.defaultRole) ? '✅ Active' : '❌ Inactive', 
@@ -281,3 +1101,32 @@ module.exports = {
         }
     }
 };
+
+// Why a welcome button can't be used, or null. Keys end up in `interact_<key>_<user>`
+// custom IDs, so they can't contain underscores; shared with /config import.
+function checkInteractionButton({ key, label, emoji, style, color }) {
+    if (typeof key !== 'string' || !BUTTON_KEY.test(key)) {
+        return 'The key can only contain letters and numbers.';
+    }
+    // Counts are stored in plain objects, so built-in property names are off limits
+    if (key in Object.prototype) {
+        return `\`${key}\` is a reserved name - please pick another key.`;
+    }
+    if (typeof label !== 'string' || label.length === 0 || label.length > MAX_BUTTON_LABEL) {
+        return `Labels must be 1-${MAX_BUTTON_LABEL} characters.`;
+    }
+    if (typeof emoji !== 'string' || (!CUSTOM_EMOJI.test(emoji) && !/^\p{Extended_Pictographic}/u.test(emoji))) {
+        return 'Please use a single emoji, e.g. 🤗 or a server emoji.';
+    }
+    if (style !== undefined && !BUTTON_STYLES.includes(style)) {
+        return `Styles must be one of ${BUTTON_STYLES.join(', ')}.`;
+    }
+    if (color && (typeof color !== 'string' || !HEX_COLOR.test(color))) {
+        return 'Colours must be hex codes like `#2ECC71`.';
+    }
+    return null;
+}
+
+module.exports.checkInteractionButton = checkInteractionButton;
+module.exports.MAX_INTERACTION_BUTTONS = MAX_INTERACTION_BUTTONS;
+module.exports.DOT_COLORS = DOT_COLORS;
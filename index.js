@@ -10,14 +10,19 @@ if (fsSync.existsSync('.env')) {
 const {
     Client,
     GatewayIntentBits,
+    Partials,
     SlashCommandBuilder,
     ActionRowBuilder,
     ButtonBuilder,
     ButtonStyle,
     StringSelectMenuBuilder,
     StringSelectMenuOptionBuilder,
+    ModalBuilder,
+    TextInputBuilder,
+    TextInputStyle,
     EmbedBuilder,
     PermissionFlagsBits,
+    ChannelType,
     REST,
     Routes
 } = require('discord.js');
@@ -29,6 +34,13 @@ const path = require('path');
 // Import command system and managers
 const CommandLoader = require('./commands/index.js');
 const { VideoReactionManager } = require('./commands/videoReactions.js');
+const { buildRulesMessage, describeMinutes } = require('./commands/verification.js');
+const { emojiKey } = require('./commands/roles.js');
+const { createStorage, importFromJson, USER_COLLECTIONS } = require('./storage/index.js');
+const { SCHEMA_VERSION, getPendingMigrations, runMigrations } = require('./storage/migrations.js');
+const { registerCardFonts, fontStack } = require('./rendering/fonts.js');
+const { ImageCache } = require('./rendering/imageCache.js');
+const LinkedRolesAPI = require('./linkedRolesAPI.js');
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // 📋 CONFIGURATION & INITIALIZATION
@@ -38,6 +50,19 @@ const CONFIG = {
     DATA_DIR: './bot_data',
     PANELS_FILE: './bot_data/panels.json',
     SETTINGS_FILE: './bot_data/server_settings.json',
+    SESSIONS_FILE: './bot_data/gaming_sessions.json',
+    DATABASE_FILE: process.env.DATABASE_FILE || './bot_data/bot.db',
+    BACKUP_DIR: './bot_data/backups',
+    CARD_BACKGROUND_DIR: './bot_data/card_backgrounds',
+    AVATAR_CACHE_DIR: './bot_data/avatar_cache',
+    AVATAR_CACHE: {
+        ttlMs: 24 * 60 * 60 * 1000, // re-download after a day; a changed avatar has a new hash anyway
+        maxMemoryEntries: 200,
+        maxDiskEntries: 2000,
+        fetchTimeoutMs: 5000,
+        offlineBackoffMs: 60 * 1000 // after a network failure, serve cached copies only for a minute
+    },
+    STORAGE_BACKEND: process.env.STORAGE_BACKEND || 'json', // 'json' or 'sqlite'
     COLORS: {
         blue: 0x3498DB, green: 0x2ECC71, red: 0xE74C3C,
         purple: 0x9B59B6, orange: 0xE67E22, yellow: 0xF1C40F
@@ -50,7 +75,36 @@ const CONFIG = {
         PermissionFlagsBits.ModerateMembers
     ],
     MAX_ROLES_PER_DROPDOWN: 25,
-    INTERACTION_TIMEOUT: 14 * 60 * 1000 // 14 minutes
+    MAX_SELECTOR_ROWS: 5, // Discord's limit of component rows per message
+    SELECTOR_VIEW_TTL: 15 * 60 * 1000, // Ephemeral selectors can't be used after 15 minutes
+    PANEL_MAINTENANCE_DELAY_MS: 5000, // Role events come in bursts; update panels once they settle
+    DEFAULT_CARD_THEME: {
+        gradient: ['#667eea', '#764ba2'],
+        gradientDirection: 'diagonal',
+        backgroundImage: null,
+        accentColor: '#ffffff',
+        panelColor: 'rgba(255, 255, 255, 0.9)',
+        textColor: '#2c3e50',
+        font: 'Arial',
+        layout: 'left'
+    },
+    DEFAULT_INTERACTION_BUTTONS: [
+        { key: 'waves', label: 'Wave', emoji: '👋', style: 'Primary', color: '#FFD700' },
+        { key: 'middleFingers', label: 'Middle Finger', emoji: '🖕', style: 'Danger', color: '#FF4444' }
+    ],
+    DEFAULT_INTERACTION_COOLDOWN_MINUTES: 60, // one click per clicker, target and button per window
+    INTERACTION_EDIT_THROTTLE_MS: 5000, // minimum gap between re-renders of one welcome message
+    INTERACTION_MONTHS_KEPT: 12,
+    // Custom ID prefixes used by welcome messages sent before buttons were configurable
+    LEGACY_INTERACTION_IDS: { wave: 'waves', middle: 'middleFingers' },
+    DEFAULT_WELCOME_TEMPLATE: '# 👋 Welcome to {guild}!\n\n## Hey {user}, welcome to our awesome server! 🎉',
+    DEFAULT_WELCOME_BACK_TEMPLATE: '# 👋 Welcome back to {guild}!\n\n## Good to see you again, {user}! 🎉',
+    DEFAULT_GOODBYE_TEMPLATE: '# 👋 Goodbye, {user}!\n\n**{user}** left {guild} after {tenure}. We\'re now {memberCount} members.',
+    MAX_LEAVE_EVENTS: 1000,
+    RAID_ALERT_REFRESH_MS: 5000, // minimum gap between edits of a raid alert while joins keep coming
+    RAID_NEW_ACCOUNT_DAYS: 7, // accounts younger than this are flagged in raid alerts
+    INTERACTION_TIMEOUT: 14 * 60 * 1000, // 14 minutes
+    SAVE_DEBOUNCE_MS: 2000
 };
 
 // Environment validation
@@ -60,6 +114,9 @@ if (!TOKEN || !CLIENT_ID) {
     process.exit(1);
 }
 
+// Card fonts ship with the bot so rendering doesn't depend on the host
+registerCardFonts();
+
 // Bot initialization with optimized intents
 const client = new Client({
     intents: [
@@ -67,8 +124,11 @@ const client = new Client({
         GatewayIntentBits.GuildMembers,
         GatewayIntentBits.GuildMessages,
         GatewayIntentBits.MessageContent,
-        GatewayIntentBits.GuildMessageReactions
-    ]
+        GatewayIntentBits.GuildMessageReactions,
+        GatewayIntentBits.GuildInvites
+    ],
+    // Reaction panels must see reactions on messages sent before the last restart
+    partials: [Partials.Message, Partials.Reaction, Partials.User]
 });
 
 // Data storage
@@ -78,122 +138,222 @@ const serverSettings = new Map();
 // Initialize command system and managers
 const commandLoader = new CommandLoader();
 let videoManager;
+const linkedRolesAPI = new LinkedRolesAPI();
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // 💾 IMPROVED DATA MANAGEMENT SYSTEM
 // ═══════════════════════════════════════════════════════════════════════════════
 
 class DataManager {
-    static async ensureDirectory() {
-        try {
-            await fs.access(CONFIG.DATA_DIR);
-        } catch {
-            await fs.mkdir(CONFIG.DATA_DIR, { recursive: true });
-            console.log('📁 Created data directory');
+    // Pending debounced save, and the chain every write goes through so two
+    // writes never race each other in the storage backend
+    static saveTimer = null;
+    static writeChain = Promise.resolve();
+    static dataLoaded = false;
+    static storage = null;
+
+    // Open the configured backend. A fresh SQLite database is seeded from the
+    // existing JSON files on first start.
+    static async initStorage() {
+        if (this.storage) return;
+
+        const storage = createStorage(CONFIG);
+        await storage.init();
+
+        if (storage.name === 'sqlite' && storage.isEmpty()) {
+            const result = await importFromJson(CONFIG, storage);
+            if (result.imported) {
+                console.log(`📥 Imported ${result.panels} panels, ${result.guilds} servers and ${result.sessions} gaming sessions from JSON into SQLite`);
+            }
+        }
+
+        this.storage = storage;
+        console.log(`💾 Using ${storage.name} storage backend`);
+    }
+
+    // Queue a write behind any in-flight one
+    static queueWrite(task) {
+        const write = this.writeChain.then(task);
+        this.writeChain = write.catch(() => {});
+        return write;
+    }
+
+    // Request a save. Bursts of requests within SAVE_DEBOUNCE_MS are coalesced
+    // into a single write; use flush() when the data must be on disk now.
+    static saveData() {
+        if (!this.saveTimer) {
+            this.saveTimer = setTimeout(() => {
+                this.saveTimer = null;
+                this.flush();
+            }, CONFIG.SAVE_DEBOUNCE_MS);
         }
+        return Promise.resolve();
     }
 
-    static async saveData() {
+    static async flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+
+        // Never overwrite the files with empty maps before they were loaded
+        if (!this.dataLoaded) {
+            console.log('⚠️ Skipping save - data has not been loaded yet');
+            return;
+        }
+
         try {
-            await this.ensureDirectory();
-            
-            // Convert Maps to objects for JSON storage
-            const panelsData = Object.fromEntries(
-                Array.from(panels.entries()).map(([key, value]) => [
-                    key, {
-                        ...value,
-                        buttons: value.buttons instanceof Map ? Object.fromEntries(value.buttons) : value.buttons,
-                        dropdownRoles: value.dropdownRoles instanceof Map ? Object.fromEntries(value.dropdownRoles) : value.dropdownRoles
-                    }
-                ])
-            );
-            
-            const settingsData = Object.fromEntries(
-                Array.from(serverSettings.entries()).map(([key, value]) => [
-                    key, {
-                        ...value,
-                        userInteractions: value.userInteractions instanceof Map ? Object.fromEntries(value.userInteractions) : value.userInteractions,
-                        userRoles: value.userRoles instanceof Map ? Object.fromEntries(value.userRoles) : value.userRoles,
-                        roleHistory: value.roleHistory instanceof Map ? Object.fromEntries(value.roleHistory) : value.roleHistory
-                    }
-                ])
-            );
-            
-            await Promise.all([
-                fs.writeFile(CONFIG.PANELS_FILE, JSON.stringify(panelsData, null, 2)),
-                fs.writeFile(CONFIG.SETTINGS_FILE, JSON.stringify(settingsData, null, 2))
-            ]);
-            
+            await this.queueWrite(() => this.writeData());
             console.log('💾 Data saved successfully');
         } catch (error) {
             console.error('❌ Error saving data:', error);
         }
     }
 
+    static async writeData() {
+        // Convert Maps to plain objects for storage
+        const panelsData = Object.fromEntries(
+            Array.from(panels.entries()).map(([key, value]) => [
+                key, {
+                    ...value,
+                    buttons: value.buttons instanceof Map ? Object.fromEntries(value.buttons) : value.buttons,
+                    dropdownRoles: value.dropdownRoles instanceof Map ? Object.fromEntries(value.dropdownRoles) : value.dropdownRoles
+                }
+            ])
+        );
+        
+        const settingsData = Object.fromEntries(
+            Array.from(serverSettings.entries()).map(([key, value]) => [
+                key, {
+                    ...value,
+                    userInteractions: value.userInteractions instanceof Map ? Object.fromEntries(value.userInteractions) : value.userInteractions,
+                    userRoles: value.userRoles instanceof Map ? Object.fromEntries(value.userRoles) : value.userRoles,
+                    roleHistory: value.roleHistory instanceof Map ? Object.fromEntries(value.roleHistory) : value.roleHistory
+                }
+            ])
+        );
+        
+        await this.storage.save({ panels: panelsData, settings: settingsData });
+    }
+
+    // Bring stored data up to SCHEMA_VERSION: back up, run pending migrations in
+    // order, write the result and log a migration report
+    static async migrateData(stored) {
+        const { schemaVersion } = stored;
+        const pending = getPendingMigrations(schemaVersion); // throws on data newer than this bot
+        if (pending.length === 0 || (!stored.panels && !stored.settings)) {
+            return stored;
+        }
+
+        const data = { panels: stored.panels || {}, settings: stored.settings || {} };
+
+        const backupPath = await this.storage.backup(`pre-migration-v${schemaVersion}`);
+        console.log(`🧬 Migrating data from schemaVersion ${schemaVersion} to ${SCHEMA_VERSION} (backup: ${backupPath})`);
+
+        const report = runMigrations(data, schemaVersion);
+        await this.storage.save(data, SCHEMA_VERSION);
+
+        console.log('🧬 Migration report:');
+        for (const entry of report) {
+            console.log(`   v${entry.version} - ${entry.description}: ${entry.summary} (${entry.durationMs}ms)`);
+        }
+        console.log(`✅ Data is now at schemaVersion ${SCHEMA_VERSION}`);
+
+        return { ...data, schemaVersion: SCHEMA_VERSION };
+    }
+
+    // Throws if a data file is corrupt with no usable backup - the caller must
+    // not continue, or the next save would overwrite the data with empty maps
     static async loadData() {
-        try {
-            await this.ensureDirectory();
-            
-            // Load panels
-            try {
-                const panelsData = JSON.parse(await fs.readFile(CONFIG.PANELS_FILE, 'utf8'));
-                for (const [key, value] of Object.entries(panelsData)) {
-                    if (value.buttons && typeof value.buttons === 'object') {
-                        value.buttons = new Map(Object.entries(value.buttons));
-                    }
-                    if (value.dropdownRoles && typeof value.dropdownRoles === 'object') {
-                        value.dropdownRoles = new Map(Object.entries(value.dropdownRoles));
-                    }
-                    panels.set(key, value);
+        await this.initStorage();
+        const { panels: panelsData, settings: settingsData } = await this.migrateData(await this.storage.load());
+        
+        // Load panels
+        if (panelsData) {
+            for (const [key, value] of Object.entries(panelsData)) {
+                if (value.buttons && typeof value.buttons === 'object') {
+                    value.buttons = new Map(Object.entries(value.buttons));
                 }
-                console.log(`📊 Loaded ${panels.size} panels`);
-            } catch {
-                console.log('📊 No existing panels found, starting fresh');
+                if (value.dropdownRoles && typeof value.dropdownRoles === 'object') {
+                    value.dropdownRoles = new Map(Object.entries(value.dropdownRoles));
+                }
+                panels.set(key, value);
             }
-            
-            // Load server settings
-            try {
-                const settingsData = JSON.parse(await fs.readFile(CONFIG.SETTINGS_FILE, 'utf8'));
-                for (const [guildId, settings] of Object.entries(settingsData)) {
-                    const serverSetting = {
-                        defaultRole: settings.defaultRole || null,
-                        blacklistedRoles: settings.blacklistedRoles || [],
-                        welcomeChannel: settings.welcomeChannel || null,
-                        userInteractions: new Map(),
-                        userRoles: new Map(),
-                        roleHistory: new Map(),
-                        roleStats: settings.roleStats || {},
-                        videoReactions: settings.videoReactions || {
-                            enabled: false,
-                            channels: [],
-                            likeEmoji: '👍',
-                            dislikeEmoji: '👎',
-                            stats: { totalVideos: 0, totalReactions: 0 }
-                        }
-                    };
-                    
-                    // Convert objects back to Maps
-                    if (settings.userInteractions && typeof settings.userInteractions === 'object') {
-                        serverSetting.userInteractions = new Map(Object.entries(settings.userInteractions));
-                    }
-                    
-                    if (settings.userRoles && typeof settings.userRoles === 'object') {
-                        serverSetting.userRoles = new Map(Object.entries(settings.userRoles));
-                    }
-                    
-                    if (settings.roleHistory && typeof settings.roleHistory === 'object') {
-                        serverSetting.roleHistory = new Map(Object.entries(settings.roleHistory));
-                    }
-                    
-                    serverSettings.set(guildId, serverSetting);
+            console.log(`📊 Loaded ${panels.size} panels`);
+        } else {
+            console.log('📊 No existing panels found, starting fresh');
+        }
+        
+        // Load server settings
+        if (settingsData) {
+            for (const [guildId, settings] of Object.entries(settingsData)) {
+                const serverSetting = {
+                    defaultRole: settings.defaultRole || null,
+                    blacklistedRoles: settings.blacklistedRoles || [],
+                    welcomeChannel: settings.welcomeChannel || null,
+                    userInteractions: new Map(),
+                    userRoles: new Map(),
+                    roleHistory: new Map(),
+                    roleStats: settings.roleStats || {},
+                    welcomeMessages: settings.welcomeMessages || [],
+                    welcomeBackMessage: settings.welcomeBackMessage || null,
+                    welcomeCard: settings.welcomeCard || null,
+                    interactionButtons: settings.interactionButtons || null,
+                    interactionCooldownMinutes: settings.interactionCooldownMinutes ?? CONFIG.DEFAULT_INTERACTION_COOLDOWN_MINUTES,
+                    goodbyeChannel: settings.goodbyeChannel || null,
+                    goodbyeMessage: settings.goodbyeMessage || null,
+                    panelNoticeChannel: settings.panelNoticeChannel || null,
+                    leaveEvents: settings.leaveEvents || [],
+                    memberRetentionDays: settings.memberRetentionDays || null,
+                    verification: settings.verification || null,
+                    pendingVerifications: settings.pendingVerifications || {},
+                    temporaryRoles: settings.temporaryRoles || {},
+                    raidProtection: settings.raidProtection || null,
+                    raidLockdown: settings.raidLockdown || null,
+                    stickyRoles: settings.stickyRoles || null,
+                    videoReactions: settings.videoReactions
+                };
+                
+                // Convert objects back to Maps
+                if (settings.userInteractions && typeof settings.userInteractions === 'object') {
+                    serverSetting.userInteractions = new Map(Object.entries(settings.userInteractions));
+                }
+                
+                if (settings.userRoles && typeof settings.userRoles === 'object') {
+                    serverSetting.userRoles = new Map(Object.entries(settings.userRoles));
+                }
+                
+                if (settings.roleHistory && typeof settings.roleHistory === 'object') {
+                    serverSetting.roleHistory = new Map(Object.entries(settings.roleHistory));
                 }
-                console.log(`⚙️ Loaded settings for ${serverSettings.size} servers`);
-            } catch {
-                console.log('⚙️ No existing settings found, starting fresh');
+                
+                serverSettings.set(guildId, serverSetting);
             }
-            
-        } catch (error) {
-            console.error('❌ Error loading data:', error);
+            console.log(`⚙️ Loaded settings for ${serverSettings.size} servers`);
+        } else {
+            console.log('⚙️ No existing settings found, starting fresh');
+        }
+        
+        this.dataLoaded = true;
+    }
+
+    static async saveGamingSessions(sessionsData) {
+        await this.queueWrite(() => this.storage.saveSessions(sessionsData));
+    }
+
+    static async loadGamingSessions() {
+        const sessionsData = await this.storage.loadSessions();
+        if (!sessionsData) {
+            console.log('🎮 No saved gaming sessions found, starting fresh');
+            return {};
+        }
+        return sessionsData;
+    }
+
+    static async close() {
+        await this.writeChain;
+        if (this.storage) {
+            await this.storage.close();
         }
     }
 }
@@ -203,173 +363,373 @@ class DataManager {
 // ═══════════════════════════════════════════════════════════════════════════════
 
 class WelcomeImageGenerator {
-    static async generateImage(member) {
+    static avatarCache = new ImageCache({ cacheDir: CONFIG.AVATAR_CACHE_DIR, ...CONFIG.AVATAR_CACHE });
+    // Decoded card backgrounds by file path, reloaded when the file changes
+    static backgrounds = new Map();
+    // Discord's default avatar colours, drawn locally instead of fetched
+    static DEFAULT_AVATAR_COLORS = ['#5865F2', '#757E8A', '#3BA55C', '#FAA61A', '#ED4245', '#EB459E'];
+
+    // A card theme is stored as overrides on top of the default theme
+    static resolveTheme(overrides) {
+        return { ...CONFIG.DEFAULT_CARD_THEME, ...(overrides || {}) };
+    }
+
+    static getTheme(guildId) {
+        return this.resolveTheme(ServerManager.getSettings(guildId).welcomeCard);
+    }
+
+    // Avatar centre and info column for each text layout
+    static getLayout(theme) {
+        switch (theme.layout) {
+            case 'right':
+                return { avatarX: 650, avatarY: 150, infoX: 150, nameY: 70, statsY: [140, 190], statsHeight: 150 };
+            case 'center':
+                return { avatarX: 400, avatarY: 80, infoX: 200, nameY: 150, statsY: [205, 250], statsHeight: 90 };
+            default:
+                return { avatarX: 150, avatarY: 150, infoX: 250, nameY: 70, statsY: [140, 190], statsHeight: 150 };
+        }
+    }
+
+    // `themeOverride` renders with an unsaved theme, e.g. for /welcome card previews
+    static async generateImage(member, themeOverride = null) {
         try {
             const settings = ServerManager.getSettings(member.guild.id);
-            const userStats = settings.userInteractions.get(member.id) || { waves: 0, middleFingers: 0 };
-            
-            const canvas = createCanvas(800, 300);
-            const ctx = canvas.getContext('2d');
+            const counts = settings.userInteractions.get(member.id)?.counts || {};
+            const buttons = WelcomeSystem.getInteractionButtons(settings);
+            const { canvas, ctx, theme, layout } = await this.createCard(member, themeOverride);
             
-            // Background gradient
-            const gradient = ctx.createLinearGradient(0, 0, 800, 300);
-            gradient.addColorStop(0, '#667eea');
-            gradient.addColorStop(1, '#764ba2');
-            ctx.fillStyle = gradient;
-            ctx.fillRect(0, 0, 800, 300);
+            // Draw user info
+            this.drawUserInfo(ctx, member, counts, buttons, theme, layout);
             
-            // Decorative elements
-            ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
-            ctx.beginPath();
-            ctx.arc(700, -50, 100, 0, Math.PI * 2);
-            ctx.arc(50, 350, 150, 0, Math.PI * 2);
-            ctx.fill();
+            return canvas.toBuffer('image/png');
+        } catch (error) {
+            console.error('❌ Error generating welcome image:', error);
+            return null;
+        }
+    }
+
+    // Goodbye card: same theme and avatar, with time stayed and roles held instead of stats
+    static async generateGoodbyeImage(member, tenureText, roleNames) {
+        try {
+            const { canvas, ctx, theme, layout } = await this.createCard(member);
             
-            // Load and draw avatar
-            await this.drawAvatar(ctx, member);
+            this.drawNameSection(ctx, member, theme, layout);
+            this.drawTextRow(ctx, layout.infoX, layout.statsY[0], `⏳ Stayed ${tenureText}`, theme);
             
-            // Draw user info
-            this.drawUserInfo(ctx, member, userStats);
+            ctx.font = `bold 20px ${fontStack(theme.font)}`;
+            let rolesText = `🎭 ${roleNames.length > 0 ? roleNames.join(', ') : 'No roles'}`;
+            while (rolesText.length > 4 && ctx.measureText(rolesText).width > 380) {
+                rolesText = rolesText.slice(0, -4) + '...';
+            }
+            this.drawTextRow(ctx, layout.infoX, layout.statsY[1], rolesText, theme);
             
             return canvas.toBuffer('image/png');
         } catch (error) {
-            console.error('❌ Error generating welcome image:', error);
+            console.error('❌ Error generating goodbye image:', error);
             return null;
         }
     }
 
-    static async drawAvatar(ctx, member) {
-        let avatarLoaded = false;
+    // Background, decoration and avatar shared by every card
+    static async createCard(member, themeOverride = null) {
+        const theme = themeOverride || this.getTheme(member.guild.id);
+        const layout = this.getLayout(theme);
+        
+        const canvas = createCanvas(800, 300);
+        const ctx = canvas.getContext('2d');
+        
+        await this.drawBackground(ctx, theme);
+        
+        // Decorative elements
+        ctx.save();
+        ctx.globalAlpha = 0.1;
+        ctx.fillStyle = theme.accentColor;
+        ctx.beginPath();
+        ctx.arc(700, -50, 100, 0, Math.PI * 2);
+        ctx.arc(50, 350, 150, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+        
+        // Load and draw avatar
+        await this.drawAvatar(ctx, member, theme, layout);
         
-        // Try custom avatar first
-        if (member.user.avatar) {
+        return { canvas, ctx, theme, layout };
+    }
+
+    static async drawBackground(ctx, theme, canvasWidth = 800, canvasHeight = 300) {
+        if (theme.backgroundImage) {
             try {
-                const avatarURL = `https://cdn.discordapp.com/avatars/${member.user.id}/${member.user.avatar}.png?size=256`;
-                const avatar = await loadImage(avatarURL);
-                
-                // Draw avatar with circular mask
-                ctx.fillStyle = '#ffffff';
-                ctx.beginPath();
-                ctx.arc(150, 150, 65, 0, Math.PI * 2);
-                ctx.fill();
-                
-                ctx.save();
-                ctx.beginPath();
-                ctx.arc(150, 150, 60, 0, Math.PI * 2);
-                ctx.closePath();
-                ctx.clip();
-                ctx.drawImage(avatar, 90, 90, 120, 120);
-                ctx.restore();
-                
-                // Avatar border
-                ctx.strokeStyle = '#ffffff';
-                ctx.lineWidth = 4;
-                ctx.beginPath();
-                ctx.arc(150, 150, 60, 0, Math.PI * 2);
-                ctx.stroke();
+                const background = await this.loadBackground(theme.backgroundImage);
                 
-                avatarLoaded = true;
+                // Scale to cover the card, cropping the overflow
+                const scale = Math.max(canvasWidth / background.width, canvasHeight / background.height);
+                const width = background.width * scale;
+                const height = background.height * scale;
+                ctx.drawImage(background, (canvasWidth - width) / 2, (canvasHeight - height) / 2, width, height);
+                return;
             } catch (error) {
-                console.log(`❌ Avatar loading failed: ${error.message}`);
+                console.log(`❌ Card background loading failed: ${error.message}`);
             }
         }
         
-        // Fallback to default avatar
-        if (!avatarLoaded) {
-            try {
-                const defaultNum = (parseInt(member.user.id) >> 22) % 5;
-                const defaultURL = `https://cdn.discordapp.com/embed/avatars/${defaultNum}.png`;
-                
-                const defaultAvatar = await loadImage(defaultURL);
-                
-                ctx.fillStyle = '#ffffff';
-                ctx.beginPath();
-                ctx.arc(150, 150, 65, 0, Math.PI * 2);
-                ctx.fill();
-                
-                ctx.save();
-                ctx.beginPath();
-                ctx.arc(150, 150, 60, 0, Math.PI * 2);
-                ctx.closePath();
-                ctx.clip();
-                ctx.drawImage(defaultAvatar, 90, 90, 120, 120);
-                ctx.restore();
-                
-                ctx.strokeStyle = '#ffffff';
-                ctx.lineWidth = 4;
-                ctx.beginPath();
-                ctx.arc(150, 150, 60, 0, Math.PI * 2);
-                ctx.stroke();
-            } catch {
-                // Final fallback: Simple colored circle
-                this.drawFallbackAvatar(ctx, member);
-            }
+        const directions = {
+            horizontal: [0, 0, canvasWidth, 0],
+            vertical: [0, 0, 0, canvasHeight],
+            diagonal: [0, 0, canvasWidth, canvasHeight]
+        };
+        const gradient = ctx.createLinearGradient(...(directions[theme.gradientDirection] || directions.diagonal));
+        theme.gradient.forEach((color, index) => {
+            gradient.addColorStop(theme.gradient.length > 1 ? index / (theme.gradient.length - 1) : 0, color);
+        });
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+    }
+
+    // `source` is a saved background path, or an uploaded buffer for unsaved previews
+    static async loadBackground(source) {
+        if (Buffer.isBuffer(source)) return loadImage(source);
+        
+        const { mtimeMs } = await fs.stat(source);
+        const cached = this.backgrounds.get(source);
+        if (cached && cached.mtimeMs === mtimeMs) return cached.image;
+        
+        const image = await loadImage(await fs.readFile(source));
+        this.backgrounds.set(source, { image, mtimeMs });
+        return image;
+    }
+
+    // Custom avatar from the cache (downloaded on a miss); null for default
+    // avatars or when it can't be loaded, and the caller draws one locally
+    static async loadAvatar(user) {
+        if (!user.avatar) return null;
+        return this.avatarCache.get(
+            `${user.id}-${user.avatar}`,
+            `https://cdn.discordapp.com/avatars/${user.id}/${user.avatar}.png?size=256`
+        );
+    }
+
+    // Same colour choice Discord uses for default avatars
+    static getDefaultAvatarColor(user) {
+        const index = user.discriminator && user.discriminator !== '0'
+            ? Number(user.discriminator) % 5
+            : Number((BigInt(user.id) >> 22n) % 6n);
+        return this.DEFAULT_AVATAR_COLORS[index];
+    }
+
+    static async drawAvatar(ctx, member, theme, layout) {
+        const avatar = await this.loadAvatar(member.user);
+        if (avatar) {
+            this.drawAvatarImage(ctx, avatar, theme, layout);
+        } else {
+            this.drawFallbackAvatar(ctx, member, theme, layout);
         }
     }
 
-    static drawFallbackAvatar(ctx, member) {
-        ctx.fillStyle = '#5865F2';
+    static drawAvatarImage(ctx, avatar, theme, { avatarX, avatarY }) {
+        // Draw avatar with circular mask
+        ctx.fillStyle = theme.accentColor;
+        ctx.beginPath();
+        ctx.arc(avatarX, avatarY, 65, 0, Math.PI * 2);
+        ctx.fill();
+        
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(avatarX, avatarY, 60, 0, Math.PI * 2);
+        ctx.closePath();
+        ctx.clip();
+        ctx.drawImage(avatar, avatarX - 60, avatarY - 60, 120, 120);
+        ctx.restore();
+        
+        // Avatar border
+        ctx.strokeStyle = theme.accentColor;
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.arc(avatarX, avatarY, 60, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+
+    static drawFallbackAvatar(ctx, member, theme, { avatarX, avatarY }) {
+        ctx.fillStyle = this.getDefaultAvatarColor(member.user);
         ctx.beginPath();
-        ctx.arc(150, 150, 60, 0, Math.PI * 2);
+        ctx.arc(avatarX, avatarY, 60, 0, Math.PI * 2);
         ctx.fill();
         
         const letter = member.user.displayName.charAt(0).toUpperCase();
         ctx.fillStyle = '#ffffff';
-        ctx.font = 'bold 48px Arial';
+        ctx.font = `bold 48px ${fontStack(theme.font)}`;
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
-        ctx.fillText(letter, 150, 150);
+        ctx.fillText(letter, avatarX, avatarY);
         
-        ctx.strokeStyle = '#ffffff';
+        ctx.strokeStyle = theme.accentColor;
         ctx.lineWidth = 4;
         ctx.beginPath();
-        ctx.arc(150, 150, 60, 0, Math.PI * 2);
+        ctx.arc(avatarX, avatarY, 60, 0, Math.PI * 2);
         ctx.stroke();
     }
 
-    static drawUserInfo(ctx, member, userStats) {
-        // User name section
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
-        ctx.fillRect(250, 70, 400, 50);
+    static drawUserInfo(ctx, member, counts, buttons, theme, layout) {
+        this.drawNameSection(ctx, member, theme, layout);
+        
+        // One stats section per configured interaction button
+        const rects = this.getStatRects(layout, buttons.length);
+        buttons.forEach((button, index) => {
+            // Custom Discord emojis can't be drawn on the canvas
+            const label = button.emoji && !button.emoji.startsWith('<') ? `${button.emoji} ${button.label}` : button.label;
+            this.drawStatsSection(ctx, rects[index], label, counts[button.key] || 0, button.color, theme);
+        });
+    }
+
+    // Split the stats area into one row per button, in two columns once there are more than two
+    static getStatRects(layout, count) {
+        const gap = 10;
+        const columns = count > 2 ? 2 : 1;
+        const rows = Math.ceil(count / columns);
+        const height = Math.min(40, (layout.statsHeight - gap * (rows - 1)) / rows);
+        const width = (400 - gap * (columns - 1)) / columns;
+        
+        return Array.from({ length: count }, (_, index) => ({
+            x: layout.infoX + (index % columns) * (width + gap),
+            y: layout.statsY[0] + Math.floor(index / columns) * (height + gap),
+            width,
+            height
+        }));
+    }
+
+    static drawNameSection(ctx, member, theme, layout) {
+        ctx.fillStyle = theme.panelColor;
+        ctx.fillRect(layout.infoX, layout.nameY, 400, 50);
         
-        ctx.fillStyle = '#2c3e50';
-        ctx.font = 'bold 28px Arial';
+        ctx.fillStyle = theme.textColor;
+        ctx.font = `bold 28px ${fontStack(theme.font)}`;
         ctx.textAlign = 'left';
         ctx.textBaseline = 'middle';
         
         const username = member.user.displayName.length > 20 ? 
             member.user.displayName.substring(0, 17) + '...' : 
             member.user.displayName;
-        ctx.fillText(username, 260, 95);
-        
-        // Stats sections
-        this.drawStatsSection(ctx, 140, '👋 Waves', userStats.waves, '#FFD700');
-        this.drawStatsSection(ctx, 190, '🖕 Fingers', userStats.middleFingers, '#FF4444');
+        ctx.fillText(username, layout.infoX + 10, layout.nameY + 25);
     }
 
-    static drawStatsSection(ctx, y, label, count, color) {
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
-        ctx.fillRect(250, y, 400, 40);
+    static drawTextRow(ctx, x, y, text, theme, width = 400, height = 40, maxTextWidth = width - 20) {
+        ctx.fillStyle = theme.panelColor;
+        ctx.fillRect(x, y, width, height);
         
-        ctx.fillStyle = '#2c3e50';
-        ctx.font = 'bold 20px Arial';
-        ctx.fillText(`${label}: ${count}`, 260, y + 20);
+        ctx.fillStyle = theme.textColor;
+        ctx.font = `bold ${Math.round(height / 2)}px ${fontStack(theme.font)}`;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, x + 10, y + height / 2, maxTextWidth);
+    }
+
+    static drawStatsSection(ctx, { x, y, width, height }, label, count, color, theme) {
+        // Dots only fit on full-width rows
+        const showDots = width >= 400 && height >= 40;
+        this.drawTextRow(ctx, x, y, `${label}: ${count}`, theme, width, height, showDots ? 180 : width - 20);
+        if (!showDots) return;
         
         // Draw dots for visual representation
         ctx.fillStyle = color;
         const dotsToShow = Math.min(count, 10);
         for (let i = 0; i < dotsToShow; i++) {
             ctx.beginPath();
-            ctx.arc(450 + (i % 5) * 25, y + 10 + Math.floor(i / 5) * 20, 5, 0, Math.PI * 2);
+            ctx.arc(x + 200 + (i % 5) * 25, y + 10 + Math.floor(i / 5) * 20, 5, 0, Math.PI * 2);
             ctx.fill();
         }
         
         if (count > 10) {
-            ctx.fillStyle = '#333';
-            ctx.font = 'bold 16px Arial';
-            ctx.fillText('+', 580, y + 20);
+            ctx.fillStyle = theme.textColor;
+            ctx.font = `bold 16px ${fontStack(theme.font)}`;
+            ctx.fillText('+', x + 330, y + 20);
+        }
+    }
+
+    // Ranked list of up to 10 members in the guild's card theme.
+    // `entries` are { rank, userId, name, avatar, count }, `avatar` a user-like { id, avatar }
+    static async generateLeaderboardImage(guildId, title, subtitle, entries, barColor) {
+        try {
+            const theme = this.getTheme(guildId);
+            const height = 110 + entries.length * 58 + 12;
+            const canvas = createCanvas(800, height);
+            const ctx = canvas.getContext('2d');
+            
+            await this.drawBackground(ctx, theme, 800, height);
+            
+            // Header
+            ctx.fillStyle = theme.panelColor;
+            ctx.fillRect(20, 20, 760, 70);
+            ctx.fillStyle = theme.textColor;
+            ctx.textBaseline = 'middle';
+            ctx.textAlign = 'left';
+            ctx.font = `bold 30px ${fontStack(theme.font)}`;
+            ctx.fillText(title, 40, 55, 480);
+            ctx.textAlign = 'right';
+            ctx.font = `bold 18px ${fontStack(theme.font)}`;
+            ctx.fillText(subtitle, 760, 55, 220);
+            
+            const avatars = await Promise.all(entries.map(entry => this.loadAvatar(entry.avatar)));
+            const maxCount = Math.max(...entries.map(entry => entry.count), 1);
+            const rankColors = ['#FFD700', '#C0C0C0', '#CD7F32'];
+            
+            entries.forEach((entry, index) => {
+                const y = 110 + index * 58;
+                
+                ctx.fillStyle = theme.panelColor;
+                ctx.fillRect(20, y, 760, 50);
+                
+                // Rank
+                ctx.textAlign = 'left';
+                ctx.font = `bold 22px ${fontStack(theme.font)}`;
+                ctx.fillStyle = rankColors[entry.rank - 1] || theme.textColor;
+                ctx.fillText(`#${entry.rank}`, 35, y + 25);
+                
+                // Avatar
+                ctx.save();
+                ctx.beginPath();
+                ctx.arc(122, y + 25, 20, 0, Math.PI * 2);
+                ctx.closePath();
+                ctx.clip();
+                if (avatars[index]) {
+                    ctx.drawImage(avatars[index], 102, y + 5, 40, 40);
+                } else {
+                    ctx.fillStyle = this.getDefaultAvatarColor(entry.avatar);
+                    ctx.fillRect(102, y + 5, 40, 40);
+                }
+                ctx.restore();
+                
+                // Name
+                ctx.fillStyle = theme.textColor;
+                ctx.fillText(entry.name, 157, y + 25, 375);
+                
+                // Count bar and value
+                ctx.fillStyle = barColor;
+                ctx.fillRect(545, y + 20, Math.max(4, 140 * entry.count / maxCount), 10);
+                ctx.fillStyle = theme.textColor;
+                ctx.textAlign = 'right';
+                ctx.fillText(entry.count.toLocaleString(), 765, y + 25, 70);
+            });
+            
+            return canvas.toBuffer('image/png');
+        } catch (error) {
+            console.error('❌ Error generating leaderboard image:', error);
+            return null;
         }
     }
+
+    // Store an uploaded card background on disk and return the path to save in the theme
+    static async saveCardBackground(guildId, buffer) {
+        await fs.mkdir(CONFIG.CARD_BACKGROUND_DIR, { recursive: true });
+        const backgroundPath = path.join(CONFIG.CARD_BACKGROUND_DIR, `${guildId}.img`);
+        await fs.writeFile(backgroundPath, buffer);
+        this.backgrounds.delete(backgroundPath);
+        return backgroundPath;
+    }
+
+    static async removeCardBackground(guildId) {
+        const backgroundPath = path.join(CONFIG.CARD_BACKGROUND_DIR, `${guildId}.img`);
+        await fs.rm(backgroundPath, { force: true });
+        this.backgrounds.delete(backgroundPath);
+    }
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -387,6 +747,22 @@ class ServerManager {
                 userRoles: new Map(),
                 roleHistory: new Map(),
                 roleStats: {},
+                welcomeMessages: [],
+                welcomeBackMessage: null,
+                welcomeCard: null,
+                interactionButtons: null,
+                interactionCooldownMinutes: CONFIG.DEFAULT_INTERACTION_COOLDOWN_MINUTES,
+                goodbyeChannel: null,
+                goodbyeMessage: null,
+                panelNoticeChannel: null,
+                leaveEvents: [],
+                memberRetentionDays: null,
+                verification: null,
+                pendingVerifications: {},
+                temporaryRoles: {},
+                raidProtection: null,
+                raidLockdown: null,
+                stickyRoles: null,
                 videoReactions: {
                     enabled: false,
                     channels: [],
@@ -416,15 +792,123 @@ class ServerManager {
         return guild.roles.cache.filter(baseFilter).map(role => role);
     }
 
-    static async updateInteractionStats(guildId, userId, type) {
+    // Record one click of an interaction button on a member's welcome. Returns
+    // { counts }, or { retryAt } if the clicker is still inside the cooldown window
+    static async updateInteractionStats(guildId, userId, key, clickerId) {
         const settings = this.getSettings(guildId);
-        const userStats = settings.userInteractions.get(userId) || { waves: 0, middleFingers: 0 };
+        const userStats = settings.userInteractions.get(userId) || { counts: {} };
+        // Own properties only, so a key like "constructor" can't pick up a built-in
+        const own = (object, property) => Object.prototype.hasOwnProperty.call(object, property) ? object[property] : undefined;
+        userStats.received = userStats.received || {};
+        const clickers = userStats.received[key] = own(userStats.received, key) || {};
+        
+        const previous = own(clickers, clickerId);
+        const cooldownMs = settings.interactionCooldownMinutes * 60 * 1000;
+        if (previous && cooldownMs > 0) {
+            const retryAt = new Date(previous.lastAt).getTime() + cooldownMs;
+            if (retryAt > Date.now()) return { retryAt };
+        }
+        
+        clickers[clickerId] = { count: (previous?.count || 0) + 1, lastAt: new Date().toISOString() };
+        userStats.counts[key] = (own(userStats.counts, key) || 0) + 1;
+        
+        // Per-month counts for monthly leaderboards, keeping the last few months
+        const month = this.getMonthKey();
+        userStats.monthly = userStats.monthly || {};
+        userStats.monthly[month] = userStats.monthly[month] || {};
+        userStats.monthly[month][key] = (own(userStats.monthly[month], key) || 0) + 1;
+        Object.keys(userStats.monthly).sort().slice(0, -CONFIG.INTERACTION_MONTHS_KEPT)
+            .forEach(oldMonth => delete userStats.monthly[oldMonth]);
         
-        userStats[type] += 1;
         settings.userInteractions.set(userId, userStats);
         
         await DataManager.saveData();
-        return userStats;
+        return { counts: userStats.counts };
+    }
+
+    static getMonthKey(date = new Date()) {
+        return date.toISOString().slice(0, 7); // YYYY-MM (UTC)
+    }
+
+    // Members ranked by one interaction counter, all-time or for the current month
+    static getInteractionLeaderboard(guildId, key, period = 'all') {
+        const settings = this.getSettings(guildId);
+        const month = this.getMonthKey();
+        
+        return Array.from(settings.userInteractions.entries())
+            .map(([userId, userStats]) => ({
+                userId,
+                count: (period === 'month' ? userStats.monthly?.[month]?.[key] : userStats.counts[key]) || 0
+            }))
+            .filter(entry => entry.count > 0)
+            .sort((a, b) => b.count - a.count);
+    }
+
+    // Clicks a user gave on other members' welcomes, keyed by target then button
+    static getClicksGiven(settings, clickerId) {
+        const given = {};
+        for (const [userId, userStats] of settings.userInteractions) {
+            for (const [key, clickers] of Object.entries(userStats.received || {})) {
+                if (clickers[clickerId]) {
+                    given[userId] = given[userId] || {};
+                    given[userId][key] = clickers[clickerId];
+                }
+            }
+        }
+        return given;
+    }
+
+    // Forget which buttons a user clicked; the targets' totals are left as they are
+    static removeClicksGiven(settings, clickerId) {
+        let removed = 0;
+        for (const userStats of settings.userInteractions.values()) {
+            for (const clickers of Object.values(userStats.received || {})) {
+                if (clickers[clickerId]) {
+                    delete clickers[clickerId];
+                    removed++;
+                }
+            }
+        }
+        return removed;
+    }
+
+    // Joins per inviter from the invites stored on member records, newest
+    // attributions only when `since` (ms timestamp) is given
+    static getInviteStats(guildId, since = null) {
+        const settings = this.getSettings(guildId);
+        const stats = new Map();
+        
+        for (const [userId, userRoleData] of settings.userRoles) {
+            const invite = userRoleData.invite;
+            if (!invite?.inviterId) continue;
+            if (since && new Date(invite.joinedAt).getTime() < since) continue;
+            
+            const inviterStats = stats.get(invite.inviterId) || { inviterId: invite.inviterId, joins: 0, stillHere: 0, invitees: [] };
+            inviterStats.joins++;
+            if (!userRoleData.leftAt) inviterStats.stillHere++;
+            inviterStats.invitees.push({
+                userId,
+                username: userRoleData.username,
+                code: invite.code,
+                joinedAt: invite.joinedAt,
+                leftAt: userRoleData.leftAt || null
+            });
+            stats.set(invite.inviterId, inviterStats);
+        }
+        
+        return Array.from(stats.values())
+            .sort((a, b) => b.joins - a.joins || b.stillHere - a.stillHere);
+    }
+
+    static removeInviterReferences(settings, inviterId) {
+        let removed = 0;
+        for (const userRoleData of settings.userRoles.values()) {
+            if (userRoleData.invite?.inviterId === inviterId) {
+                userRoleData.invite.inviterId = null;
+                removed++;
+            }
+        }
+        return removed;
     }
 
     static async syncUserRoles(guild) {
@@ -444,7 +928,10 @@ class ServerManager {
                     .filter(role => role.name !== '@everyone')
                     .map(role => role.id);
                 
+                // Keep extra fields such as the join invite; the member is here, so drop leftAt
+                const { leftAt, ...userRoleData } = settings.userRoles.get(member.id) || {};
                 settings.userRoles.set(member.id, {
+                    ...userRoleData,
                     roles: userRoleIds,
                     lastUpdated: new Date().toISOString(),
                     username: member.user.displayName
@@ -458,6 +945,14 @@ class ServerManager {
                 syncedCount++;
             });
             
+            // Members who left while the bot was offline never fired guildMemberRemove
+            for (const [userId, userRoleData] of settings.userRoles) {
+                if (!userRoleData.leftAt && !guild.members.cache.has(userId)) {
+                    userRoleData.leftAt = new Date().toISOString();
+                }
+            }
+            this.pruneDepartedMembers(guild);
+            
             settings.roleStats = Object.fromEntries(roleStats);
             await DataManager.saveData();
             
@@ -486,6 +981,7 @@ class ServerManager {
         userRoleData.roles = newRoleIds.filter(id => id !== member.guild.roles.everyone.id);
         userRoleData.lastUpdated = new Date().toISOString();
         userRoleData.username = member.user.displayName;
+        delete userRoleData.leftAt;
         settings.userRoles.set(member.id, userRoleData);
         
         // Track role history
@@ -522,6 +1018,47 @@ class ServerManager {
         return { addedRoles, removedRoles };
     }
 
+    // Roles a returning member held when they left, or null for a first join.
+    // Read it before trackRoleChange replaces the snapshot with the join-time roles.
+    static getDepartedSnapshot(member) {
+        const userRoleData = this.getSettings(member.guild.id).userRoles.get(member.id);
+        if (!userRoleData?.leftAt) return null;
+        return { roles: userRoleData.roles, leftAt: userRoleData.leftAt };
+    }
+
+    // Re-apply a returning member's roles when sticky roles are on. Blacklisted,
+    // dangerous, excluded, integration, out-of-reach and time-limited roles are skipped.
+    static async restoreStickyRoles(member, roleIds) {
+        const settings = this.getSettings(member.guild.id);
+        if (!settings.stickyRoles || !roleIds || roleIds.length === 0) return [];
+        
+        const guild = member.guild;
+        const highestBotRole = guild.members.me.roles.highest.position;
+        const roles = roleIds
+            .map(id => guild.roles.cache.get(id))
+            .filter(role => role &&
+                role.id !== guild.roles.everyone.id &&
+                !role.managed &&
+                role.position < highestBotRole &&
+                !member.roles.cache.has(role.id) &&
+                !settings.blacklistedRoles.includes(role.id) &&
+                !settings.stickyRoles.excludedRoles.includes(role.id) &&
+                !RoleManager.isTimeLimitedRole(guild.id, role.id) &&
+                !CONFIG.DANGEROUS_PERMISSIONS.some(perm => role.permissions.has(perm)));
+        
+        if (roles.length === 0) return [];
+        
+        try {
+            await member.roles.add(roles, 'Sticky roles: restored on rejoin');
+        } catch (error) {
+            console.error(`❌ Error restoring sticky roles for ${member.user.tag}:`, error);
+            return [];
+        }
+        
+        console.log(`📌 Restored ${roles.length} roles to ${member.user.tag} in ${guild.name}: ${roles.map(role => role.name).join(', ')}`);
+        return roles;
+    }
+
     static getUserRoles(guildId, userId) {
         const settings = this.getSettings(guildId);
         return settings.userRoles.get(userId) || null;
@@ -536,38 +1073,270 @@ class ServerManager {
         const settings = this.getSettings(guildId);
         return settings.roleStats || {};
     }
-}
-
-// ═══════════════════════════════════════════════════════════════════════════════
-// 💬 WELCOME SYSTEM
-// ═══════════════════════════════════════════════════════════════════════════════
 
-class WelcomeSystem {
-    static async sendWelcomeMessage(member, channel, isTest = false) {
-        try {
-            const settings = ServerManager.getSettings(member.guild.id);
-            const userStats = settings.userInteractions.get(member.id) || { waves: 0, middleFingers: 0 };
-            
-            const imageBuffer = await WelcomeImageGenerator.generateImage(member);
-            
-            const waveButton = new ButtonBuilder()
-                .setCustomId(`wave_${member.id}`)
-                .setLabel(`👋 Wave (${userStats.waves})`)
-                .setStyle(ButtonStyle.Primary);
-            
-            const middleFingerButton = new ButtonBuilder()
-                .setCustomId(`middle_${member.id}`)
-                .setLabel(`🖕 Middle Finger (${userStats.middleFingers})`)
-                .setStyle(ButtonStyle.Danger);
+    // Record a departure for churn stats and mark the member's data so it can
+    // expire under the retention setting. Returns the leave event.
+    static async recordLeave(member) {
+        const settings = this.getSettings(member.guild.id);
+        const userRoleData = settings.userRoles.get(member.id) || { roles: [], lastUpdated: null, username: member.user.displayName };
+        const leftAt = new Date();
+        
+        const leaveEvent = {
+            userId: member.id,
+            username: member.user.displayName,
+            joinedAt: member.joinedAt ? member.joinedAt.toISOString() : null,
+            leftAt: leftAt.toISOString(),
+            tenureMs: member.joinedTimestamp ? leftAt.getTime() - member.joinedTimestamp : null,
+            roles: userRoleData.roles
+        };
+        settings.leaveEvents.push(leaveEvent);
+        if (settings.leaveEvents.length > CONFIG.MAX_LEAVE_EVENTS) {
+            settings.leaveEvents.splice(0, settings.leaveEvents.length - CONFIG.MAX_LEAVE_EVENTS);
+        }
+        
+        userRoleData.leftAt = leaveEvent.leftAt;
+        settings.userRoles.set(member.id, userRoleData);
+        await DataManager.saveData();
+        
+        console.log(`🚪 ${member.user.tag} left ${member.guild.name}`);
+        return leaveEvent;
+    }
+
+    // Leave events stay for churn stats but lose everything identifying the member
+    static anonymizeLeaveEvents(settings, userId) {
+        let count = 0;
+        for (const leaveEvent of settings.leaveEvents) {
+            if (leaveEvent.userId === userId) {
+                leaveEvent.userId = null;
+                leaveEvent.username = null;
+                leaveEvent.roles = [];
+                count++;
+            }
+        }
+        return count;
+    }
+
+    // Drop stored records for members who left more than memberRetentionDays ago
+    static pruneDepartedMembers(guild) {
+        const settings = this.getSettings(guild.id);
+        if (!settings.memberRetentionDays) return 0;
+        
+        const cutoff = Date.now() - settings.memberRetentionDays * 24 * 60 * 60 * 1000;
+        let prunedCount = 0;
+        
+        for (const [userId, userRoleData] of settings.userRoles) {
+            if (userRoleData.leftAt && new Date(userRoleData.leftAt).getTime() < cutoff) {
+                USER_COLLECTIONS.forEach(collection => settings[collection].delete(userId));
+                this.anonymizeLeaveEvents(settings, userId);
+                this.removeClicksGiven(settings, userId);
+                delete settings.temporaryRoles[userId];
+                prunedCount++;
+            }
+        }
+        
+        if (prunedCount > 0) {
+            console.log(`🧹 Pruned stored data for ${prunedCount} departed members in ${guild.name}`);
+            DataManager.saveData();
+        }
+        return prunedCount;
+    }
+
+    // Everything stored about one user, keyed by server ID
+    static collectUserData(userId) {
+        const userData = {};
+        for (const [guildId, settings] of serverSettings) {
+            const records = {};
+            USER_COLLECTIONS.forEach(collection => {
+                if (settings[collection].has(userId)) {
+                    records[collection] = settings[collection].get(userId);
+                }
+            });
+            const leaveEvents = settings.leaveEvents.filter(leaveEvent => leaveEvent.userId === userId);
+            if (leaveEvents.length > 0) {
+                records.leaveEvents = leaveEvents;
+            }
+            const clicksGiven = this.getClicksGiven(settings, userId);
+            if (Object.keys(clicksGiven).length > 0) {
+                records.clicksGiven = clicksGiven;
+            }
+            if (settings.pendingVerifications[userId]) {
+                records.pendingVerification = settings.pendingVerifications[userId];
+            }
+            if (settings.temporaryRoles[userId]) {
+                records.temporaryRoles = settings.temporaryRoles[userId];
+            }
+            const lockdownEntry = settings.raidLockdown?.batch.find(entry => entry.userId === userId);
+            if (lockdownEntry) {
+                records.raidLockdown = lockdownEntry;
+            }
+            const membersInvited = this.getInviteStats(guildId).find(stats => stats.inviterId === userId)?.joins || 0;
+            if (membersInvited > 0) {
+                records.membersInvited = membersInvited;
+            }
+            if (Object.keys(records).length > 0) {
+                userData[guildId] = records;
+            }
+        }
+        return userData;
+    }
+
+    // Remove a user's records from every server; returns how many servers held data
+    static async eraseUserData(userId) {
+        let guildCount = 0;
+        for (const [guildId, settings] of serverSettings) {
+            let removed = false;
+            USER_COLLECTIONS.forEach(collection => {
+                removed = settings[collection].delete(userId) || removed;
+            });
+            if (this.anonymizeLeaveEvents(settings, userId) > 0) removed = true;
+            if (this.removeClicksGiven(settings, userId) > 0) removed = true;
+            if (this.removeInviterReferences(settings, userId) > 0) removed = true;
+            // A held account is then neither let in nor kicked when the lockdown ends
+            if (settings.raidLockdown?.batch.some(entry => entry.userId === userId)) {
+                settings.raidLockdown.batch = settings.raidLockdown.batch.filter(entry => entry.userId !== userId);
+                removed = true;
+            }
+            // A pending verification keeps its deadline, which goes away once the
+            // member accepts or leaves, but loses the roles held back for rejoining
+            if (settings.pendingVerifications[userId]?.stickyRoles) {
+                delete settings.pendingVerifications[userId].stickyRoles;
+                removed = true;
+            }
+            // Without their expiry times, time-limited roles would never be taken
+            // back, so they end now
+            const userExpiries = settings.temporaryRoles[userId];
+            if (userExpiries) {
+                await RoleManager.endTimeLimitedRoles(guildId, userId, Object.keys(userExpiries));
+                delete settings.temporaryRoles[userId];
+                removed = true;
+            }
+            if (removed) guildCount++;
+        }
+        await DataManager.saveData();
+        return guildCount;
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 💬 WELCOME SYSTEM
+// ═══════════════════════════════════════════════════════════════════════════════
+
+class WelcomeSystem {
+    // Throttle state per welcome message ID: { timer, cleanup, lastEditAt }
+    static messageRefreshes = new Map();
+
+    // Give a new member the default role and any sticky roles, or start the
+    // rules gate when it's on. Returns the sticky roles restored.
+    static async grantJoinAccess(member, settings, stickyRoleIds = null) {
+        if (settings.verification && !member.user.bot) {
+            try {
+                await VerificationSystem.startVerification(member, settings, stickyRoleIds);
+            } catch (error) {
+                console.error('❌ Error starting verification:', error);
+            }
+            return [];
+        }
+        
+        if (settings.defaultRole) {
+            try {
+                const role = member.guild.roles.cache.get(settings.defaultRole);
+                if (role) {
+                    await member.roles.add(role);
+                    console.log(`👋 Gave default role ${role.name} to ${member.user.tag}`);
+                }
+            } catch (error) {
+                console.error('❌ Error giving default role:', error);
+            }
+        }
+        return ServerManager.restoreStickyRoles(member, stickyRoleIds);
+    }
+
+    // Fill in {placeholders} in a welcome template for a member; `extra` adds
+    // placeholders for a particular message, e.g. {tenure} on goodbyes
+    static renderTemplate(template, member, extra = {}) {
+        const guild = member.guild;
+        const joinPosition = guild.members.cache
+            .filter(m => m.joinedTimestamp && m.joinedTimestamp <= member.joinedTimestamp)
+            .size || guild.memberCount;
+        
+        const values = {
+            'user': member.user.displayName,
+            'user.mention': `<@${member.id}>`,
+            'user.name': member.user.username,
+            'guild': guild.name,
+            'memberCount': guild.memberCount.toLocaleString(),
+            'rulesChannel': guild.rulesChannelId ? `<#${guild.rulesChannelId}>` : 'the rules channel',
+            'joinPosition': joinPosition.toLocaleString(),
+            ...extra
+        };
+        
+        return template
+            .replace(/\\n/g, '\n')
+            .replace(/\{([\w.]+)\}/g, (match, key) => values.hasOwnProperty(key) ? values[key] : match);
+    }
+
+    // Pick one of the guild's templates at random, or a specific one by index
+    static pickTemplate(settings, templateIndex = null) {
+        const templates = settings.welcomeMessages;
+        if (templates.length === 0) return CONFIG.DEFAULT_WELCOME_TEMPLATE;
+        if (templateIndex !== null && templates[templateIndex]) return templates[templateIndex];
+        return templates[Math.floor(Math.random() * templates.length)];
+    }
+
+    static getInteractionButtons(settings) {
+        return settings.interactionButtons || CONFIG.DEFAULT_INTERACTION_BUTTONS;
+    }
+
+    // Interaction buttons plus a second row for seeing who pressed them
+    static createWelcomeComponents(buttons, targetUserId, counts) {
+        const interactionRow = new ActionRowBuilder().addComponents(
+            buttons.map(button => new ButtonBuilder()
+                .setCustomId(`interact_${button.key}_${targetUserId}`)
+                .setLabel(`${button.label} (${counts[button.key] || 0})`)
+                .setEmoji(button.emoji)
+                .setStyle(ButtonStyle[button.style] || ButtonStyle.Primary))
+        );
+        
+        const tallyRow = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`whointeracted_${targetUserId}`)
+                .setLabel('👥 Who?')
+                .setStyle(ButtonStyle.Secondary)
+        );
+        
+        return [interactionRow, tallyRow];
+    }
+
+    // Button key from a custom ID: interact_<key>_<userId>, or the old wave_/middle_ IDs
+    static parseInteractionId(customId) {
+        const parts = customId.split('_');
+        const targetUserId = parts[parts.length - 1];
+        const key = parts[0] === 'interact' ? parts[1] : CONFIG.LEGACY_INTERACTION_IDS[parts[0]];
+        return { key, targetUserId };
+    }
+
+    // `returning` is { leftAt, restoredRoles } for members who were here before,
+    // `invite` is the { code, inviterId } they joined with when known
+    static async sendWelcomeMessage(member, channel, isTest = false, templateIndex = null, returning = null, invite = null) {
+        try {
+            const settings = ServerManager.getSettings(member.guild.id);
+            const counts = settings.userInteractions.get(member.id)?.counts || {};
             
-            const row = new ActionRowBuilder().addComponents(waveButton, middleFingerButton);
+            const imageBuffer = await WelcomeImageGenerator.generateImage(member);
+            const components = this.createWelcomeComponents(this.getInteractionButtons(settings), member.id, counts);
             
-            const welcomeContent = `# ${isTest ? '🧪 TEST: ' : ''}👋 Welcome to ${member.guild.name}!\n\n` +
-                `## Hey ${member.user.displayName}, welcome to our awesome server! 🎉\n\n`;
+            const welcomeText = returning
+                ? this.renderTemplate(this.getWelcomeBackTemplate(settings), member, {
+                    timeAway: this.formatDuration(Date.now() - new Date(returning.leftAt).getTime()),
+                    restoredRoles: returning.restoredRoles.length > 0 ? returning.restoredRoles.map(role => role.name).join(', ') : 'none'
+                })
+                : this.renderTemplate(this.pickTemplate(settings, templateIndex), member);
+            const welcomeContent = (isTest ? '🧪 **TEST**\n' : '') + welcomeText +
+                (invite ? `\n-# 📨 ${this.describeInvite(member.guild, invite)}` : '');
             
             const messageOptions = {
                 content: welcomeContent,
-                components: [row],
+                components,
                 allowedMentions: { parse: ['users'] }
             };
             
@@ -584,95 +1353,759 @@ class WelcomeSystem {
         }
     }
 
-    static async handleInteractionButton(interaction) {
-        const [action, targetUserId] = interaction.customId.split('_');
-        
+    // "3 months", "2 days" - the largest unit that fits
+    static formatDuration(ms) {
+        const units = [
+            ['year', 365 * 24 * 60 * 60 * 1000],
+            ['month', 30 * 24 * 60 * 60 * 1000],
+            ['week', 7 * 24 * 60 * 60 * 1000],
+            ['day', 24 * 60 * 60 * 1000],
+            ['hour', 60 * 60 * 1000],
+            ['minute', 60 * 1000]
+        ];
+        for (const [unit, size] of units) {
+            const count = Math.floor(ms / size);
+            if (count >= 1) return `${count} ${unit}${count === 1 ? '' : 's'}`;
+        }
+        return 'less than a minute';
+    }
+
+    // "Invited by Name (abc123)" - by name, so the inviter isn't pinged
+    static describeInvite(guild, invite) {
+        if (!invite.inviterId) return `Joined with invite \`${invite.code}\``;
+        const settings = ServerManager.getSettings(guild.id);
+        const inviterName = guild.members.cache.get(invite.inviterId)?.displayName ||
+            settings.userRoles.get(invite.inviterId)?.username ||
+            'a former member';
+        return `Invited by **${inviterName}** (\`${invite.code}\`)`;
+    }
+
+    static getWelcomeBackTemplate(settings) {
+        return settings.welcomeBackMessage || CONFIG.DEFAULT_WELCOME_BACK_TEMPLATE;
+    }
+
+    static getGoodbyeTemplate(settings) {
+        return settings.goodbyeMessage || CONFIG.DEFAULT_GOODBYE_TEMPLATE;
+    }
+
+    static async sendGoodbyeMessage(member, channel, isTest = false) {
         try {
-            const stats = await ServerManager.updateInteractionStats(
-                interaction.guild.id, 
-                targetUserId, 
-                action === 'wave' ? 'waves' : 'middleFingers'
+            const settings = ServerManager.getSettings(member.guild.id);
+            const storedRoles = ServerManager.getUserRoles(member.guild.id, member.id)?.roles ||
+                member.roles.cache.map(role => role.id);
+            const roleNames = storedRoles
+                .map(id => member.guild.roles.cache.get(id))
+                .filter(role => role && role.id !== member.guild.roles.everyone.id)
+                .sort((a, b) => b.position - a.position)
+                .map(role => role.name);
+            
+            const tenureText = member.joinedTimestamp ? this.formatDuration(Date.now() - member.joinedTimestamp) : 'an unknown time';
+            const imageBuffer = await WelcomeImageGenerator.generateGoodbyeImage(member, tenureText, roleNames);
+            
+            const goodbyeContent = (isTest ? '🧪 **TEST**\n' : '') + this.renderTemplate(
+                this.getGoodbyeTemplate(settings),
+                member,
+                { tenure: tenureText, roles: roleNames.length > 0 ? roleNames.join(', ') : 'no roles' }
             );
             
-            const targetMember = interaction.guild.members.cache.get(targetUserId);
-            if (!targetMember) {
-                return interaction.reply({ content: '❌ User not found!', ephemeral: true });
-            }
-            
-            const newImageBuffer = await WelcomeImageGenerator.generateImage(targetMember);
-            
-            const waveButton = new ButtonBuilder()
-                .setCustomId(`wave_${targetUserId}`)
-                .setLabel(`👋 Wave (${stats.waves})`)
-                .setStyle(ButtonStyle.Primary);
-            
-            const middleFingerButton = new ButtonBuilder()
-                .setCustomId(`middle_${targetUserId}`)
-                .setLabel(`🖕 Middle Finger (${stats.middleFingers})`)
-                .setStyle(ButtonStyle.Danger);
-            
-            const row = new ActionRowBuilder().addComponents(waveButton, middleFingerButton);
-            
-            const updatedContent = `# 👋 Welcome to ${targetMember.guild.name}!\n\n` +
-                `## Hey ${targetMember.user.displayName}, welcome to our awesome server! 🎉\n\n`;
-            
-            const updateOptions = {
-                content: updatedContent,
-                components: [row]
+            const messageOptions = {
+                content: goodbyeContent,
+                allowedMentions: { parse: [] }
             };
             
-            if (newImageBuffer) {
-                updateOptions.files = [{ 
-                    attachment: newImageBuffer, 
-                    name: 'welcome.png' 
-                }];
+            if (imageBuffer) {
+                messageOptions.files = [{ attachment: imageBuffer, name: 'goodbye.png' }];
             }
             
-            await interaction.update(updateOptions);
+            await channel.send(messageOptions);
+            console.log(`✅ Goodbye message sent for ${member.user.tag}${isTest ? ' (TEST)' : ''}`);
+            
+        } catch (error) {
+            console.error('❌ Error sending goodbye message:', error);
+            throw error;
+        }
+    }
+
+    static async handleInteractionButton(interaction) {
+        const { key, targetUserId } = this.parseInteractionId(interaction.customId);
+        const settings = ServerManager.getSettings(interaction.guild.id);
+        const button = this.getInteractionButtons(settings).find(b => b.key === key);
+        
+        if (!button) {
+            return interaction.reply({ content: '❌ This button is no longer available on this server.', ephemeral: true });
+        }
+        
+        if (interaction.user.id === targetUserId) {
+            return interaction.reply({ content: `🙅 You can't press **${button.label}** on your own welcome!`, ephemeral: true });
+        }
+        
+        try {
+            // Checked first so clicks for members who left don't bring their data back
+            const targetMember = await interaction.guild.members.fetch(targetUserId).catch(() => null);
+            if (!targetMember) {
+                return interaction.reply({ content: '❌ User not found!', ephemeral: true });
+            }
             
-            const emoji = action === 'wave' ? '👋' : '🖕';
-            const actionText = action === 'wave' ? 'waved at' : 'gave the middle finger to';
-            const count = action === 'wave' ? stats.waves : stats.middleFingers;
+            const result = await ServerManager.updateInteractionStats(interaction.guild.id, targetUserId, key, interaction.user.id);
+            if (result.retryAt) {
+                return interaction.reply({
+                    content: `⏳ You already pressed **${button.label}** for them. You can again <t:${Math.ceil(result.retryAt / 1000)}:R>.`,
+                    ephemeral: true
+                });
+            }
             
-            await interaction.followUp({ 
-                content: `${emoji} You ${actionText} ${targetMember.user.displayName}! Total: **${count}**`,
+            await interaction.reply({ 
+                content: `${button.emoji} You pressed **${button.label}** for ${targetMember.user.displayName}! Total: **${result.counts[key]}**`,
                 ephemeral: true 
             });
             
+            this.scheduleMessageRefresh(interaction.message, targetMember);
+            
         } catch (error) {
-            console.error(`❌ Error handling ${action} button:`, error);
+            console.error(`❌ Error handling ${key} button:`, error);
+            if (!interaction.replied && !interaction.deferred) {
+                await interaction.reply({ content: '❌ Something went wrong!', ephemeral: true });
+            }
+        }
+    }
+
+    // Re-render a welcome message at most once per INTERACTION_EDIT_THROTTLE_MS;
+    // clicks during the wait are picked up by the queued edit
+    static scheduleMessageRefresh(message, targetMember) {
+        const state = this.messageRefreshes.get(message.id) || { timer: null, cleanup: null, lastEditAt: 0 };
+        this.messageRefreshes.set(message.id, state);
+        if (state.timer) return;
+        
+        clearTimeout(state.cleanup);
+        const delay = Math.max(0, state.lastEditAt + CONFIG.INTERACTION_EDIT_THROTTLE_MS - Date.now());
+        
+        state.timer = setTimeout(async () => {
+            state.timer = null;
+            state.lastEditAt = Date.now();
+            state.cleanup = setTimeout(() => this.messageRefreshes.delete(message.id), CONFIG.INTERACTION_EDIT_THROTTLE_MS);
             
             try {
-                const stats = await ServerManager.updateInteractionStats(
-                    interaction.guild.id, 
-                    targetUserId, 
-                    action === 'wave' ? 'waves' : 'middleFingers'
-                );
-                
-                const waveButton = new ButtonBuilder()
-                    .setCustomId(`wave_${targetUserId}`)
-                    .setLabel(`👋 Wave (${stats.waves})`)
-                    .setStyle(ButtonStyle.Primary);
-                
-                const middleFingerButton = new ButtonBuilder()
-                    .setCustomId(`middle_${targetUserId}`)
-                    .setLabel(`🖕 Middle Finger (${stats.middleFingers})`)
-                    .setStyle(ButtonStyle.Danger);
+                await this.refreshWelcomeMessage(message, targetMember);
+            } catch (error) {
+                console.error('❌ Error refreshing welcome message:', error);
+            }
+        }, delay);
+    }
+
+    static async refreshWelcomeMessage(message, targetMember) {
+        const settings = ServerManager.getSettings(targetMember.guild.id);
+        const counts = settings.userInteractions.get(targetMember.id)?.counts || {};
+        const newImageBuffer = await WelcomeImageGenerator.generateImage(targetMember);
+        
+        // Content is left as sent so the rotated template doesn't change on re-render
+        const editOptions = {
+            components: this.createWelcomeComponents(this.getInteractionButtons(settings), targetMember.id, counts)
+        };
+        
+        if (newImageBuffer) {
+            editOptions.files = [{ 
+                attachment: newImageBuffer, 
+                name: 'welcome.png' 
+            }];
+            editOptions.attachments = [];
+        }
+        
+        await message.edit(editOptions);
+    }
+
+    static async handleWhoButton(interaction) {
+        const targetUserId = interaction.customId.split('_')[1];
+        const settings = ServerManager.getSettings(interaction.guild.id);
+        const received = settings.userInteractions.get(targetUserId)?.received || {};
+        
+        const tallyEmbed = new EmbedBuilder()
+            .setTitle('👥 Who Interacted')
+            .setDescription(`Welcome buttons pressed for <@${targetUserId}>`)
+            .setColor(CONFIG.COLORS.blue)
+            .setTimestamp();
+        
+        for (const button of this.getInteractionButtons(settings)) {
+            const clickers = Object.entries(received[button.key] || {})
+                .sort(([, a], [, b]) => b.count - a.count);
+            const shown = clickers.slice(0, 15)
+                .map(([clickerId, click]) => `<@${clickerId}>${click.count > 1 ? ` ×${click.count}` : ''}`);
+            
+            tallyEmbed.addFields({
+                name: `${button.emoji} ${button.label} (${clickers.length})`,
+                value: shown.length > 0
+                    ? shown.join(', ') + (clickers.length > shown.length ? ` *+${clickers.length - shown.length} more*` : '')
+                    : '*Nobody yet*',
+                inline: false
+            });
+        }
+        
+        await interaction.reply({ embeds: [tallyEmbed], ephemeral: true });
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🛂 VERIFICATION GATE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+class VerificationSystem {
+    // Hold a new member at the gate: record their deadline and DM the rules in DM mode
+    // `stickyRoleIds` are restored once the rules are accepted
+    static async startVerification(member, settings, stickyRoleIds = null) {
+        const { verification } = settings;
+        const joinedAt = Date.now();
+        
+        settings.pendingVerifications[member.id] = {
+            joinedAt: new Date(joinedAt).toISOString(),
+            expiresAt: verification.timeoutMinutes
+                ? new Date(joinedAt + verification.timeoutMinutes * 60 * 1000).toISOString()
+                : null
+        };
+        if (stickyRoleIds && stickyRoleIds.length > 0) {
+            settings.pendingVerifications[member.id].stickyRoles = stickyRoleIds;
+        }
+        await DataManager.saveData();
+        
+        if (verification.mode === 'dm') {
+            try {
+                await member.send(buildRulesMessage(member.guild, verification));
+            } catch (error) {
+                console.log(`⚠️ Could not DM the rules to ${member.user.tag}` +
+                    (verification.channelId ? ' - they can still accept in the rules channel' : ''));
+            }
+        }
+        
+        console.log(`🛂 ${member.user.tag} is waiting to accept the rules in ${member.guild.name}`);
+    }
+
+    // "I agree" on the rules message or the rules DM
+    static async handleAcceptButton(interaction) {
+        const guildId = interaction.customId.slice('verify_accept_'.length);
+        const guild = client.guilds.cache.get(guildId);
+        const member = guild ? await guild.members.fetch(interaction.user.id).catch(() => null) : null;
+        
+        if (!member) {
+            return interaction.reply({ content: '❌ You\'re not a member of that server anymore.', ephemeral: true });
+        }
+        
+        const settings = ServerManager.getSettings(guild.id);
+        const { verification } = settings;
+        if (!verification) {
+            return interaction.reply({ content: '❌ This server no longer requires accepting the rules.', ephemeral: true });
+        }
+        
+        // Held members are let in when the lockdown ends, not by the rules button
+        if (settings.raidLockdown) {
+            return interaction.reply({
+                content: `🔒 **${guild.name}** is locked down right now. You'll be let in once the moderators end the lockdown.`,
+                ephemeral: true
+            });
+        }
+        
+        // Only members still at the gate can accept; a default role taken away
+        // by a moderator isn't handed back here
+        const pending = settings.pendingVerifications[member.id];
+        if (!pending) {
+            return interaction.reply({ content: '✅ You\'ve already accepted the rules.', ephemeral: true });
+        }
+        const defaultRole = settings.defaultRole ? guild.roles.cache.get(settings.defaultRole) : null;
+        
+        // Too-new accounts stay pending, so the timeout still applies to them
+        const eligibleAt = member.user.createdTimestamp + (verification.minAccountAgeDays || 0) * 24 * 60 * 60 * 1000;
+        if (Date.now() < eligibleAt) {
+            return interaction.reply({
+                content: `⏳ Your account must be at least **${verification.minAccountAgeDays} days** old to join **${guild.name}**. ` +
+                    `You can accept the rules <t:${Math.ceil(eligibleAt / 1000)}:R>.`,
+                ephemeral: true
+            });
+        }
+        
+        if (defaultRole) {
+            try {
+                await member.roles.add(defaultRole, 'Accepted the server rules');
+            } catch (error) {
+                console.error('❌ Error giving default role after verification:', error);
+                return interaction.reply({
+                    content: '❌ I couldn\'t give you access. Please contact a moderator.',
+                    ephemeral: true
+                });
+            }
+        }
+        
+        const restoredRoles = await ServerManager.restoreStickyRoles(member, pending.stickyRoles);
+        
+        delete settings.pendingVerifications[member.id];
+        await DataManager.saveData();
+        
+        const content = `✅ Thanks for accepting the rules of **${guild.name}**!` +
+            (defaultRole ? ` You now have the **${defaultRole.name}** role.` : '') +
+            (restoredRoles.length > 0 ? `\n📌 Welcome back - restored your roles: ${restoredRoles.map(role => `**${role.name}**`).join(', ')}` : '');
+        if (interaction.inGuild()) {
+            await interaction.reply({ content, ephemeral: true });
+        } else {
+            // Rules DM: drop the button so it can't be pressed again
+            await interaction.update({ content, components: [] });
+        }
+        console.log(`🛂 ${member.user.tag} accepted the rules in ${guild.name}`);
+    }
+
+    // Kick members whose deadline passed; runs at startup to catch up on
+    // deadlines missed while offline, then every minute
+    static async kickExpired() {
+        const now = Date.now();
+        
+        for (const [guildId, settings] of serverSettings) {
+            const guild = client.guilds.cache.get(guildId);
+            if (!guild || !settings.verification) continue;
+            
+            const expired = Object.entries(settings.pendingVerifications)
+                .filter(([, pending]) => pending.expiresAt && new Date(pending.expiresAt).getTime() <= now);
+            if (expired.length === 0) continue;
+            
+            for (const [userId] of expired) {
+                delete settings.pendingVerifications[userId];
                 
-                const row = new ActionRowBuilder().addComponents(waveButton, middleFingerButton);
-                await interaction.update({ components: [row] });
+                const member = await guild.members.fetch(userId).catch(() => null);
+                if (!member) continue;
                 
-                await interaction.followUp({ 
-                    content: '⚠️ Updated count but couldn\'t regenerate image!', 
-                    ephemeral: true 
+                try {
+                    await member.kick('Did not accept the rules in time');
+                    console.log(`🛂 Kicked ${member.user.tag} from ${guild.name} for not accepting the rules`);
+                } catch (error) {
+                    console.error(`❌ Could not kick ${member.user.tag} after verification timeout:`, error.message);
+                }
+            }
+            await DataManager.saveData();
+        }
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 🚨 RAID PROTECTION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+class RaidProtection {
+    // Joins inside the detection window per guild: [{ member, joinedAt, stickyRoleIds }]
+    static recentJoins = new Map();
+    // Pending alert edit per guild, so a flood of joins edits the alert once per interval
+    static alertRefreshes = new Map();
+
+    static describeAccount(member, stickyRoleIds = null) {
+        const entry = {
+            userId: member.id,
+            tag: member.user.tag,
+            createdAt: new Date(member.user.createdTimestamp).toISOString(),
+            joinedAt: new Date(member.joinedTimestamp || Date.now()).toISOString()
+        };
+        // Restored if the member is let in when the lockdown ends
+        if (stickyRoleIds && stickyRoleIds.length > 0) entry.stickyRoles = stickyRoleIds;
+        return entry;
+    }
+
+    // Record a join against the sliding window. Returns true when the member is
+    // held by a lockdown and must not be welcomed or given roles.
+    static async recordJoin(member, settings, stickyRoleIds = null) {
+        if (member.user.bot) return false;
+        
+        if (settings.raidLockdown) {
+            settings.raidLockdown.batch.push(this.describeAccount(member, stickyRoleIds));
+            await DataManager.saveData();
+            this.scheduleAlertRefresh(member.guild);
+            return true;
+        }
+        
+        const config = settings.raidProtection;
+        if (!config) return false;
+        
+        // Timed by when Discord says they joined, so a slow handler can't stretch
+        // a burst of joins past the window
+        const joinedAt = member.joinedTimestamp || Date.now();
+        const guildId = member.guild.id;
+        const joins = (this.recentJoins.get(guildId) || [])
+            .filter(join => join.joinedAt > joinedAt - config.windowSeconds * 1000);
+        joins.push({ member, joinedAt, stickyRoleIds });
+        this.recentJoins.set(guildId, joins);
+        
+        if (joins.length < config.joinThreshold) return false;
+        
+        this.recentJoins.delete(guildId);
+        await this.startLockdown(member.guild, settings, joins);
+        return true;
+    }
+
+    static async startLockdown(guild, settings, joins) {
+        const config = settings.raidProtection;
+        const lockdown = {
+            startedAt: new Date().toISOString(),
+            batch: joins.map(join => this.describeAccount(join.member, join.stickyRoleIds)),
+            slowmodeRestore: {},
+            alertChannelId: config.alertChannel,
+            alertMessageId: null
+        };
+        settings.raidLockdown = lockdown;
+        console.log(`🚨 Raid detected in ${guild.name}: ${joins.length} joins in ${config.windowSeconds}s - locking down`);
+        
+        // Earlier joins in the window were already let in; hold them like the rest.
+        // Their sticky roles are in the batch entry, so they come back when they're let in.
+        for (const { member, stickyRoleIds } of joins) {
+            delete settings.pendingVerifications[member.id];
+            
+            const heldRoles = [settings.defaultRole, ...(stickyRoleIds || [])]
+                .filter(roleId => roleId && member.roles.cache.has(roleId));
+            if (heldRoles.length === 0) continue;
+            await member.roles.remove(heldRoles, 'Raid lockdown').catch(error => {
+                console.error(`❌ Could not take roles back from ${member.user.tag}:`, error.message);
+            });
+        }
+        
+        if (config.slowmodeSeconds) {
+            lockdown.slowmodeRestore = await this.applySlowmode(guild, config.slowmodeSeconds);
+        }
+        
+        const alertChannel = guild.channels.cache.get(config.alertChannel);
+        if (alertChannel) {
+            try {
+                const alertMessage = await alertChannel.send(this.buildAlert(guild, settings));
+                lockdown.alertMessageId = alertMessage.id;
+            } catch (error) {
+                console.error('❌ Error sending raid alert:', error);
+            }
+        }
+        
+        await DataManager.saveData();
+    }
+
+    // Raise slowmode on channels everyone can talk in; returns the previous values to restore
+    static async applySlowmode(guild, seconds) {
+        const restore = {};
+        const channels = guild.channels.cache.filter(channel =>
+            channel.type === ChannelType.GuildText &&
+            channel.manageable &&
+            channel.rateLimitPerUser < seconds &&
+            channel.permissionsFor(guild.roles.everyone).has(PermissionFlagsBits.SendMessages)
+        );
+        
+        for (const channel of channels.values()) {
+            try {
+                restore[channel.id] = channel.rateLimitPerUser;
+                await channel.setRateLimitPerUser(seconds, 'Raid lockdown');
+            } catch (error) {
+                delete restore[channel.id];
+                console.error(`❌ Could not set slowmode in #${channel.name}:`, error.message);
+            }
+        }
+        console.log(`🐢 Set ${seconds}s slowmode in ${Object.keys(restore).length} channels of ${guild.name}`);
+        return restore;
+    }
+
+    // Restore slowmode, let the remaining held members in and close the alert.
+    // Returns how many held members were let in.
+    static async endLockdown(guild, endedBy) {
+        const settings = ServerManager.getSettings(guild.id);
+        const lockdown = settings.raidLockdown;
+        if (!lockdown) return 0;
+        
+        settings.raidLockdown = null;
+        clearTimeout(this.alertRefreshes.get(guild.id));
+        this.alertRefreshes.delete(guild.id);
+        
+        for (const [channelId, rateLimit] of Object.entries(lockdown.slowmodeRestore)) {
+            const channel = guild.channels.cache.get(channelId);
+            if (!channel) continue;
+            await channel.setRateLimitPerUser(rateLimit, 'Raid lockdown ended').catch(error => {
+                console.error(`❌ Could not restore slowmode in #${channel.name}:`, error.message);
+            });
+        }
+        
+        // Members still here are treated as normal joins, minus the welcome message
+        let admitted = 0;
+        for (const entry of lockdown.batch) {
+            const member = await guild.members.fetch(entry.userId).catch(() => null);
+            if (!member) continue;
+            await WelcomeSystem.grantJoinAccess(member, settings, entry.stickyRoles);
+            admitted++;
+        }
+        
+        await DataManager.saveData();
+        
+        const alertMessage = await this.fetchAlertMessage(guild, lockdown);
+        if (alertMessage) {
+            const endedEmbed = new EmbedBuilder()
+                .setTitle('🔓 Lockdown Ended')
+                .setDescription(
+                    `Ended by ${endedBy} after <t:${Math.floor(new Date(lockdown.startedAt).getTime() / 1000)}:R>.\n` +
+                    `**Let in:** ${admitted} held members`
+                )
+                .setColor(0x2ECC71)
+                .setTimestamp();
+            await alertMessage.edit({ embeds: [endedEmbed], components: [] }).catch(() => {});
+        }
+        
+        console.log(`🔓 ${endedBy.tag} ended the lockdown in ${guild.name} (${admitted} members let in)`);
+        return admitted;
+    }
+
+    static buildAlert(guild, settings) {
+        const lockdown = settings.raidLockdown;
+        const newAccountCutoff = Date.now() - CONFIG.RAID_NEW_ACCOUNT_DAYS * 24 * 60 * 60 * 1000;
+        const shown = lockdown.batch.slice(-20).map(entry => {
+            const createdAt = new Date(entry.createdAt).getTime();
+            return `${createdAt > newAccountCutoff ? '⚠️' : '•'} <@${entry.userId}> \`${entry.tag}\` - created <t:${Math.floor(createdAt / 1000)}:R>`;
+        });
+        const slowmodeCount = Object.keys(lockdown.slowmodeRestore).length;
+        
+        const alertEmbed = new EmbedBuilder()
+            .setTitle('🚨 Raid Detected - Server Locked Down')
+            .setDescription(
+                `**${lockdown.batch.length}** accounts are held since <t:${Math.floor(new Date(lockdown.startedAt).getTime() / 1000)}:R>. ` +
+                'New members get no welcome message and no default role until the lockdown ends.' +
+                (slowmodeCount > 0 ? `\n🐢 Slowmode raised in ${slowmodeCount} channels.` : '')
+            )
+            .addFields({
+                name: `👥 Held Accounts${lockdown.batch.length > shown.length ? ` (latest ${shown.length})` : ''}`,
+                value: shown.length > 0 ? shown.join('\n') : '*None left*'
+            })
+            .setFooter({ text: `⚠️ = account younger than ${CONFIG.RAID_NEW_ACCOUNT_DAYS} days` })
+            .setColor(0xE74C3C)
+            .setTimestamp();
+        
+        const actionRow = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`raid_kick_${guild.id}`)
+                .setLabel('Kick all')
+                .setEmoji('👢')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(lockdown.batch.length === 0),
+            new ButtonBuilder()
+                .setCustomId(`raid_ban_${guild.id}`)
+                .setLabel('Ban all')
+                .setEmoji('🔨')
+                .setStyle(ButtonStyle.Danger)
+                .setDisabled(lockdown.batch.length === 0),
+            new ButtonBuilder()
+                .setCustomId(`raid_end_${guild.id}`)
+                .setLabel('End lockdown')
+                .setEmoji('🔓')
+                .setStyle(ButtonStyle.Success)
+        );
+        
+        return { embeds: [alertEmbed], components: [actionRow] };
+    }
+
+    static async fetchAlertMessage(guild, lockdown) {
+        if (!lockdown.alertMessageId) return null;
+        const channel = guild.channels.cache.get(lockdown.alertChannelId);
+        return channel ? channel.messages.fetch(lockdown.alertMessageId).catch(() => null) : null;
+    }
+
+    static scheduleAlertRefresh(guild) {
+        if (this.alertRefreshes.has(guild.id)) return;
+        
+        this.alertRefreshes.set(guild.id, setTimeout(async () => {
+            this.alertRefreshes.delete(guild.id);
+            const settings = ServerManager.getSettings(guild.id);
+            if (!settings.raidLockdown) return;
+            
+            const alertMessage = await this.fetchAlertMessage(guild, settings.raidLockdown);
+            if (alertMessage) {
+                await alertMessage.edit(this.buildAlert(guild, settings)).catch(error => {
+                    console.error('❌ Error updating raid alert:', error.message);
                 });
-            } catch (fallbackError) {
-                console.error('❌ Fallback also failed:', fallbackError);
-                if (!interaction.replied && !interaction.deferred) {
-                    await interaction.reply({ content: '❌ Something went wrong!', ephemeral: true });
+            }
+        }, CONFIG.RAID_ALERT_REFRESH_MS));
+    }
+
+    // Kick all / Ban all ask for confirmation first; End lockdown acts immediately
+    static async handleButton(interaction) {
+        const [, action, guildId] = interaction.customId.split('_');
+        const settings = ServerManager.getSettings(guildId);
+        
+        const requiredPermission = {
+            kick: PermissionFlagsBits.KickMembers,
+            confirmkick: PermissionFlagsBits.KickMembers,
+            ban: PermissionFlagsBits.BanMembers,
+            confirmban: PermissionFlagsBits.BanMembers,
+            end: PermissionFlagsBits.ManageGuild
+        }[action];
+        
+        if (!requiredPermission || guildId !== interaction.guild?.id) {
+            return interaction.reply({ content: '❌ This button is no longer valid.', ephemeral: true });
+        }
+        if (!interaction.memberPermissions.has(requiredPermission)) {
+            return interaction.reply({ content: '❌ You don\'t have permission to do that.', ephemeral: true });
+        }
+        if (!settings.raidLockdown) {
+            return interaction.reply({ content: '🔓 This lockdown has already ended.', ephemeral: true });
+        }
+        
+        if (action === 'end') {
+            await interaction.deferReply({ ephemeral: true });
+            const admitted = await this.endLockdown(interaction.guild, interaction.user);
+            return interaction.editReply({
+                content: `🔓 Lockdown ended.${admitted > 0 ? ` ${admitted} held members were let in.` : ''}`
+            });
+        }
+        
+        const ban = action === 'ban' || action === 'confirmban';
+        const count = settings.raidLockdown.batch.length;
+        
+        if (action === 'kick' || action === 'ban') {
+            const confirmRow = new ActionRowBuilder().addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`raid_confirm${action}_${guildId}`)
+                    .setLabel(`${ban ? 'Ban' : 'Kick'} ${count} accounts`)
+                    .setStyle(ButtonStyle.Danger)
+            );
+            return interaction.reply({
+                content: `⚠️ ${ban ? 'Ban' : 'Kick'} all **${count}** held accounts?`,
+                components: [confirmRow],
+                ephemeral: true
+            });
+        }
+        
+        await interaction.update({ content: `⏳ ${ban ? 'Banning' : 'Kicking'} ${count} accounts...`, components: [] });
+        
+        const reason = `Raid lockdown: ${ban ? 'banned' : 'kicked'} by ${interaction.user.tag}`;
+        const removed = new Set();
+        const failed = [];
+        for (const entry of [...settings.raidLockdown.batch]) {
+            try {
+                if (ban) {
+                    // Banning by ID also catches accounts that already left
+                    await interaction.guild.members.ban(entry.userId, { reason, deleteMessageSeconds: 60 * 60 });
+                } else {
+                    const member = await interaction.guild.members.fetch(entry.userId).catch(() => null);
+                    if (member) await member.kick(reason);
                 }
+                removed.add(entry.userId);
+            } catch (error) {
+                failed.push(entry.tag);
+            }
+        }
+        
+        // The lockdown may have ended while this ran
+        if (settings.raidLockdown) {
+            settings.raidLockdown.batch = settings.raidLockdown.batch.filter(entry => !removed.has(entry.userId));
+            this.scheduleAlertRefresh(interaction.guild);
+        }
+        await DataManager.saveData();
+        
+        await interaction.editReply({
+            content: `${ban ? '🔨 Banned' : '👢 Kicked'} **${removed.size}** accounts.` +
+                (failed.length > 0 ? `\n❌ Failed for ${failed.length}: ${failed.slice(0, 10).join(', ')}${failed.length > 10 ? '...' : ''}` : '')
+        });
+        console.log(`🚨 ${interaction.user.tag} ${ban ? 'banned' : 'kicked'} ${removed.size} raid accounts in ${interaction.guild.name}`);
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 📨 INVITE TRACKING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+class InviteTracker {
+    // Last known invites per guild: guildId -> Map(code -> { uses, maxUses, inviterId })
+    static inviteCache = new Map();
+    // Last known vanity URL uses per guild
+    static vanityUses = new Map();
+    // Joins are attributed one at a time per guild, so two joins never diff against the same snapshot
+    static attributionChains = new Map();
+
+    static canTrack(guild) {
+        return guild.members.me?.permissions.has(PermissionFlagsBits.ManageGuild);
+    }
+
+    static snapshot(invites) {
+        return new Map(invites.map(invite => [invite.code, {
+            uses: invite.uses || 0,
+            maxUses: invite.maxUses || 0,
+            inviterId: invite.inviterId || invite.inviter?.id || null
+        }]));
+    }
+
+    static async cacheGuildInvites(guild) {
+        if (!this.canTrack(guild)) return;
+        
+        try {
+            const invites = await guild.invites.fetch();
+            this.inviteCache.set(guild.id, this.snapshot(invites));
+            if (guild.vanityURLCode) {
+                const vanity = await guild.fetchVanityData();
+                this.vanityUses.set(guild.id, vanity.uses);
+            }
+        } catch (error) {
+            console.error(`❌ Could not cache invites for ${guild.name}:`, error.message);
+        }
+    }
+
+    // There's deliberately no inviteDelete handler: an invite that reaches its max
+    // uses is deleted around the moment the member joins, and the diff needs it
+    static trackInviteCreate(invite) {
+        const cached = this.inviteCache.get(invite.guild?.id);
+        if (!cached) return;
+        cached.set(invite.code, {
+            uses: invite.uses || 0,
+            maxUses: invite.maxUses || 0,
+            inviterId: invite.inviterId || invite.inviter?.id || null
+        });
+    }
+
+    // Work out which invite a new member used and store it on their record.
+    // Returns { code, inviterId, joinedAt } or null when it can't be told.
+    static attributeJoin(member) {
+        const guildId = member.guild.id;
+        const chain = (this.attributionChains.get(guildId) || Promise.resolve())
+            .then(() => this.findUsedInvite(member.guild))
+            .then(used => {
+                if (!used) return null;
+                
+                const settings = ServerManager.getSettings(guildId);
+                const userRoleData = settings.userRoles.get(member.id) || { roles: [], lastUpdated: null, username: member.user.displayName };
+                userRoleData.invite = { ...used, joinedAt: new Date().toISOString() };
+                settings.userRoles.set(member.id, userRoleData);
+                DataManager.saveData();
+                console.log(`📨 ${member.user.tag} joined ${member.guild.name} with invite ${used.code}` +
+                    (used.inviterId ? ` from ${used.inviterId}` : ''));
+                return userRoleData.invite;
+            })
+            .catch(error => {
+                console.error('❌ Error attributing invite:', error.message);
+                return null;
+            });
+        
+        this.attributionChains.set(guildId, chain);
+        return chain;
+    }
+
+    static async findUsedInvite(guild) {
+        if (!this.canTrack(guild)) return null;
+        
+        const previous = this.inviteCache.get(guild.id) || new Map();
+        const current = this.snapshot(await guild.invites.fetch());
+        this.inviteCache.set(guild.id, current);
+        
+        const increased = [...current].filter(([code, invite]) => invite.uses > (previous.get(code)?.uses || 0));
+        if (increased.length === 1) {
+            const [code, invite] = increased[0];
+            return { code, inviterId: invite.inviterId };
+        }
+        if (increased.length > 1) return null;
+        
+        // A single-use or exhausted invite disappears from the list once used
+        const exhausted = [...previous].filter(([code, invite]) =>
+            !current.has(code) && invite.maxUses > 0 && invite.uses + 1 >= invite.maxUses);
+        if (exhausted.length === 1) {
+            const [code, invite] = exhausted[0];
+            return { code, inviterId: invite.inviterId };
+        }
+        
+        if (guild.vanityURLCode) {
+            const vanity = await guild.fetchVanityData();
+            const previousUses = this.vanityUses.get(guild.id);
+            this.vanityUses.set(guild.id, vanity.uses);
+            if (previousUses !== undefined && vanity.uses > previousUses) {
+                return { code: vanity.code, inviterId: null };
             }
         }
+        return null;
     }
 }
 
@@ -681,6 +2114,13 @@ class WelcomeSystem {
 // ═══════════════════════════════════════════════════════════════════════════════
 
 class RoleManager {
+    // Paging, category and search state of open role selectors, keyed by
+    // `${panelId}:${userId}`; only needs to last as long as the ephemeral message
+    static selectorViews = new Map();
+    // Role changes waiting to be applied to panels, per guild ID:
+    // { timer, renamed: Map(roleId -> old name), deleted: Map(roleId -> name) }
+    static pendingPanelMaintenance = new Map();
+
     static async toggleRole(interaction, roleId) {
         const member = interaction.member;
         const role = interaction.guild.roles.cache.get(roleId);
@@ -694,11 +2134,59 @@ class RoleManager {
         
         try {
             const action = member.roles.cache.has(roleId) ? 'remove' : 'add';
+            // Honour the rules and limits any panel in this server sets for the role
+            const rolePanels = Array.from(panels.values())
+                .filter(panelData => panelData.guildId === interaction.guild.id && panelData.roles.includes(roleId));
+            let rivalsHeld = [];
+            
+            if (action === 'add') {
+                const memberRoleIds = [...member.roles.cache.keys()];
+                const lockReason = rolePanels
+                    .map(panelData => this.getRoleLockReason(interaction.guild, panelData, roleId, memberRoleIds, member.joinedAt))
+                    .find(reason => reason);
+                
+                if (lockReason) {
+                    return interaction.reply({ content: `🔒 You can't take **${role.name}** yet: ${lockReason}.`, ephemeral: true });
+                }
+                
+                // Pick-one groups swap the held role out, as the dropdown does
+                rivalsHeld = [...new Set(rolePanels.flatMap(panelData => this.getExclusiveRivals(panelData, roleId)))]
+                    .filter(rivalId => memberRoleIds.includes(rivalId));
+                const fullPanel = rolePanels.find(panelData => panelData.maxSelections &&
+                    panelData.roles.filter(id => memberRoleIds.includes(id) && !rivalsHeld.includes(id)).length + 1 > panelData.maxSelections);
+                
+                if (fullPanel) {
+                    return interaction.reply({
+                        content: `⚠️ **${fullPanel.title}** allows up to **${fullPanel.maxSelections}** roles - remove one before taking **${role.name}**.`,
+                        ephemeral: true
+                    });
+                }
+            }
+            
             await member.roles[action](role);
+            for (const rivalId of rivalsHeld) {
+                await member.roles.remove(rivalId);
+                this.clearRoleExpiry(interaction.guild.id, member.id, rivalId);
+            }
+            
+            let expiresAt = null;
+            if (action === 'add') {
+                const duration = rolePanels
+                    .map(panelData => this.getRoleDuration(panelData, roleId))
+                    .find(minutes => minutes);
+                if (duration) expiresAt = this.scheduleRoleExpiry(interaction.guild.id, member.id, roleId, duration);
+            } else {
+                this.clearRoleExpiry(interaction.guild.id, member.id, roleId);
+            }
+            if (expiresAt || action === 'remove' || rivalsHeld.length > 0) await DataManager.saveData();
             
             const embed = new EmbedBuilder()
                 .setTitle(action === 'add' ? '✅ Role Added' : '❌ Role Removed')
-                .setDescription(`**Role:** ${role}\n**Action:** ${action === 'add' ? 'Added to' : 'Removed from'} ${member.user}`)
+                .setDescription(
+                    `**Role:** ${role}\n**Action:** ${action === 'add' ? 'Added to' : 'Removed from'} ${member.user}` +
+                    (rivalsHeld.length > 0 ? `\n**Replaced:** ${rivalsHeld.map(rivalId => `<@&${rivalId}>`).join(', ')}` : '') +
+                    (expiresAt ? `\n**Expires:** <t:${Math.floor(expiresAt.getTime() / 1000)}:R>` : '')
+                )
                 .setColor(action === 'add' ? 0x00FF99 : 0xFF6B6B)
                 .setThumbnail(member.user.displayAvatarURL({ dynamic: true, size: 128 }))
                 .setTimestamp();
@@ -743,22 +2231,60 @@ class RoleManager {
             currentUserRoles = userRoleData ? userRoleData.roles : [];
         }
         
-        const allPanelRoles = panelData.roles
-            .map(roleId => interaction.guild.roles.cache.get(roleId))
-            .filter(role => role);
+        const allPanelRoles = this.getPanelRoles(interaction.guild, panelData);
         
-        const rolesPerDropdown = CONFIG.MAX_ROLES_PER_DROPDOWN;
-        const startIndex = pageNumber * rolesPerDropdown;
-        const endIndex = startIndex + rolesPerDropdown;
-        const currentDropdownRoles = allPanelRoles.slice(startIndex, endIndex);
+        // The menu must still match the panel layout; groups or roles may have
+        // been edited since this selector was opened
+        const view = this.getSelectorView(panelId, interaction.user.id);
+        const section = this.getSelectorLayout(panelData, allPanelRoles, view).sections[pageNumber];
+        const menuRoleIds = (interaction.component?.options || []).map(option => option.value);
+        if (!section || section.roles.map(role => role.id).join() !== menuRoleIds.join()) {
+            return interaction.editReply({
+                content: '❌ This panel was changed since you opened it. Click the **Role Selector** button again.',
+                components: []
+            });
+        }
+        
+        const currentDropdownRoles = section.roles;
         
         const currentDropdownUserRoles = currentUserRoles.filter(roleId => 
             currentDropdownRoles.some(role => role.id === roleId)
         );
         
-        const rolesToAdd = selectedRoles.filter(roleId => !currentUserRoles.includes(roleId));
+        const wantedRoles = selectedRoles.filter(roleId => !currentUserRoles.includes(roleId));
         const rolesToRemove = currentDropdownUserRoles.filter(roleId => !selectedRoles.includes(roleId));
         
+        // Enforce exclusive groups and the panel's selection limit here too, not
+        // just through the menu's own limits
+        const rolesToAdd = [];
+        const notices = [];
+        let heldCount = currentUserRoles.filter(roleId => panelData.roles.includes(roleId) && !rolesToRemove.includes(roleId)).length;
+        
+        for (const roleId of wantedRoles) {
+            const memberRoleIds = currentUserRoles.filter(id => !rolesToRemove.includes(id)).concat(rolesToAdd);
+            const lockReason = this.getRoleLockReason(interaction.guild, panelData, roleId, memberRoleIds, member.joinedAt);
+            if (lockReason) {
+                notices.push(`🔒 **${interaction.guild.roles.cache.get(roleId)?.name}** was not added: ${lockReason}.`);
+                continue;
+            }
+            
+            const rivals = this.getExclusiveRivals(panelData, roleId);
+            if (rolesToAdd.some(addedId => rivals.includes(addedId))) {
+                notices.push(`⚠️ Only one role per group can be picked - **${interaction.guild.roles.cache.get(roleId)?.name}** was not added.`);
+                continue;
+            }
+            
+            const rivalsHeld = rivals.filter(rivalId => currentUserRoles.includes(rivalId) && !rolesToRemove.includes(rivalId));
+            if (panelData.maxSelections && heldCount - rivalsHeld.length + 1 > panelData.maxSelections) {
+                notices.push(`⚠️ This panel allows up to **${panelData.maxSelections}** roles - **${interaction.guild.roles.cache.get(roleId)?.name}** was not added.`);
+                continue;
+            }
+            
+            rolesToAdd.push(roleId);
+            rolesToRemove.push(...rivalsHeld);
+            heldCount += 1 - rivalsHeld.length;
+        }
+        
         const changes = [];
         let errorCount = 0;
         
@@ -768,7 +2294,13 @@ class RoleManager {
                     const role = interaction.guild.roles.cache.get(roleId);
                     if (role) {
                         await member.roles.add(role);
-                        changes.push(`➕ Added **${role.name}**`);
+                        const duration = this.getRoleDuration(panelData, roleId);
+                        if (duration) {
+                            const expiresAt = this.scheduleRoleExpiry(interaction.guild.id, member.id, roleId, duration);
+                            changes.push(`➕ Added **${role.name}** (expires <t:${Math.floor(expiresAt.getTime() / 1000)}:R>)`);
+                        } else {
+                            changes.push(`➕ Added **${role.name}**`);
+                        }
                     }
                 } catch (error) {
                     console.error(`❌ Error adding role ${roleId}:`, error);
@@ -781,6 +2313,7 @@ class RoleManager {
                     const role = interaction.guild.roles.cache.get(roleId);
                     if (role) {
                         await member.roles.remove(role);
+                        this.clearRoleExpiry(interaction.guild.id, member.id, roleId);
                         changes.push(`➖ Removed **${role.name}**`);
                     }
                 } catch (error) {
@@ -800,76 +2333,309 @@ class RoleManager {
                 finalUserRoles = currentUserRoles;
             }
             
+            if (changes.length > 0) await DataManager.saveData();
+            
+            try {
+                await ServerManager.syncUserRoles(interaction.guild);
+            } catch (error) {
+                console.error('❌ Error syncing roles after changes:', error);
+            }
+            
+            await interaction.editReply(this.buildRoleSelector(interaction.guild, panelId, panelData, finalUserRoles, member, view));
+            
+            let feedbackMessage = '';
+            if (changes.length > 0) {
+                feedbackMessage = `✅ **Role Changes Applied (Dropdown ${pageNumber + 1}):**\n${changes.join('\n')}`;
+            } else {
+                feedbackMessage = `✨ No changes made to your roles in dropdown ${pageNumber + 1}.`;
+            }
+            
+            if (notices.length > 0) {
+                feedbackMessage += `\n\n${notices.join('\n')}`;
+            }
+            
+            if (errorCount > 0) {
+                feedbackMessage += `\n\n⚠️ ${errorCount} role(s) couldn't be modified due to permission issues.`;
+            }
+            
+            feedbackMessage += '\n\n*All dropdowns updated to show your current role selections!*';
+            
+            const embed = new EmbedBuilder()
+                .setTitle('🎭 Role Selection Updated')
+                .setDescription(feedbackMessage)
+                .setColor(changes.length > 0 ? 0x00FF99 : 0x3498DB)
+                .setThumbnail(member.user.displayAvatarURL({ dynamic: true, size: 128 }))
+                .setTimestamp();
+            
+            await interaction.followUp({ embeds: [embed], ephemeral: true });
+            
+        } catch (error) {
+            console.error('❌ Error handling role dropdown:', error);
+            try {
+                await interaction.editReply({ 
+                    content: '❌ Something went wrong while updating your roles! Please try again.' 
+                });
+            } catch (editError) {
+                console.error('❌ Error editing reply:', editError);
+            }
+        }
+    }
+
+    // Panel roles members can take right now. Hand-picked panels keep roles that
+    // can't be offered for the moment (see maintainGuildPanels), so they're left out here
+    static getPanelRoles(guild, panelData) {
+        const settings = ServerManager.getSettings(guild.id);
+        const offered = new Set(ServerManager.filterRoles(guild, panelData.type || 'safe', settings.blacklistedRoles).map(role => role.id));
+        return panelData.roles
+            .map(roleId => guild.roles.cache.get(roleId))
+            .filter(role => role && offered.has(role.id));
+    }
+
+    // Split a panel's roles into select menus: one per exclusive group first,
+    // then the remaining roles in chunks of MAX_ROLES_PER_DROPDOWN
+    static getPanelSections(panelData, roles) {
+        const sections = [];
+        const addChunks = (sectionRoles, name, exclusive) => {
+            for (let i = 0; i < sectionRoles.length; i += CONFIG.MAX_ROLES_PER_DROPDOWN) {
+                sections.push({ name, exclusive, roles: sectionRoles.slice(i, i + CONFIG.MAX_ROLES_PER_DROPDOWN) });
+            }
+        };
+        
+        const grouped = new Set();
+        if (!panelData.exclusive) {
+            for (const group of panelData.exclusiveGroups || []) {
+                const groupRoles = roles.filter(role => group.roles.includes(role.id) && !grouped.has(role.id));
+                groupRoles.forEach(role => grouped.add(role.id));
+                addChunks(groupRoles, group.name, true);
+            }
+        }
+        
+        addChunks(roles.filter(role => !grouped.has(role.id)), null, !!panelData.exclusive);
+        return sections;
+    }
+
+    // Panel roles that can't be held together with roleId
+    static getExclusiveRivals(panelData, roleId) {
+        if (panelData.exclusive) {
+            return panelData.roles.filter(id => id !== roleId);
+        }
+        
+        const group = (panelData.exclusiveGroups || []).find(g => g.roles.includes(roleId));
+        return group ? group.roles.filter(id => id !== roleId && panelData.roles.includes(id)) : [];
+    }
+
+    // Why a member can't take roleId from this panel (required roles, incompatible
+    // roles, server tenure), or null when they can
+    static getRoleLockReason(guild, panelData, roleId, memberRoleIds, joinedAt) {
+        const roleRules = panelData.roleRules || {};
+        const rules = roleRules[roleId];
+        const roleNames = ids => ids.map(id => guild.roles.cache.get(id)?.name || 'a deleted role').join(', ');
+        
+        const missing = (rules?.requires || []).filter(id => !memberRoleIds.includes(id));
+        if (missing.length > 0) {
+            return `requires ${roleNames(missing)}`;
+        }
+        
+        // Incompatibility works both ways, whichever role the rule was set on
+        const conflicts = memberRoleIds.filter(id =>
+            (rules?.excludes || []).includes(id) || (roleRules[id]?.excludes || []).includes(roleId)
+        );
+        if (conflicts.length > 0) {
+            return `can't be combined with ${roleNames(conflicts)}`;
+        }
+        
+        if (rules?.minTenureDays && joinedAt) {
+            const unlocksAt = joinedAt.getTime() + rules.minTenureDays * 24 * 60 * 60 * 1000;
+            if (unlocksAt > Date.now()) {
+                const daysLeft = Math.ceil((unlocksAt - Date.now()) / (24 * 60 * 60 * 1000));
+                return `only for members here ${rules.minTenureDays}+ days (unlocks in ${daysLeft} day${daysLeft === 1 ? '' : 's'})`;
+            }
+        }
+        
+        return null;
+    }
+
+    // roleId -> lock reason for the panel roles this member can't take right now
+    static getRoleLocks(guild, panelData, roles, memberRoleIds, joinedAt) {
+        const locks = new Map();
+        
+        for (const role of roles) {
+            if (memberRoleIds.includes(role.id)) continue;
+            const reason = this.getRoleLockReason(guild, panelData, role.id, memberRoleIds, joinedAt);
+            if (reason) locks.set(role.id, reason);
+        }
+        
+        return locks;
+    }
+
+    // Minutes a role from this panel lasts once picked; the role's own setting
+    // wins over the panel's. 0 means it's kept.
+    static getRoleDuration(panelData, roleId) {
+        return panelData.roleRules?.[roleId]?.durationMinutes || panelData.durationMinutes || 0;
+    }
+
+    // Whether any panel in the guild gives this role out for a limited time
+    static isTimeLimitedRole(guildId, roleId) {
+        return Array.from(panels.values())
+            .some(panelData => panelData.guildId === guildId && panelData.roles.includes(roleId) && this.getRoleDuration(panelData, roleId) > 0);
+    }
+
+    // Start (or restart) the countdown for a picked role; the caller saves
+    static scheduleRoleExpiry(guildId, userId, roleId, minutes) {
+        const settings = ServerManager.getSettings(guildId);
+        const expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+        settings.temporaryRoles[userId] = { ...settings.temporaryRoles[userId], [roleId]: expiresAt.toISOString() };
+        return expiresAt;
+    }
+
+    static clearRoleExpiry(guildId, userId, roleId) {
+        const settings = ServerManager.getSettings(guildId);
+        const userExpiries = settings.temporaryRoles[userId];
+        if (!userExpiries || !userExpiries[roleId]) return false;
+        
+        delete userExpiries[roleId];
+        if (Object.keys(userExpiries).length === 0) delete settings.temporaryRoles[userId];
+        return true;
+    }
+
+    // roleId -> expiry Date for the roles the member still holds
+    static getRoleExpiries(guildId, userId, memberRoleIds) {
+        const userExpiries = ServerManager.getSettings(guildId).temporaryRoles[userId] || {};
+        return new Map(Object.entries(userExpiries)
+            .filter(([roleId]) => memberRoleIds.includes(roleId))
+            .map(([roleId, expiresAt]) => [roleId, new Date(expiresAt)]));
+    }
+
+    // Rough time left for a select option, where live timestamps don't render
+    static describeTimeLeft(expiresAt) {
+        const minutes = Math.max(1, Math.ceil((expiresAt.getTime() - Date.now()) / 60000));
+        if (minutes >= 24 * 60) return describeMinutes(Math.round(minutes / (24 * 60)) * 24 * 60);
+        if (minutes >= 60) return describeMinutes(Math.round(minutes / 60) * 60);
+        return describeMinutes(minutes);
+    }
+
+    // Take back time-limited roles whose time is up; runs at startup to catch up
+    // on expiries missed while offline, then every minute
+    static async removeExpiredRoles() {
+        const now = Date.now();
+        
+        for (const [guildId, settings] of serverSettings) {
+            const guild = client.guilds.cache.get(guildId);
+            if (!guild) continue;
+            
+            let changed = false;
+            for (const [userId, userExpiries] of Object.entries(settings.temporaryRoles)) {
+                const expired = Object.keys(userExpiries)
+                    .filter(roleId => new Date(userExpiries[roleId]).getTime() <= now);
+                if (expired.length === 0) continue;
+                
+                // A member who left has nothing to take back; other fetch errors wait for the next run
+                let member = null;
+                try {
+                    member = await guild.members.fetch(userId);
+                } catch (error) {
+                    if (error.code !== 10007) continue; // Unknown Member
+                }
+                
+                for (const roleId of expired) {
+                    const role = guild.roles.cache.get(roleId);
+                    if (member && role && member.roles.cache.has(roleId)) {
+                        try {
+                            await member.roles.remove(role, 'Time-limited role expired');
+                            console.log(`⏳ Removed expired role ${role.name} from ${member.user.tag} in ${guild.name}`);
+                        } catch (error) {
+                            // Kept, so the next run tries again
+                            console.error(`❌ Could not remove expired role ${role.name} from ${member.user.tag}:`, error.message);
+                            continue;
+                        }
+                        await this.removePanelReactions(guild, member.id, roleId);
+                    }
+                    
+                    this.clearRoleExpiry(guildId, userId, roleId);
+                    changed = true;
+                }
+            }
+            
+            if (changed) await DataManager.saveData();
+        }
+    }
+
+    // Take time-limited roles off a member early, e.g. when their data is erased
+    static async endTimeLimitedRoles(guildId, userId, roleIds) {
+        const guild = client.guilds.cache.get(guildId);
+        const member = guild && await guild.members.fetch(userId).catch(() => null);
+        if (!member) return;
+        
+        for (const roleId of roleIds.filter(id => member.roles.cache.has(id))) {
             try {
-                await ServerManager.syncUserRoles(interaction.guild);
+                await member.roles.remove(roleId, 'Time-limited role ended early');
+                await this.removePanelReactions(guild, userId, roleId);
             } catch (error) {
-                console.error('❌ Error syncing roles after changes:', error);
-            }
-            
-            const updatedDropdowns = this.createRoleDropdowns(allPanelRoles, panelId, finalUserRoles);
-            await interaction.editReply({ components: updatedDropdowns });
-            
-            let feedbackMessage = '';
-            if (changes.length > 0) {
-                feedbackMessage = `✅ **Role Changes Applied (Dropdown ${pageNumber + 1}):**\n${changes.join('\n')}`;
-            } else {
-                feedbackMessage = `✨ No changes made to your roles in dropdown ${pageNumber + 1}.`;
-            }
-            
-            if (errorCount > 0) {
-                feedbackMessage += `\n\n⚠️ ${errorCount} role(s) couldn't be modified due to permission issues.`;
-            }
-            
-            feedbackMessage += '\n\n*All dropdowns updated to show your current role selections!*';
-            
-            const embed = new EmbedBuilder()
-                .setTitle('🎭 Role Selection Updated')
-                .setDescription(feedbackMessage)
-                .setColor(changes.length > 0 ? 0x00FF99 : 0x3498DB)
-                .setThumbnail(member.user.displayAvatarURL({ dynamic: true, size: 128 }))
-                .setTimestamp();
-            
-            await interaction.followUp({ embeds: [embed], ephemeral: true });
-            
-        } catch (error) {
-            console.error('❌ Error handling role dropdown:', error);
-            try {
-                await interaction.editReply({ 
-                    content: '❌ Something went wrong while updating your roles! Please try again.' 
-                });
-            } catch (editError) {
-                console.error('❌ Error editing reply:', editError);
+                console.error(`❌ Could not remove time-limited role ${roleId} from ${member.user.tag}:`, error.message);
             }
         }
     }
 
-    static createRoleDropdowns(roles, panelId, userCurrentRoles = []) {
-        const dropdowns = [];
-        const chunks = [];
+    // Take a member's reaction off every reaction panel offering the role, so the
+    // panel shows it as unpicked and startup reconciliation doesn't give it back
+    static async removePanelReactions(guild, userId, roleId) {
+        const reactionPanels = Array.from(panels.values())
+            .filter(panelData => panelData.guildId === guild.id && panelData.interfaceType === 'reaction' && panelData.emojis?.[roleId]);
         
-        for (let i = 0; i < roles.length; i += CONFIG.MAX_ROLES_PER_DROPDOWN) {
-            chunks.push(roles.slice(i, i + CONFIG.MAX_ROLES_PER_DROPDOWN));
+        for (const panelData of reactionPanels) {
+            const channel = guild.channels.cache.get(panelData.channelId);
+            const message = channel && await channel.messages.fetch(panelData.messageId).catch(() => null);
+            const reaction = message?.reactions.cache.get(emojiKey(panelData.emojis[roleId]));
+            if (reaction) await reaction.users.remove(userId).catch(() => {});
         }
+    }
+
+    // One select menu per section; firstIndex is the first section's position in
+    // the full list, which the menu's custom ID refers back to
+    static createRoleDropdowns(sections, totalSections, panelId, userCurrentRoles = [], panelData = {}, locks = new Map(), firstIndex = 0, expiries = new Map()) {
+        const dropdowns = [];
         
-        chunks.forEach((chunk, index) => {
+        sections.forEach((section, offset) => {
+            const index = firstIndex + offset;
+            const chunk = section.roles;
             const userRolesInChunk = chunk.filter(role => userCurrentRoles.includes(role.id));
             
+            const limit = section.exclusive
+                ? 1
+                : Math.min(chunk.length, CONFIG.MAX_ROLES_PER_DROPDOWN, panelData.maxSelections || Infinity);
+            const placeholder = section.exclusive
+                ? `🔘 ${section.name || 'Pick one'} (${userRolesInChunk.length}/${chunk.length}) - Pick one`
+                : `🔽 Your roles (${userRolesInChunk.length}/${chunk.length}) - Page ${index + 1}/${totalSections}`;
+            
             const dropdown = new StringSelectMenuBuilder()
                 .setCustomId(`role_select_${panelId}_${index}`)
-                .setPlaceholder(`🔽 Your roles (${userRolesInChunk.length}/${chunk.length}) - Page ${index + 1}/${chunks.length}`)
+                .setPlaceholder(placeholder)
                 .setMinValues(0)
-                .setMaxValues(Math.min(chunk.length, CONFIG.MAX_ROLES_PER_DROPDOWN));
+                // Never below what's already selected, or Discord rejects the menu;
+                // handleRoleDropdown enforces the real limit
+                .setMaxValues(Math.max(limit, userRolesInChunk.length));
             
             chunk.forEach(role => {
                 const hasRole = userCurrentRoles.includes(role.id);
+                const lockReason = locks.get(role.id);
                 const roleLabel = role.name.length > 95 ? role.name.substring(0, 92) + '...' : role.name;
-                const statusIcon = hasRole ? '✅' : '⭕';
+                const statusIcon = hasRole ? '✅' : lockReason ? '🔒' : '⭕';
+                // Select options can't be disabled, so locked ones explain themselves instead
+                const duration = this.getRoleDuration(panelData, role.id);
+                const expiresAt = expiries.get(role.id);
+                const description = lockReason
+                    ? `Locked: ${lockReason}`
+                    : expiresAt
+                        ? `Currently selected - expires in ${this.describeTimeLeft(expiresAt)}`
+                        : !hasRole && duration
+                            ? `Click to select - lasts ${describeMinutes(duration)}`
+                            : `${hasRole ? 'Currently selected' : 'Click to select'} - ${role.name.length > 45 ? role.name.substring(0, 42) + '...' : role.name}`;
                 
                 dropdown.addOptions(
                     new StringSelectMenuOptionBuilder()
                         .setLabel(`${statusIcon} ${roleLabel}`)
                         .setValue(role.id)
-                        .setDescription(`${hasRole ? 'Currently selected' : 'Click to select'} - ${role.name.length > 45 ? role.name.substring(0, 42) + '...' : role.name}`)
+                        .setDescription(description.length > 100 ? description.substring(0, 97) + '...' : description)
                         .setDefault(hasRole)
                 );
             });
@@ -906,40 +2672,10 @@ class RoleManager {
         try {
             const userCurrentRoles = await this.getUserCurrentRoles(interaction.guild, interaction.user.id);
             
-            const allPanelRoles = panelData.roles
-                .map(roleId => interaction.guild.roles.cache.get(roleId))
-                .filter(role => role);
-            
-            if (allPanelRoles.length === 0) {
-                return interaction.editReply({ 
-                    content: '❌ No valid roles found in this panel! Roles may have been deleted.' 
-                });
-            }
-            
-            const dropdownRows = this.createRoleDropdowns(allPanelRoles, panelId, userCurrentRoles);
-            
-            if (dropdownRows.length > 5) {
-                return interaction.editReply({ 
-                    content: `❌ This panel has too many roles (${allPanelRoles.length}) and would require ${dropdownRows.length} dropdowns.\n` +
-                            `Discord only allows 5 components per message. Please ask an admin to use role blacklisting to reduce the number of roles.`
-                });
-            }
-            
-            const userRolesInPanel = allPanelRoles.filter(role => userCurrentRoles.includes(role.id));
-            const totalPages = Math.ceil(allPanelRoles.length / CONFIG.MAX_ROLES_PER_DROPDOWN);
-            
-            const privateContent = `# 🎭 ${panelData.title} - Role Selector\n\n` +
-                `### Your Private Role Selection Interface\n\n` +
-                `**📊 Your Status:** ${userRolesInPanel.length}/${allPanelRoles.length} roles selected\n` +
-                `**🎯 Instructions:** Select/deselect roles using the dropdown${totalPages > 1 ? 's' : ''} below\n\n` +
-                `**✅ Current Roles:** ${userRolesInPanel.length > 0 ? userRolesInPanel.map(r => r.name).join(', ') : '*None*'}\n\n` +
-                `${totalPages > 1 ? `*Roles are organized across ${totalPages} dropdown menus*\n` : ''}` +
-                `*Changes apply immediately when you make selections*`;
+            const view = { page: 0, category: 'all', search: null };
+            this.setSelectorView(panelId, interaction.user.id, view);
             
-            await interaction.editReply({ 
-                content: privateContent,
-                components: dropdownRows
-            });
+            await interaction.editReply(this.buildRoleSelector(interaction.guild, panelId, panelData, userCurrentRoles, interaction.member, view));
             
         } catch (error) {
             console.error('❌ Error handling role panel button:', error);
@@ -949,6 +2685,496 @@ class RoleManager {
         }
     }
 
+    static getSelectorView(panelId, userId) {
+        return this.selectorViews.get(`${panelId}:${userId}`) || { page: 0, category: 'all', search: null };
+    }
+
+    static setSelectorView(panelId, userId, view) {
+        const now = Date.now();
+        for (const [key, saved] of this.selectorViews) {
+            if (now - saved.updatedAt > CONFIG.SELECTOR_VIEW_TTL) this.selectorViews.delete(key);
+        }
+        this.selectorViews.set(`${panelId}:${userId}`, { ...view, updatedAt: now });
+    }
+
+    // Panel roles matching the view's category (a group, or roles in no group) and search
+    static filterSelectorRoles(panelData, roles, view) {
+        const groups = panelData.exclusiveGroups || [];
+        let shown = roles;
+        
+        if (view.category === 'other') {
+            shown = shown.filter(role => !groups.some(group => group.roles.includes(role.id)));
+        } else if (view.category !== 'all' && groups[Number(view.category)]) {
+            const group = groups[Number(view.category)];
+            shown = shown.filter(role => group.roles.includes(role.id));
+        }
+        
+        if (view.search) {
+            const needle = view.search.toLowerCase();
+            shown = shown.filter(role => role.name.toLowerCase().includes(needle));
+        }
+        
+        return shown;
+    }
+
+    // Which select menus the selector shows. Panels that fit in one message show
+    // every menu; bigger ones page through them with a category filter and search
+    static getSelectorLayout(panelData, roles, view) {
+        const allSections = this.getPanelSections(panelData, roles);
+        if (allSections.length <= CONFIG.MAX_SELECTOR_ROWS) {
+            return { browsing: false, sections: allSections, page: 0, totalPages: 1, pageStart: 0, pageEnd: allSections.length };
+        }
+        
+        const hasCategories = !panelData.exclusive && (panelData.exclusiveGroups || []).length > 0;
+        // Leave rows for the navigation buttons and, if used, the category menu
+        const perPage = CONFIG.MAX_SELECTOR_ROWS - 1 - (hasCategories ? 1 : 0);
+        const sections = this.getPanelSections(panelData, this.filterSelectorRoles(panelData, roles, view));
+        const totalPages = Math.max(1, Math.ceil(sections.length / perPage));
+        const page = Math.min(view.page, totalPages - 1);
+        
+        return {
+            browsing: true,
+            hasCategories,
+            sections,
+            page,
+            totalPages,
+            pageStart: page * perPage,
+            pageEnd: Math.min(sections.length, (page + 1) * perPage)
+        };
+    }
+
+    // The private selector message: status text, the menus for the current page
+    // and, for big panels, category/search/page controls
+    static buildRoleSelector(guild, panelId, panelData, userCurrentRoles, member, view) {
+        const allPanelRoles = this.getPanelRoles(guild, panelData);
+        
+        if (allPanelRoles.length === 0) {
+            return { content: '❌ No valid roles found in this panel! Roles may have been deleted or moved above the bot.', components: [] };
+        }
+        
+        const layout = this.getSelectorLayout(panelData, allPanelRoles, view);
+        // Keep the saved page in range after a filter shrinks the list
+        view.page = layout.page;
+        
+        const locks = this.getRoleLocks(guild, panelData, allPanelRoles, userCurrentRoles, member.joinedAt);
+        const expiries = this.getRoleExpiries(guild.id, member.id, userCurrentRoles);
+        const pageSections = layout.sections.slice(layout.pageStart, layout.pageEnd);
+        const components = this.createRoleDropdowns(pageSections, layout.sections.length, panelId, userCurrentRoles, panelData, locks, layout.pageStart, expiries);
+        
+        const groups = panelData.exclusiveGroups || [];
+        if (layout.hasCategories) {
+            const categoryMenu = new StringSelectMenuBuilder()
+                .setCustomId(`role_category_${panelId}`)
+                .setPlaceholder('🗂️ Filter by category')
+                .addOptions(
+                    new StringSelectMenuOptionBuilder().setLabel('All roles').setValue('all').setEmoji('🗂️').setDefault(view.category === 'all'),
+                    ...groups.slice(0, 23).map((group, index) =>
+                        new StringSelectMenuOptionBuilder().setLabel(group.name).setValue(String(index)).setDefault(view.category === String(index))),
+                    new StringSelectMenuOptionBuilder().setLabel('Other roles').setValue('other').setDefault(view.category === 'other')
+                );
+            components.unshift(new ActionRowBuilder().addComponents(categoryMenu));
+        }
+        
+        if (layout.browsing) {
+            const filtered = view.category !== 'all' || view.search;
+            components.push(new ActionRowBuilder().addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`role_nav_prev_${panelId}`)
+                    .setLabel('Previous')
+                    .setEmoji('◀️')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setDisabled(layout.page === 0),
+                new ButtonBuilder()
+                    .setCustomId(`role_nav_page_${panelId}`)
+                    .setLabel(`${layout.page + 1} / ${layout.totalPages}`)
+                    .setStyle(ButtonStyle.Secondary)
+                    .setDisabled(true),
+                new ButtonBuilder()
+                    .setCustomId(`role_nav_next_${panelId}`)
+                    .setLabel('Next')
+                    .setEmoji('▶️')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setDisabled(layout.page >= layout.totalPages - 1),
+                new ButtonBuilder()
+                    .setCustomId(`role_nav_search_${panelId}`)
+                    .setLabel('Search')
+                    .setEmoji('🔍')
+                    .setStyle(ButtonStyle.Primary),
+                new ButtonBuilder()
+                    .setCustomId(`role_nav_clear_${panelId}`)
+                    .setLabel('Clear')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setDisabled(!filtered)
+            ));
+        }
+        
+        const userRolesInPanel = allPanelRoles.filter(role => userCurrentRoles.includes(role.id));
+        const totalPages = layout.sections.length;
+        
+        const limits = [];
+        if (panelData.exclusive) {
+            limits.push('pick **one** role');
+        } else if (groups.length > 0) {
+            limits.push(`one role each from ${groups.map(group => `**${group.name}**`).join(', ')}`);
+        }
+        if (panelData.maxSelections && !panelData.exclusive) {
+            limits.push(`up to **${panelData.maxSelections}** roles in total`);
+        }
+        
+        let currentRoles = userRolesInPanel.map(r => r.name).join(', ') || '*None*';
+        if (currentRoles.length > 600) {
+            currentRoles = `${currentRoles.substring(0, 580).replace(/, [^,]*$/, '')} *...and more*`;
+        }
+        
+        const expiring = allPanelRoles
+            .filter(role => expiries.has(role.id))
+            .map(role => {
+                const timestamp = Math.floor(expiries.get(role.id).getTime() / 1000);
+                return `${role.name} <t:${timestamp}:f> (<t:${timestamp}:R>)`;
+            });
+        
+        let browseLine = '';
+        if (layout.browsing) {
+            const categoryName = view.category === 'all' ? null
+                : view.category === 'other' ? 'Other roles'
+                : groups[Number(view.category)]?.name;
+            const shownCount = layout.sections.reduce((sum, section) => sum + section.roles.length, 0);
+            browseLine = `**🔎 Showing:** ${shownCount} of ${allPanelRoles.length} roles` +
+                (categoryName ? ` in **${categoryName}**` : '') +
+                (view.search ? ` matching **${view.search}**` : '') +
+                ` - page ${layout.page + 1}/${layout.totalPages}\n` +
+                (shownCount === 0 ? '*No roles match - try another category or search.*\n' : '');
+        }
+        
+        const privateContent = `# 🎭 ${panelData.title} - Role Selector\n\n` +
+            `### Your Private Role Selection Interface\n\n` +
+            `**📊 Your Status:** ${userRolesInPanel.length}/${allPanelRoles.length} roles selected\n` +
+            `**🎯 Instructions:** Select/deselect roles using the dropdown${totalPages > 1 ? 's' : ''} below\n` +
+            (limits.length > 0 ? `**📏 Limits:** ${limits.join(', ')}\n` : '') + '\n' +
+            `**✅ Current Roles:** ${currentRoles}\n` +
+            (expiring.length > 0 ? `**⏳ Expiring:** ${expiring.slice(0, 10).join(', ')}${expiring.length > 10 ? ' *...and more*' : ''}\n` : '') +
+            (locks.size > 0 ? `**🔒 Locked:** ${locks.size} role${locks.size === 1 ? '' : 's'} - the menu shows what each one needs\n` : '') + '\n' +
+            browseLine +
+            `${totalPages > 1 && !layout.browsing ? `*Roles are organized across ${totalPages} dropdown menus*\n` : ''}` +
+            `*Changes apply immediately when you make selections*`;
+        
+        return { content: privateContent, components };
+    }
+
+    // Previous/Next/Search/Clear on a paged selector
+    static async handleSelectorNav(interaction) {
+        const [, , action, ...panelIdParts] = interaction.customId.split('_');
+        const panelId = panelIdParts.join('_');
+        
+        const panelData = panels.get(panelId);
+        if (!panelData) {
+            return interaction.update({ content: '❌ Panel data not found! The panel may have been deleted.', components: [] });
+        }
+        
+        let view = this.getSelectorView(panelId, interaction.user.id);
+        
+        if (action === 'search') {
+            const queryInput = new TextInputBuilder()
+                .setCustomId('query')
+                .setLabel('Role name contains')
+                .setPlaceholder('Leave empty to show all roles')
+                .setStyle(TextInputStyle.Short)
+                .setRequired(false)
+                .setMaxLength(50);
+            if (view.search) queryInput.setValue(view.search);
+            
+            const searchModal = new ModalBuilder()
+                .setCustomId(`role_search_${panelId}`)
+                .setTitle('Search Roles')
+                .addComponents(new ActionRowBuilder().addComponents(queryInput));
+            
+            return interaction.showModal(searchModal);
+        }
+        
+        if (action === 'prev') view.page = Math.max(0, view.page - 1);
+        if (action === 'next') view.page += 1;
+        if (action === 'clear') view = { page: 0, category: 'all', search: null };
+        
+        await this.updateRoleSelector(interaction, panelId, panelData, view);
+    }
+
+    static async handleCategorySelect(interaction) {
+        const panelId = interaction.customId.replace('role_category_', '');
+        const panelData = panels.get(panelId);
+        if (!panelData) {
+            return interaction.update({ content: '❌ Panel data not found! The panel may have been deleted.', components: [] });
+        }
+        
+        const view = this.getSelectorView(panelId, interaction.user.id);
+        await this.updateRoleSelector(interaction, panelId, panelData, { ...view, category: interaction.values[0] || 'all', page: 0 });
+    }
+
+    static async handleSearchModal(interaction) {
+        const panelId = interaction.customId.replace('role_search_', '');
+        const panelData = panels.get(panelId);
+        if (!panelData) {
+            return interaction.reply({ content: '❌ Panel data not found! The panel may have been deleted.', ephemeral: true });
+        }
+        
+        const query = interaction.fields.getTextInputValue('query').trim();
+        const view = this.getSelectorView(panelId, interaction.user.id);
+        await this.updateRoleSelector(interaction, panelId, panelData, { ...view, search: query || null, page: 0 });
+    }
+
+    static async updateRoleSelector(interaction, panelId, panelData, view) {
+        await interaction.deferUpdate();
+        
+        const userCurrentRoles = await this.getUserCurrentRoles(interaction.guild, interaction.user.id);
+        const selector = this.buildRoleSelector(interaction.guild, panelId, panelData, userCurrentRoles, interaction.member, view);
+        this.setSelectorView(panelId, interaction.user.id, view);
+        
+        await interaction.editReply(selector);
+    }
+
+    // Reaction panels: give or take the role for the emoji a member reacted with.
+    // Works on partial (uncached) messages, only the IDs are needed.
+    static async handleReaction(reaction, user, added) {
+        if (user.bot) return;
+        
+        const panelData = Array.from(panels.values())
+            .find(panel => panel.interfaceType === 'reaction' && panel.messageId === reaction.message.id);
+        if (!panelData) return;
+        
+        const key = reaction.emoji.id || reaction.emoji.name;
+        const roleId = panelData.roles.find(id => panelData.emojis?.[id] && emojiKey(panelData.emojis[id]) === key);
+        const guild = client.guilds.cache.get(panelData.guildId);
+        const role = roleId && guild && this.getPanelRoles(guild, panelData).find(panelRole => panelRole.id === roleId);
+        if (!role) return;
+        
+        try {
+            const member = await guild.members.fetch(user.id);
+            
+            if (added) {
+                await this.grantReactionRole(guild, panelData, member, role, reaction.message, true);
+            } else if (member.roles.cache.has(role.id)) {
+                await member.roles.remove(role);
+                if (this.clearRoleExpiry(guild.id, member.id, role.id)) await DataManager.saveData();
+                console.log(`🎭 Removed ${role.name} from ${member.user.tag} (reaction removed)`);
+            }
+        } catch (error) {
+            console.error(`❌ Error handling reaction role ${role.name}:`, error);
+        }
+    }
+
+    // Give a reaction panel role unless the panel's rules or limits say no, in
+    // which case the member's reaction is taken back. Returns whether it was given.
+    static async grantReactionRole(guild, panelData, member, role, message, notify) {
+        if (member.roles.cache.has(role.id)) return true;
+        
+        const memberRoleIds = [...member.roles.cache.keys()];
+        const rivalsHeld = this.getExclusiveRivals(panelData, role.id).filter(id => memberRoleIds.includes(id));
+        const heldCount = panelData.roles.filter(id => memberRoleIds.includes(id)).length;
+        
+        let refusal = this.getRoleLockReason(guild, panelData, role.id, memberRoleIds, member.joinedAt);
+        if (!refusal && panelData.maxSelections && heldCount - rivalsHeld.length + 1 > panelData.maxSelections) {
+            refusal = `that panel allows up to ${panelData.maxSelections} roles`;
+        }
+        
+        const fullMessage = message.partial ? await message.fetch() : message;
+        const removeReaction = async roleId => {
+            const emoji = panelData.emojis?.[roleId];
+            const reaction = emoji && fullMessage.reactions.cache.get(emojiKey(emoji));
+            if (reaction) await reaction.users.remove(member.id).catch(() => {});
+        };
+        
+        if (refusal) {
+            await removeReaction(role.id);
+            if (notify) {
+                await member.send(`🔒 You can't take **${role.name}** in **${guild.name}** yet: ${refusal}.`).catch(() => {});
+            }
+            return false;
+        }
+        
+        await member.roles.add(role);
+        // Pick-one groups: swapping roles also swaps the reactions
+        for (const rivalId of rivalsHeld) {
+            await member.roles.remove(rivalId);
+            this.clearRoleExpiry(guild.id, member.id, rivalId);
+            await removeReaction(rivalId);
+        }
+        
+        const duration = this.getRoleDuration(panelData, role.id);
+        if (duration) this.scheduleRoleExpiry(guild.id, member.id, role.id, duration);
+        if (duration || rivalsHeld.length > 0) await DataManager.saveData();
+        
+        console.log(`🎭 Gave ${role.name} to ${member.user.tag} (reaction)`);
+        return true;
+    }
+
+    // Apply reactions added while the bot was offline, and put back any missing
+    // bot reactions. A missing reaction isn't proof a role came from the panel,
+    // so roles are never taken away here.
+    static async reconcileReactionPanels() {
+        const rolesCommand = commandLoader.getCommand('roles');
+        
+        for (const [panelId, panelData] of panels) {
+            if (panelData.interfaceType !== 'reaction') continue;
+            
+            const guild = client.guilds.cache.get(panelData.guildId);
+            const channel = guild?.channels.cache.get(panelData.channelId);
+            if (!channel) continue;
+            
+            try {
+                const message = await channel.messages.fetch(panelData.messageId).catch(() => null);
+                if (!message) {
+                    console.log(`⚠️ Reaction panel ${panelId} message not found`);
+                    continue;
+                }
+                
+                const panelRoles = this.getPanelRoles(guild, panelData);
+                await rolesCommand.syncPanelReactions(message, panelData, panelRoles.map(role => role.id));
+                
+                let granted = 0;
+                for (const role of panelRoles) {
+                    const reaction = panelData.emojis?.[role.id] && message.reactions.cache.get(emojiKey(panelData.emojis[role.id]));
+                    if (!reaction) continue;
+                    
+                    for (const userId of await this.fetchReactionUserIds(reaction)) {
+                        if (userId === client.user.id) continue;
+                        const member = await guild.members.fetch(userId).catch(() => null);
+                        if (!member || member.user.bot || member.roles.cache.has(role.id)) continue;
+                        
+                        if (await this.grantReactionRole(guild, panelData, member, role, message, false)) granted++;
+                    }
+                }
+                
+                if (granted > 0) {
+                    console.log(`🎭 Reaction panel ${panelId}: gave ${granted} roles for reactions added while offline`);
+                }
+            } catch (error) {
+                console.error(`❌ Error reconciling reaction panel ${panelId}:`, error);
+            }
+        }
+    }
+
+    // Collect a role event and update the guild's panels once events stop coming;
+    // moving one role fires roleUpdate for every role it passes
+    static queuePanelMaintenance(guild, { renamed = null, deleted = null } = {}) {
+        const pending = this.pendingPanelMaintenance.get(guild.id) || { timer: null, renamed: new Map(), deleted: new Map() };
+        this.pendingPanelMaintenance.set(guild.id, pending);
+        
+        // Keep the first old name when a role is renamed more than once
+        if (renamed && !pending.renamed.has(renamed.id)) pending.renamed.set(renamed.id, renamed.name);
+        if (deleted) pending.deleted.set(deleted.id, deleted.name);
+        
+        clearTimeout(pending.timer);
+        pending.timer = setTimeout(() => {
+            this.pendingPanelMaintenance.delete(guild.id);
+            this.maintainGuildPanels(guild.id, pending).catch(error => {
+                console.error(`❌ Error updating panels after role changes in ${guild.name}:`, error);
+            });
+        }, CONFIG.PANEL_MAINTENANCE_DELAY_MS);
+    }
+
+    // Bring every panel in the guild in line with its roles: deleted roles are
+    // dropped, renamed roles re-rendered, and panels that aren't hand-picked follow
+    // their type (taking on new roles, letting go of ones that no longer fit).
+    // Hand-picked panels keep roles that can't be offered right now - e.g. while
+    // the bot's role is moved down - and only hide them until they can be again.
+    static async maintainGuildPanels(guildId, { renamed, deleted }) {
+        const guild = client.guilds.cache.get(guildId);
+        if (!guild) return;
+        
+        const settings = ServerManager.getSettings(guildId);
+        const rolesCommand = commandLoader.getCommand('roles');
+        const roleName = roleId => guild.roles.cache.get(roleId)?.name || deleted.get(roleId) || 'Unknown role';
+        const updates = [];
+        
+        for (const [panelId, panelData] of panels) {
+            if (panelData.guildId !== guildId) continue;
+            
+            const offered = ServerManager.filterRoles(guild, panelData.type || 'safe', settings.blacklistedRoles).map(role => role.id);
+            const dropped = panelData.roles.filter(roleId =>
+                panelData.curated ? !guild.roles.cache.has(roleId) : !offered.includes(roleId));
+            const added = panelData.curated ? [] : offered.filter(roleId => !panelData.roles.includes(roleId));
+            const kept = panelData.roles.filter(roleId => !dropped.includes(roleId));
+            const hidden = kept.filter(roleId => !offered.includes(roleId));
+            const hiddenBefore = panelData.hiddenRoles || [];
+            const newlyHidden = hidden.filter(roleId => !hiddenBefore.includes(roleId));
+            const shownAgain = kept.filter(roleId => hiddenBefore.includes(roleId) && !hidden.includes(roleId));
+            const renamedHere = kept.filter(roleId =>
+                renamed.has(roleId) && !hidden.includes(roleId) && renamed.get(roleId) !== roleName(roleId));
+            if (dropped.length === 0 && added.length === 0 && renamedHere.length === 0 &&
+                newlyHidden.length === 0 && shownAgain.length === 0) continue;
+            
+            const lines = [
+                ...added.map(roleId => `➕ Added **${roleName(roleId)}**`),
+                ...dropped.map(roleId => `➖ Removed **${roleName(roleId)}** (${guild.roles.cache.has(roleId) ? 'can no longer be offered' : 'deleted'})`),
+                ...newlyHidden.map(roleId => `🙈 Hid **${roleName(roleId)}** (can't be offered right now - check the bot's role position)`),
+                ...shownAgain.map(roleId => `👁️ **${roleName(roleId)}** is offered again`),
+                ...renamedHere.map(roleId => `✏️ **${renamed.get(roleId)}** is now **${roleName(roleId)}**`)
+            ];
+            
+            for (const roleId of dropped) {
+                if (panelData.exclusiveGroups) {
+                    panelData.exclusiveGroups = rolesCommand.withoutGroupRole(panelData.exclusiveGroups, roleId);
+                }
+                if (panelData.roleRules) delete panelData.roleRules[roleId];
+                if (panelData.emojis) delete panelData.emojis[roleId];
+            }
+            panelData.roles = kept.concat(added);
+            if (hidden.length > 0) {
+                panelData.hiddenRoles = hidden;
+            } else {
+                delete panelData.hiddenRoles;
+            }
+            
+            const roles = this.getPanelRoles(guild, panelData);
+            const result = roles.length > 0
+                ? await rolesCommand.renderPanelMessage(guild, panelData, roles)
+                : { success: false, error: hidden.length > 0 ? 'None of its roles can be offered right now' : 'No roles left - edit or delete this panel' };
+            
+            console.log(`🛠️ Panel ${panelId} updated after role changes: +${added.length} / -${dropped.length} roles, ${hidden.length} hidden, ${renamedHere.length} renamed`);
+            updates.push({ panelData, lines, result });
+        }
+        
+        // Running timers for a deleted role have nothing left to remove
+        for (const roleId of deleted.keys()) {
+            Object.keys(settings.temporaryRoles).forEach(userId => this.clearRoleExpiry(guildId, userId, roleId));
+        }
+        
+        if (updates.length > 0 || deleted.size > 0) await DataManager.saveData();
+        
+        const noticeChannel = updates.length > 0 && settings.panelNoticeChannel && guild.channels.cache.get(settings.panelNoticeChannel);
+        if (!noticeChannel) return;
+        
+        const description = updates.map(({ panelData, lines, result }) =>
+            `**[${panelData.title}](https://discord.com/channels/${guildId}/${panelData.channelId}/${panelData.messageId})**\n` +
+            lines.join('\n') +
+            (result.success ? '' : `\n⚠️ ${result.error}`)
+        ).join('\n\n');
+        
+        const noticeEmbed = new EmbedBuilder()
+            .setTitle('🛠️ Role Panels Updated')
+            .setDescription(description.length > 4000 ? description.substring(0, 3980) + '\n*...and more*' : description)
+            .setFooter({ text: 'Panels follow role changes automatically • /roles panel-notices' })
+            .setColor(updates.every(update => update.result.success) ? 0x3498DB : 0xF39C12)
+            .setTimestamp();
+        
+        await noticeChannel.send({ embeds: [noticeEmbed], allowedMentions: { parse: [] } }).catch(error => {
+            console.error(`❌ Could not post panel notice in ${guild.name}:`, error.message);
+        });
+    }
+
+    static async fetchReactionUserIds(reaction) {
+        const userIds = [];
+        let after;
+        
+        while (true) {
+            const page = await reaction.users.fetch({ limit: 100, after });
+            page.forEach(user => userIds.push(user.id));
+            if (page.size < 100) break;
+            after = page.lastKey();
+        }
+        
+        return userIds;
+    }
+
     static async getUserCurrentRoles(guild, userId) {
         try {
             const member = await guild.members.fetch(userId);
@@ -982,22 +3208,25 @@ client.once('ready', async () => {
     await commandLoader.loadCommands();
     console.log('📂 Command system loaded');
     
-    await DataManager.loadData();
-    
-    // Migrate existing panels to button interface
-    let migratedCount = 0;
-    for (const [panelId, panelData] of panels.entries()) {
-        if (!panelData.interfaceType) {
-            panelData.interfaceType = 'button';
-            panels.set(panelId, panelData);
-            migratedCount++;
-        }
+    // The OAuth callback can't exchange codes without the client secret
+    if (process.env.CLIENT_SECRET) {
+        linkedRolesAPI.startCallbackServer(client, DataManager, ServerManager);
+    } else {
+        console.log('🔗 CLIENT_SECRET not set - Linked Roles callback server not started');
     }
-    if (migratedCount > 0) {
-        await DataManager.saveData();
-        console.log(`🔄 Migrated ${migratedCount} panels to button interface`);
+    
+    try {
+        await DataManager.loadData();
+    } catch (error) {
+        console.error('🚨 FATAL: Could not load bot data:', error.message);
+        console.error('🚨 Fix or restore the files in bot_data/ before restarting. Shutting down without saving.');
+        client.destroy();
+        process.exit(1);
     }
     
+    // Restore gaming sessions and their reminders
+    await commandLoader.restoreGamingSessions(client, DataManager);
+    
     // Auto-sync roles for all guilds
     console.log('🔄 Starting role sync for all servers...');
     for (const guild of client.guilds.cache.values()) {
@@ -1009,6 +3238,18 @@ client.once('ready', async () => {
     }
     console.log('✅ Role sync completed!');
     
+    for (const guild of client.guilds.cache.values()) {
+        await InviteTracker.cacheGuildInvites(guild);
+    }
+    console.log('📨 Invite uses cached');
+    
+    await VerificationSystem.kickExpired();
+    // Before reconciling, so expired roles' reactions are gone and not re-applied
+    await RoleManager.removeExpiredRoles();
+    
+    await RoleManager.reconcileReactionPanels();
+    console.log('🎭 Reaction panels checked');
+    
     // Register commands - no legacy commands now, all through loader
     try {
         const rest = new REST({ version: '10' }).setToken(TOKEN);
@@ -1027,6 +3268,32 @@ client.once('ready', async () => {
     }
 });
 
+// Reaction role panels
+client.on('messageReactionAdd', async (reaction, user) => {
+    await RoleManager.handleReaction(reaction, user, true);
+});
+
+client.on('messageReactionRemove', async (reaction, user) => {
+    await RoleManager.handleReaction(reaction, user, false);
+});
+
+// Keep role panels in step with the server's roles
+client.on('roleCreate', (role) => {
+    RoleManager.queuePanelMaintenance(role.guild);
+});
+
+client.on('roleUpdate', (oldRole, newRole) => {
+    const renamed = oldRole.name !== newRole.name;
+    if (!renamed && oldRole.position === newRole.position && oldRole.managed === newRole.managed &&
+        oldRole.permissions.bitfield === newRole.permissions.bitfield) return;
+    
+    RoleManager.queuePanelMaintenance(newRole.guild, { renamed: renamed ? oldRole : null });
+});
+
+client.on('roleDelete', (role) => {
+    RoleManager.queuePanelMaintenance(role.guild, { deleted: role });
+});
+
 // Video detection for reactions
 client.on('messageCreate', async (message) => {
     if (message.author.bot || !message.guild) return;
@@ -1052,28 +3319,30 @@ client.on('messageCreate', async (message) => {
 // New member join event
 client.on('guildMemberAdd', async (member) => {
     const settings = ServerManager.getSettings(member.guild.id);
+    const departed = ServerManager.getDepartedSnapshot(member);
     
     await ServerManager.trackRoleChange(member, null, member.roles);
+    // Started now so the invite snapshot is close to the join, but only awaited
+    // for the welcome: invite fetches are rate limited and queue up during a raid
+    const invitePromise = InviteTracker.attributeJoin(member);
     
-    // Give default role if set
-    if (settings.defaultRole) {
-        try {
-            const role = member.guild.roles.cache.get(settings.defaultRole);
-            if (role) {
-                await member.roles.add(role);
-                console.log(`👋 Gave default role ${role.name} to ${member.user.tag}`);
-            }
-        } catch (error) {
-            console.error('❌ Error giving default role:', error);
-        }
+    // During a raid lockdown new members are held: no role, no welcome
+    try {
+        if (await RaidProtection.recordJoin(member, settings, departed?.roles)) return;
+    } catch (error) {
+        console.error('❌ Error checking join rate:', error);
     }
     
+    const restoredRoles = await WelcomeSystem.grantJoinAccess(member, settings, departed?.roles);
+    
     // Send welcome message if channel is set
     if (settings.welcomeChannel) {
         try {
             const welcomeChannel = member.guild.channels.cache.get(settings.welcomeChannel);
             if (welcomeChannel) {
-                await WelcomeSystem.sendWelcomeMessage(member, welcomeChannel);
+                const returning = departed ? { leftAt: departed.leftAt, restoredRoles } : null;
+                const invite = await invitePromise;
+                await WelcomeSystem.sendWelcomeMessage(member, welcomeChannel, false, null, returning, invite);
             }
         } catch (error) {
             console.error('❌ Error sending welcome message:', error);
@@ -1081,6 +3350,40 @@ client.on('guildMemberAdd', async (member) => {
     }
 });
 
+// Keep invite use counts current for join attribution
+client.on('guildCreate', async (guild) => {
+    await InviteTracker.cacheGuildInvites(guild);
+});
+
+client.on('inviteCreate', (invite) => {
+    InviteTracker.trackInviteCreate(invite);
+});
+
+// Member leave event
+client.on('guildMemberRemove', async (member) => {
+    if (member.user.bot) return;
+    
+    const settings = ServerManager.getSettings(member.guild.id);
+    delete settings.pendingVerifications[member.id];
+    
+    try {
+        await ServerManager.recordLeave(member);
+    } catch (error) {
+        console.error('❌ Error recording member departure:', error);
+    }
+    
+    if (settings.goodbyeChannel) {
+        try {
+            const goodbyeChannel = member.guild.channels.cache.get(settings.goodbyeChannel);
+            if (goodbyeChannel) {
+                await WelcomeSystem.sendGoodbyeMessage(member, goodbyeChannel);
+            }
+        } catch (error) {
+            console.error('❌ Error sending goodbye message:', error);
+        }
+    }
+});
+
 // Member role update event
 client.on('guildMemberUpdate', async (oldMember, newMember) => {
     try {
@@ -1114,7 +3417,10 @@ client.on('interactionCreate', async (interaction) => {
                 dataManager: DataManager,
                 videoManager: videoManager,
                 welcomeSystem: WelcomeSystem,
+                imageGenerator: WelcomeImageGenerator,
+                raidProtection: RaidProtection,
                 roleManager: RoleManager,
+                linkedRolesAPI: linkedRolesAPI,
                 panels: panels
             };
             
@@ -1132,10 +3438,18 @@ client.on('interactionCreate', async (interaction) => {
             }
             
         } else if (interaction.isButton()) {
-            if (interaction.customId.startsWith('wave_') || interaction.customId.startsWith('middle_')) {
+            if (interaction.customId.startsWith('interact_') || interaction.customId.startsWith('wave_') || interaction.customId.startsWith('middle_')) {
                 await WelcomeSystem.handleInteractionButton(interaction);
+            } else if (interaction.customId.startsWith('whointeracted_')) {
+                await WelcomeSystem.handleWhoButton(interaction);
+            } else if (interaction.customId.startsWith('verify_accept_')) {
+                await VerificationSystem.handleAcceptButton(interaction);
+            } else if (interaction.customId.startsWith('raid_')) {
+                await RaidProtection.handleButton(interaction);
             } else if (interaction.customId.startsWith('role_panel_')) {
                 await RoleManager.handleRolePanelButton(interaction);
+            } else if (interaction.customId.startsWith('role_nav_')) {
+                await RoleManager.handleSelectorNav(interaction);
             } else if (interaction.customId.startsWith('role_')) {
                 const roleId = interaction.customId.split('_')[1];
                 await RoleManager.toggleRole(interaction, roleId);
@@ -1165,6 +3479,12 @@ client.on('interactionCreate', async (interaction) => {
                         }
                     }
                 }
+            } else if (interaction.customId.startsWith('welcome_lb_')) {
+                await commandLoader.getCommand('welcome').handleLeaderboardButton(interaction, ServerManager, WelcomeSystem);
+            } else if (interaction.customId.startsWith('welcome_card_')) {
+                await commandLoader.getCommand('welcome').handleCardButton(interaction, ServerManager, DataManager, WelcomeImageGenerator);
+            } else if (interaction.customId.startsWith('config_import_')) {
+                await commandLoader.getCommand('config').handleImportButton(interaction, ServerManager, DataManager, RoleManager, panels);
             } else {
                 if (!isNearExpiry && !interaction.replied && !interaction.deferred) {
                     try {
@@ -1180,6 +3500,8 @@ client.on('interactionCreate', async (interaction) => {
         } else if (interaction.isStringSelectMenu()) {
             if (interaction.customId.startsWith('role_select')) {
                 await RoleManager.handleRoleDropdown(interaction);
+            } else if (interaction.customId.startsWith('role_category_')) {
+                await RoleManager.handleCategorySelect(interaction);
             } else {
                 if (!isNearExpiry && !interaction.replied && !interaction.deferred) {
                     try {
@@ -1192,6 +3514,23 @@ client.on('interactionCreate', async (interaction) => {
                     }
                 }
             }
+        } else if (interaction.isModalSubmit()) {
+            if (interaction.customId.startsWith('role_search_')) {
+                await RoleManager.handleSearchModal(interaction);
+            }
+        } else if (interaction.isRoleSelectMenu()) {
+            if (interaction.customId.startsWith('role_curate_')) {
+                await commandLoader.getCommand('roles').handleCuratedSelect(interaction, ServerManager, DataManager, RoleManager, panels);
+            } else if (!isNearExpiry && !interaction.replied && !interaction.deferred) {
+                try {
+                    await interaction.reply({
+                        content: '❌ This selection menu is no longer valid.',
+                        ephemeral: true
+                    });
+                } catch (replyError) {
+                    console.error('❌ Could not reply to unknown select menu:', replyError);
+                }
+            }
         }
     } catch (error) {
         console.error('❌ Error handling interaction:', error);
@@ -1233,6 +3572,16 @@ process.on('uncaughtException', (error) => {
 // Auto-save every 5 minutes
 setInterval(() => DataManager.saveData(), 5 * 60 * 1000);
 
+// Kick members who never accepted the rules, every minute
+setInterval(() => VerificationSystem.kickExpired().catch(error => {
+    console.error('❌ Error checking verification timeouts:', error);
+}), 60 * 1000);
+
+// Take back time-limited panel roles, every minute
+setInterval(() => RoleManager.removeExpiredRoles().catch(error => {
+    console.error('❌ Error removing expired roles:', error);
+}), 60 * 1000);
+
 // Auto-sync roles every 30 minutes
 setInterval(async () => {
     console.log('🔄 Running periodic role sync...');
@@ -1248,15 +3597,17 @@ setInterval(async () => {
 // Graceful shutdown
 process.on('SIGINT', async () => {
     console.log('\n🛑 Shutting down bot...');
-    await DataManager.saveData();
+    await DataManager.flush();
     await commandLoader.shutdown();
+    await DataManager.close();
     process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
     console.log('\n🛑 Shutting down bot...');
-    await DataManager.saveData();
+    await DataManager.flush();
     await commandLoader.shutdown();
+    await DataManager.close();
     process.exit(0);
 });
 
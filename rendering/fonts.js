@@ -0,0 +1,60 @@
+// 🔤 Bundled Card Fonts
+// Registers the fonts shipped in node_modules so cards render the same on every host,
+// whatever fonts (if any) the system has installed
+
+const path = require('path');
+const { GlobalFonts } = require('@napi-rs/canvas');
+
+// Card font choices (as offered by /welcome card) mapped to the bundled family drawn for them
+const CARD_FONTS = {
+    'Arial': { family: 'Card Sans', file: 'DejaVuSans-Bold.ttf' },
+    'Verdana': { family: 'Card Sans', file: 'DejaVuSans-Bold.ttf' },
+    'Georgia': { family: 'Card Serif', file: 'DejaVuSerif-Bold.ttf' },
+    'Courier New': { family: 'Card Mono', file: 'DejaVuSansMono-Bold.ttf' },
+    'Impact': { family: 'Card Condensed', file: 'DejaVuSansCondensed-Bold.ttf' }
+};
+const DEFAULT_FAMILY = 'Card Sans';
+const EMOJI_FAMILY = 'Card Emoji';
+
+let registered = false;
+
+function packageDir(name) {
+    return path.dirname(require.resolve(`${name}/package.json`));
+}
+
+// Safe to call more than once; a missing font package only costs the exact look,
+// the canvas then falls back to whatever system fonts exist
+function registerCardFonts() {
+    if (registered) return;
+    registered = true;
+
+    const files = new Map(Object.values(CARD_FONTS).map(({ family, file }) => [family, file]));
+    let count = 0;
+
+    try {
+        const dejavuDir = path.join(packageDir('dejavu-fonts-ttf'), 'ttf');
+        for (const [family, file] of files) {
+            if (GlobalFonts.registerFromPath(path.join(dejavuDir, file), family)) count++;
+        }
+    } catch (error) {
+        console.log(`⚠️ Bundled card fonts not found (${error.message}) - using system fonts`);
+    }
+
+    try {
+        // Colour emoji, so 👋 and friends on cards don't depend on the host either
+        const emojiFile = path.join(packageDir('twemoji-colr-font'), 'twemoji.woff2');
+        if (GlobalFonts.registerFromPath(emojiFile, EMOJI_FAMILY)) count++;
+    } catch (error) {
+        console.log(`⚠️ Bundled emoji font not found (${error.message}) - emoji may not render on cards`);
+    }
+
+    console.log(`🔤 Registered ${count} bundled card fonts`);
+}
+
+// CSS font-family list for a theme's font choice, with the emoji font as fallback
+function fontStack(fontChoice) {
+    const family = CARD_FONTS[fontChoice]?.family || DEFAULT_FAMILY;
+    return `"${family}", "${EMOJI_FAMILY}", sans-serif`;
+}
+
+module.exports = { CARD_FONTS, registerCardFonts, fontStack };
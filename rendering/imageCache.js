@@ -0,0 +1,155 @@
+// 🖼️ Image Cache
+// Keeps decoded remote images (avatars) in memory and their files on disk, so
+// re-rendering a card doesn't hit the CDN and cards still render while it's down
+
+const fs = require('fs').promises;
+const path = require('path');
+const fetch = require('node-fetch');
+const { loadImage } = require('@napi-rs/canvas');
+
+class ImageCache {
+    constructor({ cacheDir, ttlMs, maxMemoryEntries, maxDiskEntries, fetchTimeoutMs, offlineBackoffMs }) {
+        this.cacheDir = cacheDir;
+        this.ttlMs = ttlMs;
+        this.maxMemoryEntries = maxMemoryEntries;
+        this.maxDiskEntries = maxDiskEntries;
+        this.fetchTimeoutMs = fetchTimeoutMs;
+        this.offlineBackoffMs = offlineBackoffMs;
+
+        // key -> { image, storedAt }; Map order doubles as least-recently-used order
+        this.memory = new Map();
+        // One download per key at a time, however many cards ask for it
+        this.inFlight = new Map();
+        // After a network failure, skip downloads until then and serve what we have
+        this.offlineUntil = 0;
+    }
+
+    // `key` must identify the image content, e.g. `${userId}-${avatarHash}`.
+    // Returns the decoded image, or null when it isn't cached and can't be fetched.
+    async get(key, url) {
+        const cached = this.memory.get(key);
+        if (cached && Date.now() - cached.storedAt < this.ttlMs) {
+            this.remember(key, cached.image, cached.storedAt);
+            return cached.image;
+        }
+
+        if (!this.inFlight.has(key)) {
+            this.inFlight.set(key, this.load(key, url, cached).finally(() => this.inFlight.delete(key)));
+        }
+        return this.inFlight.get(key);
+    }
+
+    async load(key, url, cached) {
+        const filePath = this.filePath(key);
+        const disk = await this.readDisk(filePath);
+
+        if (disk && Date.now() - disk.storedAt < this.ttlMs) {
+            const image = await this.decode(disk.buffer, filePath);
+            if (image) return this.remember(key, image, disk.storedAt);
+        }
+
+        if (Date.now() >= this.offlineUntil) {
+            try {
+                const buffer = await this.download(url);
+                const image = await loadImage(buffer);
+                await this.writeDisk(filePath, buffer);
+                return this.remember(key, image, Date.now());
+            } catch (error) {
+                if (error.offline) {
+                    this.offlineUntil = Date.now() + this.offlineBackoffMs;
+                }
+                console.log(`❌ Image download failed for ${key}: ${error.message}`);
+            }
+        }
+
+        // An expired copy beats no image at all
+        if (cached) return cached.image;
+        if (disk) {
+            const image = await this.decode(disk.buffer, filePath);
+            if (image) return this.remember(key, image, disk.storedAt);
+        }
+        return null;
+    }
+
+    async download(url) {
+        let response;
+        try {
+            response = await fetch(url, { timeout: this.fetchTimeoutMs });
+        } catch (error) {
+            // Timeouts and connection errors mean the CDN is unreachable, not that this image is gone
+            error.offline = true;
+            throw error;
+        }
+
+        if (!response.ok) {
+            const error = new Error(`HTTP ${response.status}`);
+            error.offline = response.status >= 500;
+            throw error;
+        }
+        return response.buffer();
+    }
+
+    remember(key, image, storedAt) {
+        this.memory.delete(key);
+        this.memory.set(key, { image, storedAt });
+
+        while (this.memory.size > this.maxMemoryEntries) {
+            this.memory.delete(this.memory.keys().next().value);
+        }
+        return image;
+    }
+
+    filePath(key) {
+        return path.join(this.cacheDir, `${key.replace(/[^a-zA-Z0-9_-]/g, '_')}.img`);
+    }
+
+    async decode(buffer, filePath) {
+        try {
+            return await loadImage(buffer);
+        } catch (error) {
+            // Corrupt cache file; drop it so the next render downloads a fresh copy
+            await fs.unlink(filePath).catch(() => {});
+            return null;
+        }
+    }
+
+    async readDisk(filePath) {
+        try {
+            const [buffer, stats] = await Promise.all([fs.readFile(filePath), fs.stat(filePath)]);
+            return { buffer, storedAt: stats.mtimeMs };
+        } catch {
+            return null;
+        }
+    }
+
+    async writeDisk(filePath, buffer) {
+        try {
+            await fs.mkdir(this.cacheDir, { recursive: true });
+            const tempPath = `${filePath}.${process.pid}.tmp`;
+            await fs.writeFile(tempPath, buffer);
+            await fs.rename(tempPath, filePath);
+            await this.evictDisk();
+        } catch (error) {
+            console.log(`⚠️ Could not write image cache file: ${error.message}`);
+        }
+    }
+
+    // Remove the oldest files once the directory holds more than maxDiskEntries
+    async evictDisk() {
+        const names = (await fs.readdir(this.cacheDir)).filter(name => name.endsWith('.img'));
+        if (names.length <= this.maxDiskEntries) return;
+
+        const files = await Promise.all(names.map(async name => {
+            const filePath = path.join(this.cacheDir, name);
+            const stats = await fs.stat(filePath).catch(() => null);
+            return { filePath, mtimeMs: stats ? stats.mtimeMs : 0 };
+        }));
+        files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+
+        for (const { filePath } of files.slice(0, files.length - this.maxDiskEntries)) {
+            await fs.unlink(filePath).catch(() => {});
+        }
+    }
+}
+
+module.exports = { ImageCache };
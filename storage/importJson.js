@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+// 📥 One-shot importer: copies bot_data/panels.json, server_settings.json and
+// gaming_sessions.json into the SQLite database.
+// Usage: node storage/importJson.js [--force]
+
+const fs = require('fs');
+if (fs.existsSync('.env')) {
+    require('dotenv').config();
+}
+
+const { createStorage, importFromJson } = require('./index.js');
+
+const CONFIG = {
+    DATA_DIR: './bot_data',
+    PANELS_FILE: './bot_data/panels.json',
+    SETTINGS_FILE: './bot_data/server_settings.json',
+    SESSIONS_FILE: './bot_data/gaming_sessions.json',
+    DATABASE_FILE: process.env.DATABASE_FILE || './bot_data/bot.db',
+    BACKUP_DIR: './bot_data/backups'
+};
+
+async function runImport() {
+    const force = process.argv.includes('--force');
+    const target = createStorage({ ...CONFIG, STORAGE_BACKEND: 'sqlite' });
+
+    try {
+        await target.init();
+
+        if (!target.isEmpty() && !force) {
+            console.error(`❌ ${CONFIG.DATABASE_FILE} already contains data. Re-run with --force to overwrite it.`);
+            process.exitCode = 1;
+            return;
+        }
+
+        // Load the existing rows so ones missing from the JSON files get removed
+        if (force) {
+            await target.load();
+        }
+
+        const result = await importFromJson(CONFIG, target);
+        if (!result.imported) {
+            console.log('📭 No JSON data found in bot_data/, nothing to import');
+            return;
+        }
+
+        console.log(`✅ Imported ${result.panels} panels, ${result.guilds} servers and ${result.sessions} gaming sessions into ${CONFIG.DATABASE_FILE}`);
+        console.log('💡 Set STORAGE_BACKEND=sqlite to start using it');
+    } catch (error) {
+        console.error('❌ Import failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await target.close();
+    }
+}
+
+runImport();
@@ -0,0 +1,57 @@
+// 💾 Storage Backends
+// Picks the storage backend behind DataManager from the STORAGE_BACKEND setting
+
+const { JsonStorage } = require('./jsonStorage.js');
+const { SqliteStorage, USER_COLLECTIONS } = require('./sqliteStorage.js');
+
+const BACKENDS = ['json', 'sqlite'];
+
+function createStorage(config) {
+    const backend = (config.STORAGE_BACKEND || 'json').toLowerCase();
+
+    switch (backend) {
+        case 'json':
+            return new JsonStorage({
+                dataDir: config.DATA_DIR,
+                panelsFile: config.PANELS_FILE,
+                settingsFile: config.SETTINGS_FILE,
+                sessionsFile: config.SESSIONS_FILE,
+                backupDir: config.BACKUP_DIR
+            });
+        case 'sqlite':
+            return new SqliteStorage({
+                databaseFile: config.DATABASE_FILE,
+                backupDir: config.BACKUP_DIR
+            });
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND "${backend}". Use one of: ${BACKENDS.join(', ')}`);
+    }
+}
+
+// Copy everything the JSON files hold into another backend
+async function importFromJson(config, target) {
+    const source = createStorage({ ...config, STORAGE_BACKEND: 'json' });
+    await source.init();
+
+    const { panels, settings, schemaVersion } = await source.load();
+    const sessions = await source.loadSessions();
+
+    if (!panels && !settings && !sessions) {
+        return { imported: false, panels: 0, guilds: 0, sessions: 0 };
+    }
+
+    // Keep the source's schemaVersion so pending migrations still run on the copy
+    await target.save({ panels: panels || {}, settings: settings || {} }, schemaVersion);
+    if (sessions) {
+        await target.saveSessions(sessions);
+    }
+
+    return {
+        imported: true,
+        panels: Object.keys(panels || {}).length,
+        guilds: Object.keys(settings || {}).length,
+        sessions: Object.keys(sessions || {}).length
+    };
+}
+
+module.exports = { createStorage, importFromJson, BACKENDS, USER_COLLECTIONS };
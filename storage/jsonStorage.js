@@ -0,0 +1,142 @@
+// 📄 JSON File Storage Backend
+// Stores bot data as JSON files in bot_data/ with crash-safe writes
+
+const fs = require('fs').promises;
+const path = require('path');
+const { SCHEMA_VERSION } = require('./migrations.js');
+
+class JsonStorage {
+    constructor({ dataDir, panelsFile, settingsFile, sessionsFile, backupDir }) {
+        this.name = 'json';
+        this.dataDir = dataDir;
+        this.panelsFile = panelsFile;
+        this.settingsFile = settingsFile;
+        this.sessionsFile = sessionsFile;
+        this.backupDir = backupDir;
+    }
+
+    async init() {
+        try {
+            await fs.access(this.dataDir);
+        } catch {
+            await fs.mkdir(this.dataDir, { recursive: true });
+            console.log('📁 Created data directory');
+        }
+    }
+
+    // Write to a temp file, fsync it, then rename over the target so a crash
+    // mid-write leaves the previous file intact
+    async writeFileAtomic(filePath, contents) {
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        const handle = await fs.open(tempPath, 'w');
+        try {
+            await handle.writeFile(contents);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.rename(tempPath, filePath);
+    }
+
+    // Read a JSON data file. Returns null if it doesn't exist yet. A good read is
+    // copied to <file>.bak as the last-known-good backup; a corrupt file falls back
+    // to that backup, and throws if there is no usable backup.
+    async readJSONFile(filePath) {
+        let raw;
+        try {
+            raw = await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+
+        const backupPath = `${filePath}.bak`;
+        try {
+            const data = JSON.parse(raw);
+            await fs.copyFile(filePath, backupPath);
+            return data;
+        } catch (parseError) {
+            if (!(parseError instanceof SyntaxError)) throw parseError;
+
+            const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+            await fs.copyFile(filePath, corruptPath);
+            console.error(`🚨 ${filePath} is corrupt (${parseError.message}). Copy saved to ${corruptPath}`);
+
+            let backupRaw;
+            try {
+                backupRaw = await fs.readFile(backupPath, 'utf8');
+            } catch {
+                throw new Error(`${filePath} is corrupt and no backup exists at ${backupPath}. Refusing to start with empty data.`);
+            }
+
+            try {
+                const data = JSON.parse(backupRaw);
+                console.error(`🚨 Restored ${filePath} from last-known-good backup ${backupPath}`);
+                return data;
+            } catch (backupError) {
+                throw new Error(`${filePath} and its backup ${backupPath} are both corrupt (${backupError.message}). Refusing to start with empty data.`);
+            }
+        }
+    }
+
+    // Files are stored as { schemaVersion, data }. Files written before schema
+    // versioning hold the data directly and count as version 0.
+    unwrap(contents) {
+        if (!contents) return { schemaVersion: null, data: null };
+        if (typeof contents.schemaVersion === 'number' && contents.data && typeof contents.data === 'object') {
+            return { schemaVersion: contents.schemaVersion, data: contents.data };
+        }
+        return { schemaVersion: 0, data: contents };
+    }
+
+    async writeVersioned(filePath, data, schemaVersion) {
+        await this.writeFileAtomic(filePath, JSON.stringify({ schemaVersion, data }, null, 2));
+    }
+
+    // Returns { panels, settings, schemaVersion }. panels/settings are null when
+    // missing; schemaVersion is the oldest version among the files present.
+    async load() {
+        const panelsFile = this.unwrap(await this.readJSONFile(this.panelsFile));
+        const settingsFile = this.unwrap(await this.readJSONFile(this.settingsFile));
+        const versions = [panelsFile.schemaVersion, settingsFile.schemaVersion].filter(v => v !== null);
+
+        return {
+            panels: panelsFile.data,
+            settings: settingsFile.data,
+            schemaVersion: versions.length > 0 ? Math.min(...versions) : SCHEMA_VERSION
+        };
+    }
+
+    async save({ panels, settings }, schemaVersion = SCHEMA_VERSION) {
+        await this.writeVersioned(this.panelsFile, panels, schemaVersion);
+        await this.writeVersioned(this.settingsFile, settings, schemaVersion);
+    }
+
+    async loadSessions() {
+        return this.unwrap(await this.readJSONFile(this.sessionsFile)).data;
+    }
+
+    async saveSessions(sessions) {
+        await this.writeVersioned(this.sessionsFile, sessions, SCHEMA_VERSION);
+    }
+
+    // Copy the current data files into a new folder under backupDir
+    async backup(label) {
+        const target = path.join(this.backupDir, `${label}-${Date.now()}`);
+        await fs.mkdir(target, { recursive: true });
+
+        for (const filePath of [this.panelsFile, this.settingsFile, this.sessionsFile]) {
+            try {
+                await fs.copyFile(filePath, path.join(target, path.basename(filePath)));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+
+        return target;
+    }
+
+    async close() {}
+}
+
+module.exports = { JsonStorage };
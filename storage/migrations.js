@@ -0,0 +1,95 @@
+// 🧬 Data Schema Migrations
+// Ordered registry of upgrades for the bot_data shape. Every stored data set
+// records the schemaVersion it was written with; on startup any migrations
+// newer than that run in order.
+//
+// To change the data shape: append a migration with the next version number.
+// Each `up` receives { panels, settings } as plain objects (the same shape the
+// JSON files use), mutates them in place and returns a short summary for the
+// migration report. Migrations must be safe to re-run on already-migrated data.
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Default video reaction settings and button interface for legacy data',
+        up({ panels, settings }) {
+            let panelsUpdated = 0;
+            let guildsUpdated = 0;
+
+            for (const panel of Object.values(panels)) {
+                if (!panel.interfaceType) {
+                    panel.interfaceType = 'button';
+                    panelsUpdated++;
+                }
+            }
+
+            for (const guildSettings of Object.values(settings)) {
+                if (!guildSettings.videoReactions) {
+                    guildSettings.videoReactions = {
+                        enabled: false,
+                        channels: [],
+                        likeEmoji: '👍',
+                        dislikeEmoji: '👎',
+                        stats: { totalVideos: 0, totalReactions: 0 }
+                    };
+                    guildsUpdated++;
+                }
+            }
+
+            return `${panelsUpdated} panels set to button interface, ${guildsUpdated} servers given video reaction defaults`;
+        }
+    },
+    {
+        version: 2,
+        description: 'Move wave/middle-finger stats into generic per-button counts',
+        up({ settings }) {
+            let membersUpdated = 0;
+
+            for (const guildSettings of Object.values(settings)) {
+                const interactions = guildSettings.userInteractions || {};
+                for (const [userId, stats] of Object.entries(interactions)) {
+                    if (stats.counts) continue;
+
+                    const counts = {};
+                    for (const [key, value] of Object.entries(stats)) {
+                        if (typeof value === 'number') counts[key] = value;
+                    }
+                    interactions[userId] = { counts };
+                    membersUpdated++;
+                }
+            }
+
+            return `${membersUpdated} member interaction records converted`;
+        }
+    }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Returns the migrations needed to bring data at `fromVersion` up to date
+function getPendingMigrations(fromVersion) {
+    if (fromVersion > SCHEMA_VERSION) {
+        throw new Error(`Stored data is schemaVersion ${fromVersion} but this bot only knows up to ${SCHEMA_VERSION}. Update the bot before starting it on this data.`);
+    }
+    return MIGRATIONS.filter(migration => migration.version > fromVersion);
+}
+
+// Run pending migrations in order, mutating `data`. Returns the report entries.
+function runMigrations(data, fromVersion) {
+    const report = [];
+
+    for (const migration of getPendingMigrations(fromVersion)) {
+        const startedAt = Date.now();
+        const summary = migration.up(data);
+        report.push({
+            version: migration.version,
+            description: migration.description,
+            summary: summary || 'done',
+            durationMs: Date.now() - startedAt
+        });
+    }
+
+    return report;
+}
+
+module.exports = { MIGRATIONS, SCHEMA_VERSION, getPendingMigrations, runMigrations };
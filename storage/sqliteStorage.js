@@ -0,0 +1,202 @@
+// 🗄️ SQLite Storage Backend
+// Stores bot data in an embedded SQLite database. Per-member data gets one row
+// per member, and only rows that changed since the last save are written.
+
+const fs = require('fs');
+const path = require('path');
+const { SCHEMA_VERSION } = require('./migrations.js');
+
+// Per-member maps inside each guild's settings that are stored as their own rows
+const USER_COLLECTIONS = ['userInteractions', 'userRoles', 'roleHistory'];
+
+class SqliteStorage {
+    constructor({ databaseFile, backupDir }) {
+        this.name = 'sqlite';
+        this.databaseFile = databaseFile;
+        this.backupDir = backupDir;
+        this.db = null;
+
+        // Last JSON written per row key, used to skip unchanged rows
+        this.written = new Map();
+    }
+
+    async init() {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error(`STORAGE_BACKEND=sqlite needs the better-sqlite3 package (${error.message}). Run: npm install better-sqlite3`);
+        }
+
+        fs.mkdirSync(path.dirname(this.databaseFile), { recursive: true });
+        this.db = new Database(this.databaseFile);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('synchronous = NORMAL');
+
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS panels (
+                panel_id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS guild_settings (
+                guild_id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS user_records (
+                guild_id TEXT NOT NULL,
+                collection TEXT NOT NULL,
+                user_id TEXT NOT NULL,
+                data TEXT NOT NULL,
+                PRIMARY KEY (guild_id, collection, user_id)
+            );
+            CREATE TABLE IF NOT EXISTS gaming_sessions (
+                session_id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS meta (
+                key TEXT PRIMARY KEY,
+                value TEXT NOT NULL
+            );
+        `);
+
+        console.log(`🗄️ SQLite storage opened at ${this.databaseFile}`);
+    }
+
+    isEmpty() {
+        const { count } = this.db.prepare(
+            'SELECT (SELECT COUNT(*) FROM panels) + (SELECT COUNT(*) FROM guild_settings) AS count'
+        ).get();
+        return count === 0;
+    }
+
+    getSchemaVersion() {
+        const row = this.db.prepare("SELECT value FROM meta WHERE key = 'schemaVersion'").get();
+        return row ? parseInt(row.value) : 0;
+    }
+
+    // Returns { panels, settings, schemaVersion } in the same shape the JSON files use
+    async load() {
+        const panelRows = this.db.prepare('SELECT panel_id, data FROM panels').all();
+        const settingRows = this.db.prepare('SELECT guild_id, data FROM guild_settings').all();
+        const userRows = this.db.prepare('SELECT guild_id, collection, user_id, data FROM user_records').all();
+
+        if (panelRows.length === 0 && settingRows.length === 0) {
+            return { panels: null, settings: null, schemaVersion: SCHEMA_VERSION };
+        }
+
+        const panels = {};
+        for (const row of panelRows) {
+            panels[row.panel_id] = JSON.parse(row.data);
+            this.written.set(`panel:${row.panel_id}`, row.data);
+        }
+
+        const settings = {};
+        for (const row of settingRows) {
+            settings[row.guild_id] = JSON.parse(row.data);
+            for (const collection of USER_COLLECTIONS) {
+                settings[row.guild_id][collection] = {};
+            }
+            this.written.set(`guild:${row.guild_id}`, row.data);
+        }
+
+        for (const row of userRows) {
+            if (!settings[row.guild_id]) continue;
+            settings[row.guild_id][row.collection] = settings[row.guild_id][row.collection] || {};
+            settings[row.guild_id][row.collection][row.user_id] = JSON.parse(row.data);
+            this.written.set(`user:${row.guild_id}:${row.collection}:${row.user_id}`, row.data);
+        }
+
+        return { panels, settings, schemaVersion: this.getSchemaVersion() };
+    }
+
+    async save({ panels, settings }, schemaVersion = SCHEMA_VERSION) {
+        const upsertPanel = this.db.prepare('INSERT INTO panels (panel_id, data) VALUES (?, ?) ON CONFLICT(panel_id) DO UPDATE SET data = excluded.data');
+        const deletePanel = this.db.prepare('DELETE FROM panels WHERE panel_id = ?');
+        const upsertGuild = this.db.prepare('INSERT INTO guild_settings (guild_id, data) VALUES (?, ?) ON CONFLICT(guild_id) DO UPDATE SET data = excluded.data');
+        const deleteGuild = this.db.prepare('DELETE FROM guild_settings WHERE guild_id = ?');
+        const upsertUser = this.db.prepare('INSERT INTO user_records (guild_id, collection, user_id, data) VALUES (?, ?, ?, ?) ON CONFLICT(guild_id, collection, user_id) DO UPDATE SET data = excluded.data');
+        const deleteUser = this.db.prepare('DELETE FROM user_records WHERE guild_id = ? AND collection = ? AND user_id = ?');
+        const setVersion = this.db.prepare("INSERT INTO meta (key, value) VALUES ('schemaVersion', ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value");
+
+        // Build the full set of rows, then write only what differs from last time
+        const rows = new Map();
+        for (const [panelId, panel] of Object.entries(panels)) {
+            const data = JSON.stringify(panel);
+            rows.set(`panel:${panelId}`, { data, upsert: () => upsertPanel.run(panelId, data) });
+        }
+        for (const [guildId, guildSettings] of Object.entries(settings)) {
+            const guildData = { ...guildSettings };
+            for (const collection of USER_COLLECTIONS) {
+                const records = guildData[collection] || {};
+                delete guildData[collection];
+                for (const [userId, record] of Object.entries(records)) {
+                    const data = JSON.stringify(record);
+                    rows.set(`user:${guildId}:${collection}:${userId}`, { data, upsert: () => upsertUser.run(guildId, collection, userId, data) });
+                }
+            }
+            const data = JSON.stringify(guildData);
+            rows.set(`guild:${guildId}`, { data, upsert: () => upsertGuild.run(guildId, data) });
+        }
+
+        const removeRow = key => {
+            const [type, ...ids] = key.split(':');
+            if (type === 'panel') deletePanel.run(...ids);
+            else if (type === 'guild') deleteGuild.run(...ids);
+            else if (type === 'user') deleteUser.run(...ids);
+        };
+
+        let changed = 0;
+        this.db.transaction(() => {
+            setVersion.run(String(schemaVersion));
+            for (const [key, row] of rows) {
+                if (this.written.get(key) === row.data) continue;
+                row.upsert();
+                changed++;
+            }
+            for (const key of this.written.keys()) {
+                if (rows.has(key)) continue;
+                removeRow(key);
+                changed++;
+            }
+        })();
+
+        this.written = new Map(Array.from(rows, ([key, row]) => [key, row.data]));
+
+        return { changed };
+    }
+
+    async loadSessions() {
+        const rows = this.db.prepare('SELECT session_id, data FROM gaming_sessions').all();
+        if (rows.length === 0) return null;
+        return Object.fromEntries(rows.map(row => [row.session_id, JSON.parse(row.data)]));
+    }
+
+    async saveSessions(sessions) {
+        const upsert = this.db.prepare('INSERT INTO gaming_sessions (session_id, data) VALUES (?, ?) ON CONFLICT(session_id) DO UPDATE SET data = excluded.data');
+        const remove = this.db.prepare('DELETE FROM gaming_sessions WHERE session_id NOT IN (SELECT value FROM json_each(?))');
+
+        this.db.transaction(() => {
+            for (const [sessionId, session] of Object.entries(sessions)) {
+                upsert.run(sessionId, JSON.stringify(session));
+            }
+            remove.run(JSON.stringify(Object.keys(sessions)));
+        })();
+    }
+
+    // Take an online copy of the database into backupDir
+    async backup(label) {
+        fs.mkdirSync(this.backupDir, { recursive: true });
+        const target = path.join(this.backupDir, `${label}-${Date.now()}.db`);
+        await this.db.backup(target);
+        return target;
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+module.exports = { SqliteStorage, USER_COLLECTIONS };